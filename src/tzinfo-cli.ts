@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * tzinfo command line tool, for inspecting and comparing zoneinfo files
+ *
+ * Licensed under the Apache License, Version 2.0
+ * You may obtain a copy of the License at http://www.apache.org/licenses/LICENSE-2.0
+ */
+
+import fs from 'fs';
+import * as tzinfo from './tzinfo';
+
+const usage = [
+	"usage: tzinfo [--dir <zoneinfo dir>] [--json] <command> [args]",
+	"",
+	"  dump <zone|file>                          header counts, types, abbreviations, leap seconds and footer",
+	"  transitions <zone> [--from T] [--to T]    the offset changes from T to T, by default of the current year",
+	"  now <zone...> [--at T]                    the current offset and abbreviation and the next change",
+	"  list [--canonical|--aliases]              the zone names, only the canonical zones or only the aliases",
+	"  diff <dirA> <dirB> [--from T] [--to T]    the zones whose transitions differ between two zoneinfo trees,",
+	"                                            by default from 1800 through 2100; exits 1 if any do",
+	"",
+	"  T is a year, which --to includes, or a date like 2024-03-31T01:00Z",
+].join('\n');
+
+interface cli_args_t {
+	command:   string,
+	args:      string[],
+	json:      boolean,
+	dir?:      string,
+	from?:     string,
+	to?:       string,
+	at?:       string,
+	canonical: boolean,
+	aliases:   boolean,
+}
+
+class UsageError extends Error { }
+
+function parseArgs( argv:string[] ):cli_args_t {
+	let opts:cli_args_t = { command: '', args: [], json: false, canonical: false, aliases: false };
+	for (let i=0; i<argv.length; i++) {
+		const arg = argv[i];
+		const value = () => {
+			if (i + 1 >= argv.length) throw new UsageError("option " + arg + " needs a value");
+			return argv[++i];
+		};
+		if (arg === '--json') opts.json = true;
+		else if (arg === '--canonical') opts.canonical = true;
+		else if (arg === '--aliases') opts.aliases = true;
+		else if (arg === '--dir') opts.dir = value();
+		else if (arg === '--from') opts.from = value();
+		else if (arg === '--to') opts.to = value();
+		else if (arg === '--at') opts.at = value();
+		else if (arg === '--help' || arg === '-h') opts.command = 'help';
+		else if (arg.startsWith('--')) throw new UsageError("unknown option " + arg);
+		else if (!opts.command) opts.command = arg;
+		else opts.args.push(arg);
+	}
+	return opts;
+}
+
+// milliseconds of a year or date argument; a year given as `to` means its end
+function parseTime( value:string, isEnd:boolean ):number {
+	const ms = /^-?\d{1,4}$/.test(value) ? Date.UTC(+value + (isEnd ? 1 : 0), 0, 1) : new Date(value).getTime();
+	if (isNaN(ms)) throw new UsageError("bad time " + JSON.stringify(value));
+	return ms;
+}
+
+function formatOffset( secs:number ):string {
+	const sign = secs < 0 ? '-' : '+';
+	secs = Math.abs(secs);
+	const hh = Math.floor(secs / 3600), mm = Math.floor(secs / 60) % 60, ss = secs % 60;
+	const pad = (n:number) => (n < 10 ? '0' : '') + n;
+	return sign + pad(hh) + ':' + pad(mm) + (ss ? ':' + pad(ss) : '');
+}
+
+function padEnd( str:string, width:number ):string {
+	while (str.length < width) str += ' ';
+	return str;
+}
+
+function formatTime( ms:number ):string {
+	return new Date(ms).toISOString().replace('.000Z', 'Z');
+}
+
+// a zone by name, or the zoneinfo file at a path
+function loadZone( spec:string ):tzinfo.info_t {
+	let buf:Buffer;
+	try {
+		buf = (spec.startsWith('/') || spec.startsWith('.')) && fs.statSync(spec).isFile() ? fs.readFileSync(spec) : tzinfo.readZoneinfoFileSync(spec);
+	} catch (e) {
+		throw new Error("unknown zone " + spec);
+	}
+	return tzinfo.parseZoneinfo(buf, true) as tzinfo.info_t;
+}
+
+function typeJson( zi:tzinfo.tzinfo_change_t ) {
+	return { gmtoff: zi.tt_gmtoff, isdst: !!zi.tt_isdst, abbrev: zi.abbrev };
+}
+
+function dump( opts:cli_args_t ):string|object {
+	if (opts.args.length !== 1) throw new UsageError("dump needs one zone or file");
+	const info = loadZone(opts.args[0]);
+	const abbrevs = info.abbrevs.split('\0').filter(abbrev => abbrev);
+	if (opts.json) return {
+		version: info.version === '\0' ? '1' : info.version,
+		counts: { timecnt: info.timecnt, typecnt: info.typecnt, charcnt: info.charcnt, leapcnt: info.leapcnt, ttisstdcnt: info.ttisstdcnt, ttisgmtcnt: info.ttisgmtcnt },
+		types: info.tzinfo.map((zi, i) => ({ idx: i, ...typeJson(zi), std: !!info.ttisstd[i], ut: !!info.ttisgmt[i] })),
+		abbrevs: abbrevs,
+		leaps: info.leaps,
+		footer: info.footer,
+	};
+
+	let lines = [
+		"version: " + (info.version === '\0' ? '1' : info.version),
+		"counts:  timecnt " + info.timecnt + ", typecnt " + info.typecnt + ", charcnt " + info.charcnt + ", leapcnt " + info.leapcnt +
+			", ttisstdcnt " + info.ttisstdcnt + ", ttisgmtcnt " + info.ttisgmtcnt,
+		"types:",
+	];
+	info.tzinfo.forEach((zi, i) => {
+		lines.push(("  " + i + "  " + padEnd(formatOffset(zi.tt_gmtoff), 9) + "  " + (zi.tt_isdst ? 'dst' : 'std') + "  " + padEnd(zi.abbrev, 6) +
+			(info.ttisstd[i] ? '  std-time' : '') + (info.ttisgmt[i] ? '  ut-time' : '')).replace(/ +$/, ''));
+	});
+	lines.push("abbrevs: " + abbrevs.join(' '));
+	if (info.leapcnt) {
+		lines.push("leaps:");
+		for (const leap of info.leaps) lines.push("  " + formatTime(leap.time * 1000) + "  " + leap.add);
+	}
+	lines.push("footer:  " + info.footer);
+	return lines.join('\n');
+}
+
+function transitions( opts:cli_args_t ):string|object {
+	if (opts.args.length !== 1) throw new UsageError("transitions needs one zone");
+	const info = loadZone(opts.args[0]);
+	const year = new Date().getUTCFullYear();
+	const from = opts.from ? parseTime(opts.from, false) : Date.UTC(year, 0, 1);
+	const to = opts.to ? parseTime(opts.to, true) : Date.UTC(year + 1, 0, 1);
+	const list = tzinfo.findTransitions(info, from, to);
+	if (opts.json) return list.map(tr => ({ at: formatTime(tr.at), before: typeJson(tr.before), after: typeJson(tr.after) }));
+	return list.map(tr => formatTime(tr.at) + "  " + formatOffset(tr.before.tt_gmtoff) + " " + tr.before.abbrev + " -> " +
+		formatOffset(tr.after.tt_gmtoff) + " " + tr.after.abbrev + (tr.after.tt_isdst ? " dst" : "")).join('\n');
+}
+
+function now( opts:cli_args_t ):string|object {
+	if (!opts.args.length) throw new UsageError("now needs at least one zone");
+	const at = opts.at ? parseTime(opts.at, false) : Date.now();
+	const zones = opts.args.map(name => {
+		const info = loadZone(name);
+		const current = tzinfo.findTzinfo(info, at, true) as tzinfo.tzinfo_change_ex_t;
+		const next = tzinfo.iterateTransitions(info, at + 1, Infinity).next().value as tzinfo.tzinfo_transition_t|undefined;
+		return { zone: name, local: tzinfo.strftime(info, at, '%Y-%m-%d %H:%M:%S') as string, ...typeJson(current),
+			next: next ? { at: formatTime(next.at), ...typeJson(next.after) } : null };
+	});
+	if (opts.json) return zones;
+	const width = Math.max(...zones.map(zone => zone.zone.length));
+	return zones.map(zone => padEnd(zone.zone, width) + "  " + zone.local + " " + zone.abbrev + " " + formatOffset(zone.gmtoff) +
+		(zone.isdst ? " dst" : "") + (zone.next ? "  next " + zone.next.at + " " + zone.next.abbrev + " " + formatOffset(zone.next.gmtoff) : "")).join('\n');
+}
+
+function list( opts:cli_args_t ):Promise<string|object> {
+	const dirname = tzinfo.getZoneinfoDirectory();
+	const names = tzinfo.listZoneinfoFiles(dirname).map(filepath => filepath.substring(dirname.length + 1)).sort();
+	if (!opts.canonical && !opts.aliases) return Promise.resolve(opts.json ? names : names.join('\n'));
+
+	// tzdata tells the aliases; without it every zone counts as canonical.  The posix/ and right/ copies,
+	// localtime and posixrules, and with tzdata any name it does not know, are neither zones nor aliases.
+	const copy = (name:string) => /^(posix|right)\//.test(name) || name === 'localtime' || name === 'posixrules';
+	return tzinfo.loadZoneMetadata(dirname).then(meta => {
+		const canonical = (name:string) => {
+			const zone = meta.zones.get(name);
+			if (zone) return zone.canonical;
+			return (meta.zones.size || copy(name)) ? undefined : name;
+		};
+		const selected = names.filter(name => {
+			const zone = canonical(name);
+			return zone !== undefined && (zone === name) === opts.canonical;
+		});
+		if (opts.json) return opts.aliases ? selected.map(name => ({ name: name, canonical: canonical(name) })) : selected;
+		return selected.map(name => opts.aliases ? name + " -> " + canonical(name) : name).join('\n');
+	});
+}
+
+function diff( opts:cli_args_t ):{output:string|object, differ:boolean} {
+	if (opts.args.length !== 2) throw new UsageError("diff needs two directories");
+	const from = opts.from ? parseTime(opts.from, false) : Date.UTC(1800, 0, 1);
+	const to = opts.to ? parseTime(opts.to, true) : Date.UTC(2101, 0, 1);
+	const [dirA, dirB] = opts.args.map(dirname => dirname.replace(/\/+$/, ''));
+	const zones = (dirname:string) => {
+		if (!fs.existsSync(dirname)) throw new Error("no such directory " + dirname);
+		return new Set(tzinfo.listZoneinfoFiles(dirname).map(filepath => filepath.substring(dirname.length + 1)));
+	};
+	const zonesA = zones(dirA), zonesB = zones(dirB);
+	const read = (dirname:string, name:string) => tzinfo.parseZoneinfo(fs.readFileSync(dirname + '/' + name));
+
+	let result = { onlyA: [] as string[], onlyB: [] as string[], changed: [] as {zone:string, first:string}[] };
+	for (const name of Array.from(new Set([...zonesA, ...zonesB])).sort()) {
+		if (!zonesB.has(name)) result.onlyA.push(name);
+		else if (!zonesA.has(name)) result.onlyB.push(name);
+		else {
+			const a = read(dirA, name), b = read(dirB, name);
+			const compared = a && b && tzinfo.compareZoneinfo(a, b, from, to);
+			const first = compared ? compared.first : from;
+			if (first !== false) result.changed.push({ zone: name, first: formatTime(first) });
+		}
+	}
+	const differ = !!(result.onlyA.length || result.onlyB.length || result.changed.length);
+	if (opts.json) return { output: result, differ: differ };
+	return { output: [
+		...result.onlyA.map(name => "only in " + dirA + ": " + name),
+		...result.onlyB.map(name => "only in " + dirB + ": " + name),
+		...result.changed.map(change => "differs: " + change.zone + " from " + change.first),
+	].join('\n'), differ: differ };
+}
+
+// run the tool with the arguments after the script name, return the exit status: 0 on success,
+// 1 if diff found differences, 2 on errors
+export function main( argv:string[], stdout:(text:string) => void, stderr:(text:string) => void ):Promise<number> {
+	const print = (output:string|object) => {
+		const text = (typeof output === 'string') ? output : JSON.stringify(output, null, 2);
+		if (text) stdout(text + '\n');
+	};
+	return Promise.resolve().then(() => {
+		const opts = parseArgs(argv);
+		if (opts.dir) tzinfo.setZoneinfoDirectory(opts.dir);
+		switch (opts.command) {
+		case 'help': print(usage); return 0;
+		case 'dump': print(dump(opts)); return 0;
+		case 'transitions': print(transitions(opts)); return 0;
+		case 'now': print(now(opts)); return 0;
+		case 'list': return list(opts).then(output => { print(output); return 0 });
+		case 'diff': {
+			const result = diff(opts);
+			print(result.output);
+			return result.differ ? 1 : 0;
+		}
+		case '': throw new UsageError("no command given");
+		default: throw new UsageError("unknown command " + opts.command);
+		}
+	}).catch((err:Error) => {
+		stderr("tzinfo: " + err.message + '\n');
+		if (err instanceof UsageError) stderr(usage + '\n');
+		return 2;
+	});
+}
+
+if (require.main === module) {
+	main(process.argv.slice(2), text => process.stdout.write(text), text => process.stderr.write(text)).then(status => {
+		process.exitCode = status;
+	});
+}
@@ -28,9 +28,11 @@
 
 
 import fs from 'fs';
-import { resolve } from 'path/posix';
+import { resolve, normalize } from 'path/posix';
+import { EventEmitter } from 'events';
 
-let  zoneinfoDir = locateZoneinfoDirectory();
+// without a zoneinfo directory zones can still come from other sources, see setZoneSource
+let  zoneinfoDir = (() => { try { return locateZoneinfoDirectory() } catch (e) { return '/usr/share/zoneinfo' } })();
 
 export interface tzinfo_change_t {
 	idx: number,
@@ -42,12 +44,12 @@ export interface tzinfo_change_t {
 
 export interface tzinfo_change_ex_t extends tzinfo_change_t {
 	startat:number; //miliseconds since epoch or 0 if unknown (better use ttimes_index for unknown indicator)
-	ttimes_index:number; //index to ttimes/types arrays or -1 if unknown
+	ttimes_index:number; //index to ttimes/types arrays or -1 if unknown, ttimes.length if computed from the footer rule
 }
 
 export interface info_t {
 	magic: string;              // 'TZif'
-	version: string;            // '\0' or '2'
+	version: string;            // '\0', '2', '3' or '4'
 
 	ttisgmtcnt: number,         // num gmt/local indicators stored in `ttisgmt`
 	ttisstdcnt: number,         // num standard/wall indicators stored in `ttisstd`
@@ -60,14 +62,55 @@ export interface info_t {
 	types:      number[],              // tzinfo index of each time transitioned to (timecnt)
 	tzinfo:     tzinfo_change_t[],     // tzinfo structs (typecnt)
 	abbrevs:    string,                // concatenated tz name abbreviations (asciiz strings totaling charcnt bytes)
-	leaps:      unknown[],             // leap second descriptors (leapcnt)
+	leaps:      leap_t[],              // leap second descriptors (leapcnt)
 	ttisstd:    unknown[],             // transitions of tzinfo were std or wallclock times (ttisstdcnt)
 	ttisgmt:    unknown[],             // transitions of tzinfo were UTC or local time (ttisgmtcnt)
 
+	footer:      string,                 // POSIX TZ string from the v2+ footer, '' if none
+	footer_rule: posix_tz_rule_t|false,  // parsed footer, false if none or not parseable
+
 	_v1end:  number,
 	_v2end:  number,
 }
 
+// a zone of packZoneinfos, unpackZoneinfos or a compact precache: its transition times and types are views on a
+// buffer shared with other zones
+export interface packed_info_t extends Omit<info_t, 'ttimes'|'types'> {
+	ttimes:     Float64Array,
+	types:      Uint8Array,
+}
+
+// a zone of either kind, as taken by the functions that only read zones
+export type any_info_t = info_t|packed_info_t;
+
+// a leap second record.  Times are on the time scale of the file, which for the right/ zones counts
+// leap seconds: the `time` of a positive leap second is that of the inserted 23:59:60 second itself.
+// In version 4 files the last record may repeat the correction of the one before, it then only marks
+// the expiry of the leap second table.
+export interface leap_t {
+	time: number,          // leap second occurs at
+	add:  number,          // total num seconds to add from then on
+}
+
+// a POSIX TZ date, eg "M3.5.0/3": the day (and local time) a rule starts or ends
+export interface posix_tz_date_t {
+	form:  'J'|'n'|'M',    // Jn: julian day 1..365 no leap day, n: zero based day 0..365, Mm.w.d: month/week/weekday
+	day:   number,         // J: 1..365, n: 0..365, M: weekday 0 (Sunday) .. 6
+	week:  number,         // M: 1..5, 5 meaning last in the month (0 for J and n forms)
+	month: number,         // M: 1..12 (0 for J and n forms)
+	time:  number,         // seconds after local midnight of that day, can be negative or above 24h
+}
+
+// a POSIX TZ string, eg "EET-2EEST,M3.5.0/3,M10.5.0/4"
+export interface posix_tz_rule_t {
+	std_abbrev: string,
+	std_gmtoff: number,                 // seconds to add to GMT to get standard localtime (note: sign inverted vs the string)
+	dst_abbrev: string,                 // '' if the zone does not observe DST
+	dst_gmtoff: number,                 // seconds to add to GMT to get DST localtime
+	dst_start:  posix_tz_date_t|undefined,
+	dst_end:    posix_tz_date_t|undefined,
+}
+
 // zoneinfo file layout: (see tzinfo(5) manpage)
 // header:
 //     20B: 'TZif' + <version> + <15 zero bytes>
@@ -81,22 +124,82 @@ export interface info_t {
 //     ttisstdcnt 1B std/wall times show whether transition times were std or wallclock (?)
 //     ttisgmtcnt 1B show whether transition times were gmt or local (?)
 //
-export function parseZoneinfo( buf:Buffer ):info_t|false {
-	let info = parseV1Zoneinfo(buf);
+// In strict mode the data is validated and a ZoneinfoParseError is thrown on the first
+// problem found, otherwise unusable data (bad magic, truncated) just returns false.
+export function parseZoneinfo( buf:Buffer, strict:boolean=false ):info_t|false {
+	let info = parseV1Zoneinfo(buf, strict);
 	if (info==false) return false;
 
-	if (info.version === '2') {
-		return parseV2Zoneinfo(buf, info._v1end);
+	// v3 only extends the footer TZ string, v4 only allows a truncated leap second
+	// table and an expiry record in it, both are laid out as v2
+	if (info.version !== '\0') {
+		return parseV2Zoneinfo(buf, info._v1end, strict);
 	}
 
 	return info;
 }
 
+export type zoneinfo_check_t = 'header'|'magic'|'version'|'counts'|'length'|'types'|'abbrind'|'ttimes'|'footer';
+
+export class ZoneinfoParseError extends Error {
+	constructor( message:string, public readonly check:zoneinfo_check_t, public readonly offset:number ) {
+		super(message + " at byte offset " + offset);
+		this.name = 'ZoneinfoParseError';
+	}
+}
+
+// throw in strict mode, else return false
+function parseFailure( strict:boolean, check:zoneinfo_check_t, offset:number, message:string ):false {
+	if (strict) throw new ZoneinfoParseError(message, check, offset);
+	return false;
+}
+
+// validate the header at hdrpos of a v1 (timesize 4) or v2 (timesize 8) data block
+function checkHeader( buf:Buffer, info:info_t, hdrpos:number, timesize:number, strict:boolean ):boolean {
+	if (buf.length < hdrpos + 44) return parseFailure(strict, 'header', hdrpos, "Truncated header");
+	if (info.magic !== 'TZif') return parseFailure(strict, 'magic', hdrpos, "Bad magic");
+	if (!isKnownVersion(info.version)) return parseFailure(strict, 'version', hdrpos + 4, "Unknown version");
+
+	const counts = [ info.ttisgmtcnt, info.ttisstdcnt, info.leapcnt, info.timecnt, info.typecnt, info.charcnt ];
+	for (let i=0; i<counts.length; i++) {
+		if (counts[i] < 0) return parseFailure(strict, 'counts', hdrpos + 20 + i*4, "Negative count");
+	}
+	if (strict && info.typecnt == 0) return parseFailure(strict, 'counts', hdrpos + 36, "Zero typecnt");
+	if (strict && info.typecnt > 256) return parseFailure(strict, 'counts', hdrpos + 36, "typecnt above 256");
+
+	const datalen = info.timecnt * (timesize + 1) + info.typecnt * 6 + info.charcnt +
+		info.leapcnt * (timesize + 4) + info.ttisstdcnt + info.ttisgmtcnt;
+	if (buf.length < hdrpos + 44 + datalen) {
+		return parseFailure(strict, 'length', buf.length, "Data of " + datalen + " bytes declared by the header exceeds the buffer");
+	}
+	return true;
+}
+
+// strict mode checks of the data decoded from the block starting at datapos
+function checkData( info:info_t, datapos:number, timesize:number ) {
+	for (let i=1; i<info.timecnt; i++) {
+		if (info.ttimes[i] <= info.ttimes[i-1]) {
+			throw new ZoneinfoParseError("Transition times not increasing", 'ttimes', datapos + i * timesize);
+		}
+	}
+	for (let i=0; i<info.timecnt; i++) {
+		if (info.types[i] >= info.typecnt) {
+			throw new ZoneinfoParseError("Type index " + info.types[i] + " not below typecnt " + info.typecnt, 'types', datapos + info.timecnt * timesize + i);
+		}
+	}
+	for (let i=0; i<info.typecnt; i++) {
+		if (info.tzinfo[i].tt_abbrind >= info.charcnt) {
+			throw new ZoneinfoParseError("Abbreviation index " + info.tzinfo[i].tt_abbrind + " not below charcnt " + info.charcnt, 'abbrind',
+				datapos + info.timecnt * (timesize + 1) + i * 6 + 5);
+		}
+	}
+}
+
 
-function parseV1Zoneinfo( buf:Buffer ):info_t|false {
+function parseV1Zoneinfo( buf:Buffer, strict:boolean ):info_t|false {
 	let info:info_t = {
 		magic:   buf.toString(undefined, 0, 4), // 'TZif'
-		version: buf.toString(undefined, 4, 5), // '\0' or '2'
+		version: buf.toString(undefined, 4, 5), // '\0', '2', '3' or '4'
 
 		ttisgmtcnt: readInt32(buf, 20),         // num gmt/local indicators stored in `ttisgmt`
 		ttisstdcnt: readInt32(buf, 24),         // num standard/wall indicators stored in `ttisstd`
@@ -113,12 +216,15 @@ function parseV1Zoneinfo( buf:Buffer ):info_t|false {
 		ttisstd:    new Array(),                // transitions of tzinfo were std or wallclock times (ttisstdcnt)
 		ttisgmt:    new Array(),                // transitions of tzinfo were UTC or local time (ttisgmtcnt)
 
+		footer:      '',                        // v1 data has no footer
+		footer_rule: false,
+
 		_v1end:  0,
 		_v2end:  0,
 	};
 	let pos = 4 + 1 + 15 + 24;                  // magic + version + reserved + header
 
-	if (info.magic !== 'TZif' || (info.version !== '\0' && info.version !== '2')) return false;
+	if (!checkHeader(buf, info, 0, 4, strict)) return false;
 
 	for (let i=0; i<info.timecnt; i++) {
 		info.ttimes[i] = readInt32(buf, pos);
@@ -166,10 +272,17 @@ function parseV1Zoneinfo( buf:Buffer ):info_t|false {
 
 	info._v1end = pos;
 
+	if (strict) checkData(info, 44, 4);
+
 	return info;
 }
 
-function parseV2Zoneinfo( buf:Buffer, pos:number ):info_t|false {
+function isKnownVersion( version:string ):boolean {
+	return version === '\0' || version === '2' || version === '3' || version === '4';
+}
+
+function parseV2Zoneinfo( buf:Buffer, pos:number, strict:boolean ):info_t|false {
+	const hdrpos = pos;
 	// read-read the V2 header, then the V2 data
 	let info:info_t = {
 		magic:   buf.toString(undefined, pos+0, pos+4),
@@ -190,13 +303,15 @@ function parseV2Zoneinfo( buf:Buffer, pos:number ):info_t|false {
 		ttisstd: new Array(),
 		ttisgmt: new Array(),
 
+		footer:      '',
+		footer_rule: false,
+
 		_v1end:  0,
 		_v2end:  0,
 	};
 	pos += 4 + 1 + 15 + 24;
 
-	// TODO: maybe should throw if not parseable
-	if (info.magic !== 'TZif' || (info.version !== '\0' && info.version !== '2')) return false;
+	if (!checkHeader(buf, info, hdrpos, 8, strict)) return false;
 
 	for (let i=0; i<info.timecnt; i++) {
 		info.ttimes[i] = readInt64(buf, pos);
@@ -234,328 +349,3608 @@ function parseV2Zoneinfo( buf:Buffer, pos:number ):info_t|false {
 
 	info._v2end = pos;
 
+	if (strict) checkData(info, hdrpos + 44, 8);
+
+	// newline enclosed POSIX TZ string describing times after the last transition
+	if (buf[pos] === 0x0a) {
+		let end = pos + 1;
+		while (end < buf.length && buf[end] !== 0x0a) end++;
+		if (end === buf.length) parseFailure(strict, 'footer', pos + 1, "Unterminated footer");
+		info.footer = buf.toString(undefined, pos + 1, end);
+		if (info.footer) {
+			try { info.footer_rule = parsePosixTz(info.footer) }
+			catch (e) {
+				if (strict) throw new ZoneinfoParseError((e as Error).message, 'footer', pos + 1);
+			}
+		}
+	}
+	else parseFailure(strict, 'footer', pos, "Missing footer");
+
 	return info;
 }
 
-// return the NUL-terminated string from buf at offset
-export function readStringZ( buf:Buffer, offset:number ):string {
-	let end=offset;
-	for (; buf[end]; end++) ;
-	return buf.toString(undefined, offset, end);
-}
-export function readInt32( buf:Buffer, offset:number ):number {
-	let val = (buf[offset++] * 0x1000000) + (buf[offset++] << 16) + (buf[offset++] << 8) + buf[offset++];
-	return (val & 0x80000000) ? val - 0x100000000 : val;
+// parse a POSIX TZ string like "EST5EDT,M3.2.0,M11.1.0" or "<+0530>-5:30"
+// Throws if the string is malformed.
+export function parsePosixTz( tz:string ):posix_tz_rule_t {
+	let pos = 0;
+
+	const fail = (what:string):never => {
+		throw new Error("Invalid POSIX TZ string \"" + tz + "\": " + what + " at position " + pos);
+	}
+
+	const parseAbbrev = ():string => {
+		let m;
+		if (tz[pos] === '<') {
+			m = /^<([A-Za-z0-9+-]{3,})>/.exec(tz.substring(pos));
+			if (!m) fail("bad quoted abbreviation");
+		} else {
+			m = /^([A-Za-z]{3,})/.exec(tz.substring(pos));
+			if (!m) fail("bad abbreviation");
+		}
+		pos += m![0].length;
+		return m![1];
+	}
+
+	// [+-]hh[:mm[:ss]] in seconds; offsets have hours up to 24, rule times up to 167 as allowed by TZif v3
+	const parseTime = (what:string, maxHours:number):number => {
+		const m = /^([+-]?)(\d{1,3})(?::(\d{1,2})(?::(\d{1,2}))?)?/.exec(tz.substring(pos));
+		if (!m) return fail("bad " + what);
+		const hh = +m[2], mm = m[3] ? +m[3] : 0, ss = m[4] ? +m[4] : 0;
+		if (hh > maxHours || mm > 59 || ss > 59) fail(what + " out of range");
+		pos += m[0].length;
+		const secs = hh * 3600 + mm * 60 + ss;
+		return m[1] === '-' ? -secs : secs;
+	}
+
+	const parseDate = ():posix_tz_date_t => {
+		let date:posix_tz_date_t;
+		let m;
+		if ((m = /^M(\d{1,2})\.(\d)\.(\d)/.exec(tz.substring(pos)))) {
+			date = { form: 'M', month: +m[1], week: +m[2], day: +m[3], time: 7200 };
+			if (date.month < 1 || date.month > 12 || date.week < 1 || date.week > 5 || date.day > 6) fail("date out of range");
+		} else if ((m = /^J(\d{1,3})/.exec(tz.substring(pos)))) {
+			date = { form: 'J', month: 0, week: 0, day: +m[1], time: 7200 };
+			if (date.day < 1 || date.day > 365) fail("julian day out of range");
+		} else if ((m = /^(\d{1,3})/.exec(tz.substring(pos)))) {
+			date = { form: 'n', month: 0, week: 0, day: +m[1], time: 7200 };
+			if (date.day > 365) fail("day out of range");
+		} else {
+			return fail("bad date");
+		}
+		pos += m[0].length;
+		if (tz[pos] === '/') {
+			pos++;
+			date.time = parseTime("rule time", 167);
+		}
+		return date;
+	}
+
+	const rule:posix_tz_rule_t = {
+		std_abbrev: '', std_gmtoff: 0,
+		dst_abbrev: '', dst_gmtoff: 0,
+		dst_start: undefined, dst_end: undefined,
+	};
+
+	rule.std_abbrev = parseAbbrev();
+	// offsets are west of GMT in the string; 0 - x rather than -x so UTC0 does not give -0
+	rule.std_gmtoff = 0 - parseTime("offset", 24);
+	if (pos < tz.length) {
+		rule.dst_abbrev = parseAbbrev();
+		rule.dst_gmtoff = rule.std_gmtoff + 3600;
+		if (pos < tz.length && tz[pos] !== ',') rule.dst_gmtoff = 0 - parseTime("DST offset", 24);
+		if (pos < tz.length) {
+			if (tz[pos++] !== ',') fail("expected ','");
+			rule.dst_start = parseDate();
+			if (tz[pos++] !== ',') fail("expected ','");
+			rule.dst_end = parseDate();
+		} else {
+			// no rule given, use the US rules as tzcode does
+			rule.dst_start = { form: 'M', month: 3,  week: 2, day: 0, time: 7200 };
+			rule.dst_end   = { form: 'M', month: 11, week: 1, day: 0, time: 7200 };
+		}
+		if (pos < tz.length) fail("unexpected trailing characters");
+	}
+
+	return rule;
 }
-export function readInt64( buf:Buffer, offset:number ):number {
-	if (buf[offset] & 0x80) {
-		// negative
-		// a large negative eg FFFE can be built out of a scaled negative prefix FF * 256 and
-		// and a positive additive offset FE, ie (-1 * 256) + 254 = -2.
-		let v1 = readInt32(buf, offset);
-		let v2 = readInt32(buf, offset + 4);
-		if (v2 < 0) v2 += 0x100000000;
-		return v1 * 0x100000000 + v2;
-	} else {
-		// positive
-		let uval = 0;
-		for (let i=offset; i<offset+8; i++) uval = (uval * 256) + buf[i];
-		return uval;
+
+// local midnight of a POSIX TZ date in the given year, in seconds since epoch as if local time were UTC
+function posixDateDay( date:posix_tz_date_t, year:number ):number {
+	if (date.form === 'M') {
+		const first = Date.UTC(year, date.month - 1, 1);
+		const dow = new Date(first).getUTCDay();
+		const daysInMonth = new Date(Date.UTC(year, date.month, 0)).getUTCDate();
+		let mday = 1 + (date.day - dow + 7) % 7 + (date.week - 1) * 7;
+		while (mday > daysInMonth) mday -= 7;
+		return first / 1000 + (mday - 1) * 86400;
+	}
+	let yday = date.day;
+	if (date.form === 'J') {
+		// Jn counts 1..365 and never counts Feb 29
+		yday = date.day - 1;
+		if (yday >= 59 && isLeapYear(year)) yday++;
 	}
+	return Date.UTC(year, 0, 1) / 1000 + yday * 86400;
 }
 
+function isLeapYear( year:number ):boolean {
+	return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
 
-export function locateZoneinfoDirectory( ):string {
-	let tryDirs = [
-		'/usr/share/zoneinfo',
-		'/usr/lib/zoneinfo',
-	];
-	for (let i=0; i<tryDirs.length; i++) {
-		try {
-			let stat = fs.statSync(tryDirs[i]);
-			if (stat.isDirectory()) return tryDirs[i];
-		}
-		catch (e) { }
+// the DST transitions a rule makes in the given years, sorted, as seconds since epoch
+// and whether DST is in effect from then on.  Redundant transitions are dropped, so
+// that rules with DST all year round (eg "EST5EDT,0/0,J365/25") produce none.
+// The neighbouring years are computed too, for transitions that cross the year boundary.
+function posixTransitions( rule:posix_tz_rule_t, fromYear:number, toYear:number ):{at:number, isdst:boolean}[] {
+	if (!rule.dst_start || !rule.dst_end) return [];
+	let list:{at:number, isdst:boolean}[] = [];
+	for (let year = fromYear - 1; year <= toYear + 1; year++) {
+		list.push({ at: posixDateDay(rule.dst_end, year) + rule.dst_end.time - rule.dst_gmtoff, isdst: false });
+		list.push({ at: posixDateDay(rule.dst_start, year) + rule.dst_start.time - rule.std_gmtoff, isdst: true });
 	}
-	throw new Error("tzinfo files not found");
+	// stable sort keeps a DST end before a DST start occurring at the same instant
+	list.sort((a, b) => a.at - b.at);
+	let ret:{at:number, isdst:boolean}[] = [];
+	for (let i=0; i<list.length; i++) {
+		if (i+1 < list.length && list[i+1].at === list[i].at) continue;
+		if (ret.length && ret[ret.length-1].isdst === list[i].isdst) continue;
+		ret.push(list[i]);
+	}
+	const from = Date.UTC(fromYear, 0, 1) / 1000, to = Date.UTC(toYear + 1, 0, 1) / 1000;
+	return ret.filter((tr) => tr.at >= from && tr.at < to);
 }
 
-export function readZoneinfoFileSync( tzname:string ):Buffer {
-	let filepath = zoneinfoDir + '/' + tzname;
-	return fs.readFileSync(filepath);
+// build the tzinfo for a transition computed from the footer rule, reusing
+// the matching tzinfo struct of the zone if there is one
+function footerTzinfo( info:any_info_t, rule:posix_tz_rule_t, isdst:boolean, at:number ):tzinfo_change_ex_t {
+	const gmtoff = isdst ? rule.dst_gmtoff : rule.std_gmtoff;
+	const abbrev = isdst ? rule.dst_abbrev : rule.std_abbrev;
+	for (const zi of info.tzinfo) {
+		if (zi.tt_gmtoff === gmtoff && !!zi.tt_isdst === isdst && zi.abbrev === abbrev) {
+			return { startat: at * 1000, ttimes_index: info.ttimes.length, ...zi };
+		}
+	}
+	return { startat: at * 1000, ttimes_index: info.ttimes.length, idx: -1, tt_gmtoff: gmtoff, tt_isdst: isdst ? 1 : 0, tt_abbrind: -1, abbrev: abbrev };
 }
 
-export function readZoneinfoFile( tzname:string ):Promise<Buffer> ;
-export function readZoneinfoFile( tzname:string, cb:(err: NodeJS.ErrnoException | null, data: Buffer) => void ):void ;
-export function readZoneinfoFile( tzname:string, cb?:(err: NodeJS.ErrnoException | null, data: Buffer) => void ):void|Promise<Buffer> {
-	let filepath = zoneinfoDir + '/' + tzname;
-	if (cb) {
-		return fs.readFile(filepath, cb);
+// the latest footer rule transition at or before seconds but after the last stored transition
+function findFooterTzinfo( info:any_info_t, seconds:number ):tzinfo_change_ex_t|false {
+	const rule = info.footer_rule;
+	if (!rule || !rule.dst_start) return false;
+	const last = info.ttimes.length ? info.ttimes[info.ttimes.length - 1] : -Infinity;
+	if (seconds <= last) return false;
+	const year = new Date(seconds * 1000).getUTCFullYear();
+	const list = posixTransitions(rule, year - 1, year + 1);
+	for (let i=list.length-1; i>=0; i--) {
+		if (list[i].at <= seconds) {
+			if (list[i].at <= last) return false;
+			return footerTzinfo(info, rule, list[i].isdst, list[i].at);
+		}
 	}
-	return new Promise((resolve,reject)=>{
-		fs.readFile(filepath, (err,data)=>{
-			if (err) return reject(err);
-			resolve(data);
-		});
-	});
+	return false;
 }
 
-export function findTzinfo( info:info_t, date:number|Date|string, firstIfTooOld:boolean ) : false|tzinfo_change_ex_t {
-	let seconds = ((typeof date === 'number') ? date :          // milliseconds
-				   (date instanceof Date) ? date.getTime() :    // Date object
-				   new Date(date).getTime());                   // datetime string
-	seconds = Math.floor(seconds / 1000);
+// the first footer rule transition after seconds that changes the tzinfo from current
+function nextFooterTzinfo( info:any_info_t, current:tzinfo_change_t, seconds:number ):tzinfo_change_ex_t|false {
+	const rule = info.footer_rule;
+	if (!rule || !rule.dst_start) return false;
+	const year = new Date(seconds * 1000).getUTCFullYear();
+	const list = posixTransitions(rule, year - 1, year + 2);
+	for (const tr of list) {
+		if (tr.at <= seconds) continue;
+		const next = footerTzinfo(info, rule, tr.isdst, tr.at);
+		if (next.tt_gmtoff !== current.tt_gmtoff || next.tt_isdst !== current.tt_isdst || next.abbrev !== current.abbrev) return next;
+	}
+	return false;
+}
 
-	let index = absearch(info.ttimes, seconds);
+// build the zone of a bare POSIX TZ string like "CET-1CEST,M3.5.0,M10.5.0/3": an info_t without stored
+// transitions and the string as its footer, so findTzinfo and nextTzinfo compute the changes of any year.
+// Throws like parsePosixTz for malformed strings.
+export function parsePosixZoneinfo( tz:string ):info_t {
+	const rule = parsePosixTz(tz);
+	let info:info_t = {
+		magic: 'TZif', version: '2',
+		ttisgmtcnt: 0, ttisstdcnt: 0, leapcnt: 0, timecnt: 0, typecnt: 0, charcnt: 0,
+		ttimes: [], types: [], tzinfo: [], abbrevs: '',
+		leaps: [], ttisstd: [], ttisgmt: [],
+		footer: tz, footer_rule: rule,
+		_v1end: 0, _v2end: 0,
+	};
+	const addType = (gmtoff:number, isdst:number, abbrev:string) => {
+		let abbrind = info.abbrevs.indexOf(abbrev + '\0');
+		if (abbrind < 0) {
+			abbrind = info.abbrevs.length;
+			info.abbrevs += abbrev + '\0';
+		}
+		info.tzinfo.push({ idx: info.tzinfo.length, tt_gmtoff: gmtoff, tt_isdst: isdst, tt_abbrind: abbrind, abbrev: abbrev });
+	};
+	// a rule with DST all year round makes no transitions, so its DST type goes first to be found
+	if (rule.dst_start && !posixTransitions(rule, 2000, 2001).length) addType(rule.dst_gmtoff, 1, rule.dst_abbrev);
+	addType(rule.std_gmtoff, 0, rule.std_abbrev);
+	if (rule.dst_abbrev && info.tzinfo.length < 2) addType(rule.dst_gmtoff, 1, rule.dst_abbrev);
+	info.typecnt = info.tzinfo.length;
+	info.charcnt = Buffer.byteLength(info.abbrevs);
+	return info;
+}
 
-	// if found, return the zoneinfo associated with the preceding time transition
-	//   info.ttimes[] is the sorted array of time trantision unix timestamps
-	//   info.types[] is the array of tzinfo[] indexes matching the time transitions
-	//   info.tzinfo[] is the array of zoneinfo information
-	if (index >= 0) return {startat:info.ttimes[index]*1000, ttimes_index:index, ...info.tzinfo[info.types[index]]};
+export interface serialize_options_t {
+	version?: '2'|'3'|'4',      // version to write, default the version of info ('2' for v1 info)
+	slim?:    boolean,          // write a minimal v1 data block like `zic -b slim`, default false
+}
 
-	// if there are no time transitions but yes tzinfo, return the tzinfo (to always find GMT/UTC)
-	if (!info.timecnt && info.typecnt) return {startat:0, ttimes_index:-1, ...info.tzinfo[0]};
+// the contents of one zoneinfo data block
+interface datablock_t {
+	ttimes:  number[],
+	types:   number[],
+	tzinfo:  { tt_gmtoff:number, tt_isdst:number, tt_abbrind:number }[],
+	abbrevs: Buffer,
+	leaps:   leap_t[],
+	ttisstd: number[],
+	ttisgmt: number[],
+}
 
-	// if timestamp is before first transition, optionally return the oldest known tzinfo
-	if (firstIfTooOld && info.typecnt) return {startat:0, ttimes_index:-1, ...info.tzinfo[info.types[0]]};
+// serialize info into zoneinfo file contents: a v1 data block with the transitions that fit
+// in 32 bits, the full 64-bit v2 data block, and the footer.  The v1 block is built like zic
+// does, so zoneinfo files written by zic in "fat" mode round-trip byte identical.
+export function serializeZoneinfo( info:any_info_t, options?:serialize_options_t ):Buffer {
+	const version = (options && options.version) || (info.version === '\0' ? '2' : info.version);
+	if (!isKnownVersion(version) || version === '\0') throw new Error("Cannot write zoneinfo version " + JSON.stringify(version));
+
+	const v2:datablock_t = {
+		ttimes:  Array.from(info.ttimes),
+		types:   Array.from(info.types),
+		tzinfo:  info.tzinfo,
+		abbrevs: Buffer.from(info.abbrevs),
+		leaps:   info.leaps,
+		ttisstd: info.ttisstd as number[],
+		ttisgmt: info.ttisgmt as number[],
+	};
+	const v1 = (options && options.slim) ? slimDataBlock() : v1DataBlock(v2);
 
-	return false;
+	return Buffer.concat([
+		writeDataBlock(version, v1, 4),
+		writeDataBlock(version, v2, 8),
+		Buffer.from('\n' + info.footer + '\n'),
+	]);
 }
 
-export function nextTzinfo( info:info_t, current: tzinfo_change_ex_t) : false|tzinfo_change_ex_t {
-	if (current.ttimes_index==-1 || current.ttimes_index+1>=info.ttimes.length) return false;
-	const nexti=current.ttimes_index+1;
-	const typ=info.types[nexti];
-	if (typ>=info.tzinfo.length) return false;
-	return {ttimes_index:nexti,startat:info.ttimes[nexti]*1000, ...info.tzinfo[typ]};
+// the placeholder v1 block written by `zic -b slim`: a single UT type and no transitions
+function slimDataBlock( ):datablock_t {
+	return {
+		ttimes: [], types: [], tzinfo: [ { tt_gmtoff: 0, tt_isdst: 0, tt_abbrind: 0 } ], abbrevs: Buffer.alloc(1),
+		leaps: [], ttisstd: [], ttisgmt: [],
+	};
 }
 
-// search the sorted array for the index of the largest element
-// not greater than val.  Returns the index of the element if found, else -1.
-export function absearch( array:number[], val:number ) {
-	let hi, lo, mid;
+// the v1 subset of the v2 data: the transitions within 32-bit range, with a transition at -2**31
+// to the tzinfo then in effect if earlier ones were dropped, and the tzinfo structs minus those
+// only used by dropped transitions, with their abbreviations.
+function v1DataBlock( v2:datablock_t ):datablock_t {
+	const min = -0x80000000, max = 0x7fffffff;
+
+	let ttimes:number[] = [], oldtypes:number[] = [];
+	for (let i=0; i<v2.ttimes.length; i++) {
+		if (v2.ttimes[i] < min || v2.ttimes[i] > max) continue;
+		if (!ttimes.length && i > 0) {
+			ttimes.push(min);
+			oldtypes.push(v2.types[i-1]);
+		}
+		ttimes.push(v2.ttimes[i]);
+		oldtypes.push(v2.types[i]);
+	}
+	if (!ttimes.length && v2.ttimes.length && v2.ttimes[v2.ttimes.length-1] < min) {
+		ttimes.push(min);
+		oldtypes.push(v2.types[v2.types.length-1]);
+	}
 
-	// binary search to approximate the location of val
-	for (lo = 0, hi = array.length - 1; (hi - lo) > 15; ) {
-		mid = ((hi + lo) / 2) >>> 0;
-		if (val < array[mid]) hi = mid - 1;
-		else lo = mid;
+	// like zic, only omit the types all transitions to which were dropped
+	let used = new Array<boolean>(v2.tzinfo.length).fill(true);
+	for (const typ of v2.types) used[typ] = false;
+	used[0] = true;
+	for (const typ of oldtypes) used[typ] = true;
+
+	// zic writes the abbreviations in the order it created the types in, then swaps the
+	// first type with the type for times before any transition to make that type 0.
+	// Undo that swap for the v2 data (the first type has the first abbreviation), keep
+	// the types still used in that order and redo the swap for the v1 data.
+	let order:number[] = [];
+	for (let i=0; i<v2.tzinfo.length; i++) order.push(i);
+	const firstabbrind = Math.min(...v2.tzinfo.map(zi => zi.tt_abbrind));
+	if (v2.tzinfo.length && v2.tzinfo[0].tt_abbrind !== firstabbrind) {
+		const k = v2.tzinfo.findIndex(zi => zi.tt_abbrind === firstabbrind);
+		order[0] = k;
+		order[k] = 0;
 	}
+	order = order.filter(i => used[i]);
 
-	// once close enough, switch to linear search for speed
-	// scan to find the first element larger than val
-	while (lo <= hi && array[lo] <= val) lo++;
+	let chars = '';
+	for (const i of order) {
+		const abbrev = readStringZ(v2.abbrevs, v2.tzinfo[i].tt_abbrind);
+		if (chars.indexOf(abbrev + '\0') < 0) chars += abbrev + '\0';
+	}
 
-	// if such an element exists, we want the preceding element thats <= val
-	if (lo > 0) return lo - 1;
+	const k = order.indexOf(0);
+	order[k] = order[0];
+	order[0] = 0;
+
+	const block:datablock_t = { ttimes: ttimes, types: [], tzinfo: [], abbrevs: Buffer.from(chars), leaps: [], ttisstd: [], ttisgmt: [] };
+	let typemap:number[] = [];
+	for (const i of order) {
+		typemap[i] = block.tzinfo.length;
+		const abbrind = chars.indexOf(readStringZ(v2.abbrevs, v2.tzinfo[i].tt_abbrind) + '\0');
+		block.tzinfo.push({ tt_gmtoff: v2.tzinfo[i].tt_gmtoff, tt_isdst: v2.tzinfo[i].tt_isdst, tt_abbrind: abbrind });
+		block.ttisstd.push(v2.ttisstd[i] ? 1 : 0);
+		block.ttisgmt.push(v2.ttisgmt[i] ? 1 : 0);
+	}
+	// the indicators are all written only if any is set
+	if (!block.ttisstd.some(std => std)) block.ttisstd = [];
+	if (!block.ttisgmt.some(gmt => gmt)) block.ttisgmt = [];
+	block.types = oldtypes.map(typ => typemap[typ]);
+	block.leaps = v2.leaps.filter(leap => leap.time >= min && leap.time <= max);
+	return block;
+}
 
-	// if val is less than all elements in the array, return -1
-	return -1;
+// header and data of a v1 (timesize 4) or v2 (timesize 8) block
+function writeDataBlock( version:string, block:datablock_t, timesize:number ):Buffer {
+	const datalen = block.ttimes.length * (timesize + 1) + block.tzinfo.length * 6 + block.abbrevs.length +
+		block.leaps.length * (timesize + 4) + block.ttisstd.length + block.ttisgmt.length;
+	const buf = Buffer.alloc(44 + datalen);
+	const writeTime = (value:number, offset:number) => {
+		if (timesize == 4) writeInt32(buf, value, offset);
+		else writeInt64(buf, value, offset);
+	};
+
+	buf.write('TZif', 0);
+	buf.write(version, 4);
+	writeInt32(buf, block.ttisgmt.length, 20);
+	writeInt32(buf, block.ttisstd.length, 24);
+	writeInt32(buf, block.leaps.length, 28);
+	writeInt32(buf, block.ttimes.length, 32);
+	writeInt32(buf, block.tzinfo.length, 36);
+	writeInt32(buf, block.abbrevs.length, 40);
+	let pos = 44;
+
+	for (const ttime of block.ttimes) {
+		writeTime(ttime, pos);
+		pos += timesize;
+	}
+	for (const typ of block.types) {
+		buf[pos++] = typ;
+	}
+	for (const zi of block.tzinfo) {
+		writeInt32(buf, zi.tt_gmtoff, pos);
+		buf[pos+4] = zi.tt_isdst;
+		buf[pos+5] = zi.tt_abbrind;
+		pos += 6;
+	}
+	block.abbrevs.copy(buf, pos);
+	pos += block.abbrevs.length;
+	for (const leap of block.leaps) {
+		writeTime(leap.time, pos);
+		writeInt32(buf, leap.add, pos + timesize);
+		pos += timesize + 4;
+	}
+	for (const std of block.ttisstd) {
+		buf[pos++] = std;
+	}
+	for (const gmt of block.ttisgmt) {
+		buf[pos++] = gmt;
+	}
+	return buf;
 }
 
-export function getZoneinfoDirectory( ) {
-	return zoneinfoDir;
+function writeInt32( buf:Buffer, value:number, offset:number ) {
+	buf.writeInt32BE(value, offset);
 }
 
-export function setZoneinfoDirectory(dir:string) {
-	zoneinfoDir=dir;
-	while (zoneinfoDir.endsWith('/')) zoneinfoDir=zoneinfoDir.substring(0,zoneinfoDir.length-1);
+function writeInt64( buf:Buffer, value:number, offset:number ) {
+	const hi = Math.floor(value / 0x100000000);
+	buf.writeInt32BE(hi, offset);
+	buf.writeUInt32BE(value - hi * 0x100000000, offset + 4);
 }
 
-// find the names of all the zoneinfo files on the system.
-// This is a blocking operation, so call it only on startup.
-// The list is small, 80 kb or so, so can be cached.
-export function listZoneinfoFiles( dirname:string|undefined, strip_prefix:boolean=false ):string[] {
+// tzdata source files (africa, europe, ..., or the combined tzdata.zi) as read by zic, see zic(8)
+export interface tzsource_t {
+	version: string,                            // from a "# version" comment, '' if none seen
+	rules:   Map<string, tzsource_rule_t[]>,    // Rule lines by rule name
+	zones:   Map<string, tzsource_zone_t[]>,    // Zone and continuation lines by zone name
+	links:   Map<string, string>,               // Link target by link name
+}
 
-	if (dirname==undefined) dirname=zoneinfoDir;
-	
-	while (dirname.endsWith('/')) dirname=dirname.substring(0,dirname.length-1);
-	
-	let files;
-	try {
-		files = fs.readdirSync(dirname);
-	} catch (err) {
-		return [];
-	}
-	let tzfiles:string[] = new Array();
+// day of month spec: 5, lastSun, Sun>=8 or Sun<=25
+export interface tzsource_day_t {
+	kind: 'dom'|'last'|'ge'|'le',
+	dom:  number,               // day of month (0 for last)
+	wday: number,               // weekday 0 (Sunday) .. 6 (-1 for dom)
+}
 
-	let stat, buf = Buffer.alloc(8);
-	for (let i=0; i<files.length; i++) {
-		let filepath = dirname + '/' + files[i];
-		try {
-			stat = fs.statSync(filepath);
-			if (stat.isDirectory()) {
-				let moreTzfiles = listZoneinfoFiles(filepath,false);
-				if (strip_prefix==false) {
-					tzfiles = tzfiles.concat(moreTzfiles);
-				} else {
-					for (let f of moreTzfiles) {
-						tzfiles.push(f.substring(zoneinfoDir.length+1));
-					}
-				}
-			}
-			else {
-				let fd = fs.openSync(filepath, 'r');
-				fs.readSync(fd, buf, 0, 5, 0);
-				fs.closeSync(fd);
-				if (buf.toString(undefined, 0, 4) === 'TZif') {
-					if (strip_prefix==false) {
-						tzfiles.push(filepath);
-					} else {
-						tzfiles.push(filepath.substring(zoneinfoDir.length+1));
-					}
-				}
-			}
-		} catch(e) { }
-	}
+// a time of day with zic's suffix: wall clock (none or w), standard (s) or universal (u, g, z) time
+export interface tzsource_time_t {
+	time:     number,           // seconds
+	time_std: boolean,          // true for s and u
+	time_ut:  boolean,          // true for u
+}
 
-	return tzfiles;
+export interface tzsource_rule_t extends tzsource_time_t {
+	from:    number,            // first year, -Infinity for min
+	to:      number,            // last year, Infinity for max
+	month:   number,            // 0..11
+	day:     tzsource_day_t,
+	save:    number,            // seconds added to standard time
+	isdst:   boolean,
+	letters: string,            // replaces %s in the zone format
 }
 
-let lczones2zi:Map<string,info_t>|undefined=undefined;
-let realnames=new Map<string,string>();
-let infocache=new Map<string,info_t>();
+export interface tzsource_until_t extends tzsource_time_t {
+	year:  number,
+	month: number,              // 0..11
+	day:   tzsource_day_t,
+}
 
-export function precacheZones(capture_canonical_names?:string[]):Promise<true> {
-	const zimap=new Map<string,info_t>();
-	return  new Promise(resolve=>{
-		precacheZonesInDir(zoneinfoDir,zimap,capture_canonical_names).then(()=>{
-			lczones2zi=zimap;
-			resolve(true);
-		}).catch(()=>{
-			resolve(true);
-		});
-	});
+export interface tzsource_zone_t {
+	stdoff: number,             // seconds to add to GMT to get standard time
+	rules:  string,             // name of the rules in effect, '' for fixed `save`
+	save:   number,
+	isdst:  boolean,
+	format: string,             // abbreviation format, eg E%sT, GMT/BST or %z
+	until:  tzsource_until_t|undefined,
 }
 
-function precacheZonesInDir(dirname:string, zimap:Map<string,info_t>,capture_canonical_names?:string[]):Promise<true> {return new Promise(resolve=>{
-	while (dirname.endsWith('/')) dirname=dirname.substring(0,dirname.length-1);
-	fs.readdir(dirname,(err,files)=>{
-		if (err) return resolve(true);
-		let totry=files.length;
-		for (const f of files) {
-			let filepath = dirname + '/' + f;
-			const zinfo=infocache.get(filepath);
-			if (zinfo) {
-				const canonical_name=filepath.substring(zoneinfoDir.length+1);
-				if (capture_canonical_names) capture_canonical_names.push(canonical_name)
-				zimap.set(canonical_name.toLocaleLowerCase(),zinfo);
-				totry--;
-				if (totry==0) {
-					return resolve(true);
-				}
+// parse tzdata source text and add its rules, zones and links to `source` (or a new tzsource_t).
+// Both the long and the abbreviated forms of tzdata.zi are understood.  Throws on malformed lines.
+export function parseTzSource( text:string, source?:tzsource_t ):tzsource_t {
+	if (!source) source = { version: '', rules: new Map(), zones: new Map(), links: new Map() };
+
+	const lines = text.split('\n');
+	let zone:tzsource_zone_t[]|undefined = undefined;   // set while expecting a continuation line
+	for (let lineno=1; lineno<=lines.length; lineno++) {
+		let line = lines[lineno-1];
+		const version = /^#\s*version\s+(\S+)/.exec(line);
+		if (version) source.version = version[1];
+
+		const fields = splitSourceLine(line);
+		if (!fields.length) continue;
+		try {
+			if (zone) {
+				zone = parseZoneFields(fields, 0, zone);
 				continue;
 			}
-			fs.stat(filepath,(err,stat)=>{
-				if (err) {
-					totry--; 
-					if (totry==0) resolve(true);
-					return
+			switch (byword(fields[0], [ 'Rule', 'Zone', 'Link' ])) {
+				case 'Rule': {
+					if (fields.length != 10) throw new Error("wrong number of fields on Rule line");
+					const rule = parseRuleFields(fields);
+					let list = source.rules.get(fields[1]);
+					if (!list) source.rules.set(fields[1], list = []);
+					list.push(rule);
+					break;
 				}
-				if (stat.isDirectory()) {
-					precacheZonesInDir(filepath,zimap,capture_canonical_names).then (()=>{
-						totry--;
-						if (totry==0) resolve(true);
-					}).catch(()=>{
-						totry--;
-						if (totry==0) resolve(true);
-					})
-				} else {
-					fs.realpath(filepath,(err, resolvedpath)=>{
-						if (err) {
-							realnames.set(filepath,'!!'+filepath); //set negative cache
-							totry--;
-							if (totry==0) resolve(true);
-							return;
-						}
-						fs.readFile(resolvedpath, (err,filedata)=>{
-							if (err) {
-								realnames.set(filepath,'!!'+filepath);//set negative cache
-								totry--;
-								if (totry==0) resolve(true);
-								return;
-							}
-							const zinfo=parseZoneinfo(filedata);
-							if(zinfo==false) {
-								realnames.set(filepath,'!!'+filepath);//set negative cache
-								totry--;
-								if (totry==0) resolve(true);
-								return;
-							}
-							realnames.set(filepath,resolvedpath);
-							infocache.set(resolvedpath,zinfo);
-							const canonical_name=filepath.substring(zoneinfoDir.length+1);
-							if (capture_canonical_names) capture_canonical_names.push(canonical_name)
-							zimap.set(canonical_name.toLocaleLowerCase(),zinfo);
-							totry--;
-							if (totry==0) resolve(true);
-						});
-					});
+				case 'Zone': {
+					if (fields.length < 5 || fields.length > 9) throw new Error("wrong number of fields on Zone line");
+					if (source.zones.has(fields[1])) throw new Error("duplicate zone name " + fields[1]);
+					const zonelines:tzsource_zone_t[] = [];
+					source.zones.set(fields[1], zonelines);
+					zone = parseZoneFields(fields, 2, zonelines);
+					break;
 				}
-			})
+				case 'Link': {
+					if (fields.length != 3) throw new Error("wrong number of fields on Link line");
+					source.links.set(fields[2], fields[1]);
+					break;
+				}
+				default:
+					// leap second lines belong to the leapseconds file, they do not affect zones
+					if (!byword(fields[0], [ 'Leap', 'Expires' ])) throw new Error("input line of unknown type");
+					break;
+			}
+		} catch (e) {
+			throw new Error("tzdata source line " + lineno + ": " + (e as Error).message);
 		}
-	});
-})}
-
+	}
+	if (zone) throw new Error("tzdata source ends while expecting a Zone continuation line");
+	return source;
+}
 
-export function getPreCachedZoneInfo(zonename:string):info_t|false {
-	
-	if (lczones2zi) {
-		const zi=lczones2zi.get(zonename.toLowerCase());
-		if (zi) return zi;
+// split a source line into fields, dropping comments, honoring double quotes
+function splitSourceLine( line:string ):string[] {
+	let fields:string[] = [];
+	let m;
+	const re = /\s*(?:"([^"]*)"|([^\s"#]+)|(#.*))/g;
+	while ((m = re.exec(line)) && m[0].length) {
+		if (m[3] !== undefined) break;
+		fields.push(m[1] !== undefined ? m[1] : m[2]);
 	}
-	return false;
+	return fields;
+}
+
+// zic style keyword lookup: case insensitive, unambiguous prefixes allowed
+function byword( word:string, table:string[] ):string|undefined {
+	const lword = word.toLowerCase();
+	let found:string|undefined = undefined;
+	for (const entry of table) {
+		const lentry = entry.toLowerCase();
+		if (lentry === lword) return entry;
+		if (lentry.startsWith(lword)) {
+			if (found) return undefined;
+			found = entry;
+		}
+	}
+	return found;
+}
+
+const monthNames = [ 'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December' ];
+const wdayNames = [ 'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday' ];
+
+function parseMonth( word:string ):number {
+	const month = monthNames.indexOf(byword(word, monthNames) || '');
+	if (month < 0) throw new Error("invalid month name " + word);
+	return month;
+}
+
+function parseWday( word:string ):number {
+	const wday = wdayNames.indexOf(byword(word, wdayNames) || '');
+	if (wday < 0) throw new Error("invalid weekday name " + word);
+	return wday;
+}
+
+function parseDay( word:string ):tzsource_day_t {
+	let m;
+	if (/^\d+$/.test(word)) {
+		const dom = +word;
+		if (dom < 1 || dom > 31) throw new Error("invalid day of month " + word);
+		return { kind: 'dom', dom: dom, wday: -1 };
+	}
+	if (/^last/i.test(word)) return { kind: 'last', dom: 0, wday: parseWday(word.substring(4)) };
+	if ((m = /^([A-Za-z]+)(>=|<=)(\d+)$/.exec(word))) {
+		const dom = +m[3];
+		if (dom < 1 || dom > 31) throw new Error("invalid day of month " + word);
+		return { kind: m[2] === '>=' ? 'ge' : 'le', dom: dom, wday: parseWday(m[1]) };
+	}
+	throw new Error("invalid day of month " + word);
+}
+
+// [-]hh[:mm[:ss[.frac]]] in seconds, "-" meaning 0
+function parseHms( word:string, what:string ):number {
+	if (word === '-') return 0;
+	const m = /^(-)?(\d+)(?::(\d+)(?::(\d+)(?:\.\d*)?)?)?$/.exec(word);
+	if (!m) throw new Error("invalid " + what + " " + word);
+	const secs = +m[2] * 3600 + (m[3] ? +m[3] * 60 : 0) + (m[4] ? +m[4] : 0);
+	return m[1] ? -secs : secs;
+}
+
+function parseTimeOfDay( word:string ):tzsource_time_t {
+	const m = /^(.*?)([wsugz])?$/.exec(word)!;
+	const suffix = m[2] || 'w';
+	return {
+		time:     parseHms(m[1], "time of day"),
+		time_std: suffix !== 'w',
+		time_ut:  suffix === 'u' || suffix === 'g' || suffix === 'z',
+	};
+}
+
+function parseSave( word:string ):{save:number, isdst:boolean} {
+	const m = /^(.*?)([sd])?$/.exec(word)!;
+	const save = parseHms(m[1], "saved time");
+	return { save: save, isdst: m[2] ? m[2] === 'd' : save !== 0 };
+}
+
+function parseYear( word:string, what:string, minmax:boolean ):number {
+	if (minmax) {
+		const mm = byword(word, [ 'minimum', 'maximum' ]);
+		if (mm) return mm === 'minimum' ? -Infinity : Infinity;
+	}
+	if (!/^-?\d+$/.test(word)) throw new Error("invalid " + what + " year " + word);
+	return +word;
+}
+
+// Rule NAME FROM TO - IN ON AT SAVE LETTER/S
+function parseRuleFields( fields:string[] ):tzsource_rule_t {
+	const from = parseYear(fields[2], "starting", true);
+	const to = (byword(fields[3], [ 'only' ]) === 'only') ? from : parseYear(fields[3], "ending", true);
+	if (from > to) throw new Error("starting year greater than ending year");
+	if (fields[4] !== '-' && fields[4] !== '') throw new Error("year type is obsolete; use \"-\" instead");
+	return {
+		from:    from,
+		to:      to,
+		month:   parseMonth(fields[5]),
+		day:     parseDay(fields[6]),
+		...parseTimeOfDay(fields[7]),
+		...parseSave(fields[8]),
+		letters: fields[9] === '-' ? '' : fields[9],
+	};
+}
+
+// STDOFF RULES FORMAT [UNTIL] starting at fields[start], returns lines if a continuation line follows
+function parseZoneFields( fields:string[], start:number, lines:tzsource_zone_t[] ):tzsource_zone_t[]|undefined {
+	if (fields.length - start < 3 || fields.length - start > 7) throw new Error("wrong number of fields on Zone continuation line");
+	const rules = fields[start + 1];
+	let zone:tzsource_zone_t = {
+		stdoff: parseHms(fields[start], "UT offset"),
+		rules:  '',
+		save:   0,
+		isdst:  false,
+		format: fields[start + 2],
+		until:  undefined,
+	};
+	if (/^-?\d/.test(rules)) {
+		const save = parseSave(rules);
+		zone.save = save.save;
+		zone.isdst = save.isdst;
+	} else if (rules !== '-') {
+		zone.rules = rules;
+	}
+	if (fields.length > start + 3) {
+		zone.until = {
+			year:  parseYear(fields[start + 3], "until", false),
+			month: fields.length > start + 4 ? parseMonth(fields[start + 4]) : 0,
+			day:   fields.length > start + 5 ? parseDay(fields[start + 5]) : { kind: 'dom', dom: 1, wday: -1 },
+			...(fields.length > start + 6 ? parseTimeOfDay(fields[start + 6]) : { time: 0, time_std: false, time_ut: false }),
+		};
+		const prev = lines[lines.length - 1];
+		if (prev && prev.until && untilLocalTime(prev.until) >= untilLocalTime(zone.until)) {
+			throw new Error("Zone continuation line end time is not after end time of previous line");
+		}
+	}
+	lines.push(zone);
+	return zone.until ? lines : undefined;
+}
+
+// seconds since epoch of local midnight of the day in the given year and month, as if local time were UTC
+function sourceDay( day:tzsource_day_t, year:number, month:number ):number {
+	const first = fieldsToMs(year, month + 1, 1, 0, 0, 0, 0) / 1000;
+	const wdayOf = (secs:number) => new Date(secs * 1000).getUTCDay();
+	switch (day.kind) {
+		case 'dom':
+			return first + (day.dom - 1) * 86400;
+		case 'ge': {
+			const secs = first + (day.dom - 1) * 86400;
+			return secs + ((day.wday - wdayOf(secs) + 7) % 7) * 86400;
+		}
+		case 'le': {
+			const secs = first + (day.dom - 1) * 86400;
+			return secs - ((wdayOf(secs) - day.wday + 7) % 7) * 86400;
+		}
+		default: {
+			const secs = fieldsToMs(year, month + 2, 0, 0, 0, 0, 0) / 1000;
+			return secs - ((wdayOf(secs) - day.wday + 7) % 7) * 86400;
+		}
+	}
+}
+
+function untilLocalTime( until:tzsource_until_t ):number {
+	return sourceDay(until.day, until.year, until.month) + until.time;
+}
+
+// the abbreviation of a zone line format for the given rule letters, see zic(8).
+// Null letters mean %s cannot be resolved, giving ''.
+function formatAbbrev( format:string, letters:string|null, isdst:boolean, utoff:number ):string {
+	const slash = format.indexOf('/');
+	if (slash >= 0) return isdst ? format.substring(slash + 1) : format.substring(0, slash);
+	if (format.indexOf('%s') >= 0) return letters === null ? '' : format.replace('%s', letters);
+	if (format.indexOf('%z') >= 0) return format.replace('%z', formatNumericAbbrev(utoff));
+	return format;
+}
+
+// +hh[mm[ss]] as used for %z
+function formatNumericAbbrev( utoff:number ):string {
+	const sign = utoff < 0 ? '-' : '+';
+	utoff = Math.abs(utoff);
+	const two = (n:number) => (n < 10 ? '0' : '') + n;
+	const hh = Math.floor(utoff / 3600), mm = Math.floor(utoff / 60) % 60, ss = utoff % 60;
+	return sign + two(hh) + (mm || ss ? two(mm) : '') + (ss ? two(ss) : '');
+}
+
+export interface compile_options_t {
+	lastYear?: number,          // generate transitions up to and including at least this year, default 2037
+}
+
+// compile the named zone (or link) of `source` into the same info_t that parseZoneinfo returns
+// for the zoneinfo file zic writes from it.  Like zic, transitions are generated up to the last year
+// named by the rules and until times of the zone, but at least up to `lastYear`; the footer TZ string
+// covers later times.  Returns false if there is no such zone or link.
+export function compileZone( source:tzsource_t, name:string, options?:compile_options_t ):info_t|false {
+	const lastYear = (options && options.lastYear !== undefined) ? options.lastYear : 2037;
+
+	for (let hops=0; !source.zones.has(name) && hops<16; hops++) {
+		const target = source.links.get(name);
+		if (target === undefined) return false;
+		name = target;
+	}
+	const lines = source.zones.get(name);
+	if (!lines) return false;
+
+	// the max_year of zic: rules with explicit years (Morocco's run to 2087) are generated to their end
+	let maxYear = lastYear;
+	for (let i=0; i<lines.length; i++) {
+		const zp = lines[i];
+		if (i < lines.length - 1 && zp.until) maxYear = Math.max(maxYear, zp.until.year);
+		const rules = zp.rules ? source.rules.get(zp.rules) : undefined;
+		for (const rule of rules || []) {
+			if (isFinite(rule.from)) maxYear = Math.max(maxYear, rule.from);
+			if (isFinite(rule.to)) maxYear = Math.max(maxYear, rule.to);
+		}
+	}
+
+	type type_t = { gmtoff:number, isdst:boolean, abbrev:string, std:boolean, ut:boolean };
+	let types:type_t[] = [];
+	let trans:{at:number, type:number}[] = [];
+	const addtype = (gmtoff:number, abbrev:string, isdst:boolean, std:boolean, ut:boolean):number => {
+		for (let i=0; i<types.length; i++) {
+			const t = types[i];
+			if (t.gmtoff === gmtoff && t.isdst === isdst && t.abbrev === abbrev && t.std === std && t.ut === ut) return i;
+		}
+		types.push({ gmtoff: gmtoff, isdst: isdst, abbrev: abbrev, std: std, ut: ut });
+		return types.length - 1;
+	};
+
+	// this follows outzone() of zic.c
+	let defaulttype = -1;
+	let starttime = -Infinity, startttisstd = false, startttisut = false;
+	for (let i=0; i<lines.length; i++) {
+		const zp = lines[i];
+		let save = 0;
+		let usestart = i > 0;
+		const until = (i < lines.length - 1) ? zp.until : undefined;
+		const stdoff = zp.stdoff;
+		let startbuf = '';
+		let startoff = stdoff;
+
+		if (!zp.rules) {
+			save = zp.save;
+			startbuf = formatAbbrev(zp.format, '%s', zp.isdst, stdoff + save);
+			const type = addtype(stdoff + save, startbuf, zp.isdst, startttisstd, startttisut);
+			if (usestart) {
+				trans.push({ at: starttime, type: type });
+				usestart = false;
+			} else {
+				defaulttype = type;
+			}
+		} else {
+			const rules = source.rules.get(zp.rules);
+			if (!rules) throw new Error("unknown rule " + zp.rules + " in zone " + name);
+			let fromYear = Infinity;
+			for (const rule of rules) fromYear = Math.min(fromYear, rule.from);
+			if (fromYear === -Infinity) fromYear = Math.min(1800, until ? until.year : maxYear);
+			const toYear = until ? Math.min(until.year, maxYear) : maxYear;
+
+			for (let year=fromYear; year<=toYear; year++) {
+				let todo = rules.filter(rule => year >= rule.from && year <= rule.to)
+					.map(rule => ({ rule: rule, local: sourceDay(rule.day, year, rule.month) + rule.time }));
+				for (;;) {
+					let untiltime = Infinity;
+					if (until) {
+						untiltime = untilLocalTime(until);
+						if (!until.time_ut) untiltime -= stdoff;
+						if (!until.time_std) untiltime -= save;
+					}
+
+					// the rule taking effect earliest in the year
+					let k = -1, ktime = 0;
+					for (let j=0; j<todo.length; j++) {
+						let offset = todo[j].rule.time_ut ? 0 : stdoff;
+						if (!todo[j].rule.time_std) offset += save;
+						const jtime = todo[j].local - offset;
+						if (k < 0 || jtime < ktime) {
+							k = j;
+							ktime = jtime;
+						}
+					}
+					if (k < 0) break;
+					const rule = todo[k].rule;
+					todo.splice(k, 1);
+
+					if (ktime >= untiltime) {
+						if (!startbuf && stdoff + rule.save == startoff) startbuf = formatAbbrev(zp.format, rule.letters, rule.isdst, stdoff + rule.save);
+						break;
+					}
+					save = rule.save;
+					if (usestart && ktime == starttime) usestart = false;
+					if (usestart) {
+						if (ktime < starttime) {
+							startoff = stdoff + save;
+							startbuf = formatAbbrev(zp.format, rule.letters, rule.isdst, stdoff + rule.save);
+							continue;
+						}
+						if (!startbuf && startoff == stdoff + save) startbuf = formatAbbrev(zp.format, rule.letters, rule.isdst, stdoff + rule.save);
+					}
+					const abbrev = formatAbbrev(zp.format, rule.letters, rule.isdst, stdoff + rule.save);
+					const type = addtype(stdoff + rule.save, abbrev, rule.isdst, rule.time_std, rule.time_ut);
+					if (defaulttype < 0 && !rule.isdst) defaulttype = type;
+					trans.push({ at: ktime, type: type });
+				}
+			}
+		}
+
+		if (usestart) {
+			const isdst = startoff != stdoff;
+			if (!startbuf) startbuf = formatAbbrev(zp.format, null, isdst, startoff);
+			if (!startbuf) throw new Error("can't determine time zone abbreviation to use just after until time in zone " + name);
+			const type = addtype(startoff, startbuf, isdst, startttisstd, startttisut);
+			if (defaulttype < 0 && !isdst) defaulttype = type;
+			trans.push({ at: starttime, type: type });
+		}
+
+		if (until) {
+			startttisstd = until.time_std;
+			startttisut = until.time_ut;
+			starttime = untilLocalTime(until);
+			if (!startttisstd) starttime -= save;
+			if (!startttisut) starttime -= stdoff;
+		}
+	}
+	if (defaulttype < 0) defaulttype = 0;
+
+	// sort and optimize like writezone() of zic.c: fold transitions that do not move the
+	// local time forward and drop ones that do not change anything
+	trans.sort((a, b) => a.at - b.at);
+	let merged:{at:number, type:number}[] = [];
+	for (const tr of trans) {
+		const n = merged.length;
+		if (n && tr.at + types[merged[n-1].type].gmtoff <= merged[n-1].at + types[n == 1 ? 0 : merged[n-2].type].gmtoff) {
+			merged[n-1].type = tr.type;
+			continue;
+		}
+		const prev = n ? types[merged[n-1].type] : undefined;
+		const cur = types[tr.type];
+		if (!prev || prev.gmtoff != cur.gmtoff || prev.isdst != cur.isdst || prev.abbrev != cur.abbrev) merged.push(tr);
+	}
+
+	// keep the default type and the types transitioned to, in creation order with the
+	// default type swapped into the first place, abbreviations in creation order
+	let used = types.map((type, i) => i == defaulttype);
+	for (const tr of merged) used[tr.type] = true;
+	const kept = types.map((type, i) => i).filter(i => used[i]);
+	let order = kept.slice();
+	order[0] = defaulttype;
+	order[kept.indexOf(defaulttype)] = kept[0];
+	let typemap:number[] = [];
+	order.forEach((i, idx) => typemap[i] = idx);
+	let chars = '';
+	for (const i of kept) {
+		if (chars.indexOf(types[i].abbrev + '\0') < 0) chars += types[i].abbrev + '\0';
+	}
+
+	let info:info_t = {
+		magic: 'TZif', version: '2',
+		ttisgmtcnt: 0, ttisstdcnt: 0, leapcnt: 0, timecnt: merged.length, typecnt: order.length, charcnt: Buffer.byteLength(chars),
+		ttimes: merged.map(tr => tr.at), types: merged.map(tr => typemap[tr.type]), tzinfo: [], abbrevs: chars,
+		leaps: [], ttisstd: [], ttisgmt: [],
+		footer: '', footer_rule: false,
+		_v1end: 0, _v2end: 0,
+	};
+	order.forEach((i, idx) => {
+		const type = types[i];
+		info.tzinfo.push({ idx: idx, tt_gmtoff: type.gmtoff, tt_isdst: type.isdst ? 1 : 0, tt_abbrind: chars.indexOf(type.abbrev + '\0'), abbrev: type.abbrev });
+		info.ttisstd.push(type.std ? 1 : 0);
+		info.ttisgmt.push(type.ut ? 1 : 0);
+	});
+	if (!info.ttisstd.some(std => std)) info.ttisstd = [];
+	if (!info.ttisgmt.some(gmt => gmt)) info.ttisgmt = [];
+	info.ttisstdcnt = info.ttisstd.length;
+	info.ttisgmtcnt = info.ttisgmt.length;
+
+	const footer = footerString(source, lines[lines.length - 1]);
+	if (footer) {
+		info.footer = footer.tz;
+		info.footer_rule = parsePosixTz(footer.tz);
+		if (footer.v3) info.version = '3';
+	}
+	return info;
+}
+// compile all zones and links of `source`, by name
+export function compileTzSource( source:tzsource_t, options?:compile_options_t ):Map<string, info_t> {
+	let zones = new Map<string, info_t>();
+	source.zones.forEach((lines, name) => {
+		const info = compileZone(source, name, options);
+		if (info) zones.set(name, info);
+	});
+	source.links.forEach((target, name) => {
+		const info = compileZone(source, name, options);
+		if (info) zones.set(name, info);
+	});
+	return zones;
+}
+
+// rule_cmp() of zic.c: order rules by their last year, then month and day; rules
+// both running through max compare equal
+function compareLastRules( a:tzsource_rule_t|undefined, b:tzsource_rule_t|undefined ):number {
+	if (!a) return b ? -1 : 0;
+	if (!b) return 1;
+	if (a.to != b.to) return a.to < b.to ? -1 : 1;
+	if (a.to == Infinity) return 0;
+	if (a.month != b.month) return a.month - b.month;
+	return a.day.dom - b.day.dom;
+}
+
+// the POSIX TZ string for times after the last transition of a zone, false if the rules
+// of the last zone line cannot be expressed as one.  `v3` tells that the string needs the
+// version 3 extensions.  This follows stringzone() of zic.c.
+function footerString( source:tzsource_t, zp:tzsource_zone_t ):{tz:string, v3:boolean}|false {
+	const rules = zp.rules ? source.rules.get(zp.rules) || [] : [];
+	let last:(tzsource_rule_t|undefined)[] = [ undefined, undefined ];
+	for (const rule of rules) {
+		const cmp = compareLastRules(last[+rule.isdst], rule);
+		if (cmp < 0) last[+rule.isdst] = rule;
+		else if (cmp == 0) return false;
+	}
+	let stdrp = last[0], dstrp = last[1];
+	const dstcmp = rules.length ? compareLastRules(dstrp, stdrp) : zp.isdst ? 1 : -1;
+	let stdzone = zp, dstzone = zp;
+	if (dstcmp < 0) {
+		// standard time all year
+		dstrp = undefined;
+	} else if (dstcmp > 0) {
+		// DST all year: fake a zone with DST from Jan 1 00:00 to Dec 31 24:00, eg XXX3EDT4,0/0,J365/23
+		const save = dstrp ? dstrp.save : zp.save;
+		if (save >= 0) {
+			stdzone = { ...zp, stdoff: zp.stdoff + 2 * save, format: 'XXX' };
+			dstzone = { ...zp, stdoff: zp.stdoff + 2 * save };
+		}
+		const dstsave = save < 0 ? save : -save;
+		const rule = { from: 0, to: Infinity, time: 0, time_std: false, time_ut: false };
+		const letters = dstrp ? dstrp.letters : '%s';
+		dstrp = <tzsource_rule_t>{ ...rule, month: 0, day: { kind: 'dom', dom: 1, wday: -1 }, save: dstsave, isdst: true, letters: letters };
+		stdrp = <tzsource_rule_t>{ ...rule, month: 11, day: { kind: 'dom', dom: 31, wday: -1 }, time: 86400 + dstsave, save: 0, isdst: false,
+			letters: (save < 0 && stdrp) ? stdrp.letters : '%s' };
+	}
+
+	const quote = (abbrev:string) => /^[A-Za-z]+$/.test(abbrev) ? abbrev : '<' + abbrev + '>';
+	const stdoff = posixOffset(-stdzone.stdoff);
+	if (stdoff === false) return false;
+	let tz = quote(formatAbbrev(stdzone.format, stdrp ? stdrp.letters : '%s', false, stdzone.stdoff)) + stdoff;
+	if (!dstrp || !stdrp) return { tz: tz, v3: false };
+
+	tz += quote(formatAbbrev(dstzone.format, dstrp.letters, dstrp.isdst, dstzone.stdoff + dstrp.save));
+	if (dstrp.save != 3600) {
+		const dstoff = posixOffset(-(dstzone.stdoff + dstrp.save));
+		if (dstoff === false) return false;
+		tz += dstoff;
+	}
+	const start = posixRule(dstrp, dstrp.save, stdzone.stdoff);
+	const end = posixRule(stdrp, dstrp.save, stdzone.stdoff);
+	if (!start || !end) return false;
+	return { tz: tz + ',' + start.date + ',' + end.date, v3: start.v3 || end.v3 };
+}
+
+// [-]h[:mm[:ss]], false if a week or more
+function posixOffset( secs:number ):string|false {
+	const two = (n:number) => (n < 10 ? '0' : '') + n;
+	const sign = secs < 0 ? '-' : '';
+	secs = Math.abs(secs);
+	const hh = Math.floor(secs / 3600), mm = Math.floor(secs / 60) % 60, ss = secs % 60;
+	if (hh >= 7 * 24) return false;
+	return sign + hh + (mm || ss ? ':' + two(mm) : '') + (ss ? ':' + two(ss) : '');
+}
+
+// the date and time of a rule in POSIX TZ string form, false if not expressible.
+// This follows stringrule() of zic.c.
+function posixRule( rule:tzsource_rule_t, dstsave:number, stdoff:number ):{date:string, v3:boolean}|false {
+	const monthDays = [ 31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31 ];
+	let tod = rule.time;
+	let v3 = false;
+
+	let date;
+	if (rule.day.kind == 'dom') {
+		if (rule.day.dom == 29 && rule.month == 1) return false;
+		let total = 0;
+		for (let month=0; month<rule.month; month++) total += monthDays[month];
+		// omit the J in Jan and Feb, as that's shorter
+		date = (rule.month <= 1) ? '' + (total + rule.day.dom - 1) : 'J' + (total + rule.day.dom);
+	} else {
+		let week = 5, wday = rule.day.wday, wdayoff = 0;
+		if (rule.day.kind == 'ge') {
+			wdayoff = (rule.day.dom - 1) % 7;
+			week = 1 + Math.floor((rule.day.dom - 1) / 7);
+		} else if (rule.day.kind == 'le' && rule.day.dom != (rule.month == 1 ? 29 : monthDays[rule.month])) {
+			wdayoff = rule.day.dom % 7;
+			week = Math.floor(rule.day.dom / 7);
+		}
+		if (wdayoff) v3 = true;
+		wday -= wdayoff;
+		tod += wdayoff * 86400;
+		if (wday < 0) wday += 7;
+		date = 'M' + (rule.month + 1) + '.' + week + '.' + wday;
+	}
+	if (rule.time_ut) tod += stdoff;
+	if (rule.time_std && !rule.isdst) tod += dstsave;
+	if (tod != 2 * 3600) {
+		const time = posixOffset(tod);
+		if (time === false) return false;
+		date += '/' + time;
+		if (tod < 0) v3 = true;
+	}
+	return { date: date, v3: v3 };
+}
+
+// return the NUL-terminated string from buf at offset
+export function readStringZ( buf:Buffer, offset:number ):string {
+	let end=offset;
+	for (; buf[end]; end++) ;
+	return buf.toString(undefined, offset, end);
+}
+export function readInt32( buf:Buffer, offset:number ):number {
+	let val = (buf[offset++] * 0x1000000) + (buf[offset++] << 16) + (buf[offset++] << 8) + buf[offset++];
+	return (val & 0x80000000) ? val - 0x100000000 : val;
+}
+export function readInt64( buf:Buffer, offset:number ):number {
+	if (buf[offset] & 0x80) {
+		// negative
+		// a large negative eg FFFE can be built out of a scaled negative prefix FF * 256 and
+		// and a positive additive offset FE, ie (-1 * 256) + 254 = -2.
+		let v1 = readInt32(buf, offset);
+		let v2 = readInt32(buf, offset + 4);
+		if (v2 < 0) v2 += 0x100000000;
+		return v1 * 0x100000000 + v2;
+	} else {
+		// positive
+		let uval = 0;
+		for (let i=offset; i<offset+8; i++) uval = (uval * 256) + buf[i];
+		return uval;
+	}
+}
+
+
+export function locateZoneinfoDirectory( ):string {
+	let tryDirs = [
+		'/usr/share/zoneinfo',
+		'/usr/lib/zoneinfo',
+	];
+	for (let i=0; i<tryDirs.length; i++) {
+		try {
+			let stat = fs.statSync(tryDirs[i]);
+			if (stat.isDirectory()) return tryDirs[i];
+		}
+		catch (e) { }
+	}
+	throw new Error("tzinfo files not found");
+}
+
+export function readZoneinfoFileSync( tzname:string ):Buffer {
+	if (zoneSource !== defaultSource) {
+		if (!zoneSource.readZoneSync) throw new Error("Zone source " + zoneSource.name + " cannot be read synchronously");
+		const data = zoneSource.readZoneSync(tzname);
+		if (!data) throw noSuchZone(tzname);
+		return data;
+	}
+	let filepath = zoneinfoDir + '/' + tzname;
+	return fs.readFileSync(filepath);
+}
+
+export function readZoneinfoFile( tzname:string ):Promise<Buffer> ;
+export function readZoneinfoFile( tzname:string, cb:(err: NodeJS.ErrnoException | null, data?: Buffer) => void ):void ;
+export function readZoneinfoFile( tzname:string, cb?:(err: NodeJS.ErrnoException | null, data?: Buffer) => void ):void|Promise<Buffer> {
+	if (zoneSource !== defaultSource) {
+		const promise = zoneSource.readZone(tzname).then(data => data || Promise.reject(noSuchZone(tzname)));
+		if (cb) {
+			// called on the next tick, so that an exception thrown by cb is not swallowed as a rejection
+			promise.then(
+				data => process.nextTick(cb, null, data),
+				err => process.nextTick(cb, err));
+			return;
+		}
+		return promise;
+	}
+	let filepath = zoneinfoDir + '/' + tzname;
+	if (cb) {
+		return fs.readFile(filepath, cb);
+	}
+	return new Promise((resolve,reject)=>{
+		fs.readFile(filepath, (err,data)=>{
+			if (err) return reject(err);
+			resolve(data);
+		});
+	});
+}
+
+// a provider of zone data by zone name: a zoneinfo directory, an in-memory map, an archive, a chain of
+// other sources or a loader fetching the zones from elsewhere
+export interface zone_source_t {
+	readonly name: string,                                  // describes the source, eg. its directory
+	readZone( zonename:string ):Promise<Buffer|false>,      // TZif data of the zone, false if the source does not have it
+	readZoneSync?( zonename:string ):Buffer|false,          // the same synchronously, for the sources that can
+	listZones( ):Promise<string[]>,                         // the names of all the zones of the source
+}
+
+// the zoneinfo files of `dirname`, by default of the zoneinfo directory as set by setZoneinfoDirectory
+export function directorySource( dirname?:string ):zone_source_t {
+	const dir = () => (dirname === undefined ? zoneinfoDir : dirname.replace(/\/+$/, ''));
+	const notFound = (err:NodeJS.ErrnoException) => err.code === 'ENOENT' || err.code === 'ENOTDIR' || err.code === 'EISDIR';
+	return {
+		get name() { return dir() },
+		readZone: (zonename:string) => new Promise((resolve, reject) => {
+			fs.readFile(dir() + '/' + zonename, (err, data) => {
+				if (err) return notFound(err) ? resolve(false) : reject(err);
+				resolve(data);
+			});
+		}),
+		readZoneSync: (zonename:string) => {
+			try { return fs.readFileSync(dir() + '/' + zonename) }
+			catch (err) { if (notFound(err as NodeJS.ErrnoException)) return false; throw err }
+		},
+		listZones: () => Promise.resolve(listZoneinfoFiles(dir()).map(filepath => filepath.substring(dir().length + 1))),
+	};
+}
+
+// the zones of a map from zone names to TZif data or zones, eg. as returned by compileTzSource
+export function memorySource( zones:Map<string, Buffer|any_info_t>, name:string='memory' ):zone_source_t {
+	const readZoneSync = (zonename:string):Buffer|false => {
+		const zone = zones.get(zonename);
+		if (!zone) return false;
+		return Buffer.isBuffer(zone) ? zone : serializeZoneinfo(zone);
+	};
+	return {
+		name: name,
+		readZone: (zonename:string) => Promise.resolve(readZoneSync(zonename)),
+		readZoneSync: readZoneSync,
+		listZones: () => Promise.resolve(Array.from(zones.keys())),
+	};
+}
+
+// the zones and links of tzdata source text like tzdata.zi, each compiled when first read
+export function tzdataSource( text:string, options?:compile_options_t ):zone_source_t {
+	const source = parseTzSource(text);
+	let compiled = new Map<string, Buffer|false>();
+	const readZoneSync = (zonename:string):Buffer|false => {
+		let data = compiled.get(zonename);
+		if (data === undefined) {
+			const info = compileZone(source, zonename, options);
+			data = info ? serializeZoneinfo(info) : false;
+			compiled.set(zonename, data);
+		}
+		return data;
+	};
+	return {
+		name: 'tzdata' + (source.version ? ' ' + source.version : ''),
+		readZone: (zonename:string) => Promise.resolve(readZoneSync(zonename)),
+		readZoneSync: readZoneSync,
+		listZones: () => Promise.resolve([ ...source.zones.keys(), ...source.links.keys() ]),
+	};
+}
+
+// the zoneinfo files of a tar archive, named by their path in the archive less `prefix` (eg. 'zoneinfo/').
+// Hard and symbolic links to zoneinfo files are followed, files that are not zoneinfo files are left out.
+export function tarSource( archive:Buffer, prefix:string='', name:string='tar' ):zone_source_t {
+	let files = new Map<string, Buffer>();
+	let links:[string, string][] = [];
+	let longname = '';
+	for (let pos=0; pos + 512 <= archive.length; ) {
+		const field = (offset:number, length:number) => {
+			const str = archive.toString('latin1', pos + offset, pos + offset + length);
+			const nul = str.indexOf('\0');
+			return nul < 0 ? str : str.substring(0, nul);
+		};
+		if (!field(0, 100)) break;     // the zero blocks ending the archive
+		const size = parseInt(field(124, 12).trim() || '0', 8);
+		if (isNaN(size)) throw new Error("Invalid tar archive: bad size at offset " + pos);
+		const type = field(156, 1);
+		let path = field(0, 100);
+		if (field(257, 5) === 'ustar' && field(345, 155)) path = field(345, 155) + '/' + path;
+		if (longname) {
+			path = longname;
+			longname = '';
+		}
+		const data = archive.subarray(pos + 512, pos + 512 + size);
+		path = normalize(path);
+		if (type === 'L') longname = readStringZ(data, 0);      // GNU long name of the next entry
+		else if (type === '0' || type === '') files.set(path, data);
+		else if (type === '1') links.push([path, normalize(field(157, 100))]);
+		else if (type === '2') links.push([path, normalize(path.substring(0, path.lastIndexOf('/') + 1) + field(157, 100))]);
+		pos += 512 + Math.ceil(size / 512) * 512;
+	}
+	// links can point to links, resolve them in rounds
+	for (let round=0; links.length && round<8; round++) {
+		links = links.filter(([path, target]) => {
+			const data = files.get(target);
+			if (data) files.set(path, data);
+			return !data;
+		});
+	}
+
+	let zones = new Map<string, Buffer>();
+	files.forEach((data, path) => {
+		if (!path.startsWith(prefix) || data.toString('latin1', 0, 4) !== 'TZif') return;
+		zones.set(path.substring(prefix.length), data);
+	});
+	return memorySource(zones, name);
+}
+
+// the zones of the first of `sources` that has them, eg. application overrides before the system zones
+export function layeredSource( sources:zone_source_t[], name?:string ):zone_source_t {
+	const readZone = (zonename:string, i:number=0):Promise<Buffer|false> => {
+		if (i >= sources.length) return Promise.resolve(false);
+		return sources[i].readZone(zonename).then(data => data || readZone(zonename, i + 1));
+	};
+	const readZoneSync = (zonename:string):Buffer|false => {
+		for (const source of sources) {
+			const data = source.readZoneSync!(zonename);
+			if (data) return data;
+		}
+		return false;
+	};
+	return {
+		name: name || sources.map(source => source.name).join(', '),
+		readZone: (zonename:string) => readZone(zonename),
+		readZoneSync: sources.every(source => source.readZoneSync) ? readZoneSync : undefined,
+		listZones: () => Promise.all(sources.map(source => source.listZones())).then(lists => Array.from(new Set(([] as string[]).concat(...lists)))),
+	};
+}
+
+// the zones returned by an application provided loader, eg. fetching them over the network.
+// `list` returns the names of the zones for precacheZones, without it nothing is precached.
+export function loaderSource( load:(zonename:string) => Promise<Buffer|false>, list?:() => Promise<string[]>, name:string='loader' ):zone_source_t {
+	return {
+		name: name,
+		readZone: load,
+		listZones: list || (() => Promise.resolve([])),
+	};
+}
+
+const defaultSource = directorySource();
+let zoneSource = defaultSource;
+
+// the source of the zones read by readZoneinfoFile, getCachedZoneInfo, precacheZones and getLocalZone,
+// by default directorySource() reading the zoneinfo directory
+export function getZoneSource( ):zone_source_t {
+	return zoneSource;
+}
+
+// switch to reading zones from source, or back to the zoneinfo directory without one.  The precache
+// and the cached zones are dropped.
+export function setZoneSource( source?:zone_source_t ) {
+	zoneSource = source || defaultSource;
+	dropZoneCaches(true);
+}
+
+function noSuchZone( tzname:string ):NodeJS.ErrnoException {
+	let err:NodeJS.ErrnoException = new Error("No zone " + tzname + " in " + zoneSource.name);
+	err.code = 'ENOENT';
+	return err;
+}
+
+export interface local_zone_t {
+	name:   string,     // zone name like Europe/Sofia, the TZ string itself for POSIX TZ strings, '' if not determinable
+	info:   info_t,
+	source: 'TZ'|'/etc/localtime'|'/etc/timezone'|'default',
+}
+
+export interface local_zone_options_t {
+	env?:       { [name:string]: string|undefined },    // environment to take TZ from, default process.env
+	localtime?: string,                                 // default /etc/localtime
+	timezone?:  string,                                 // default /etc/timezone
+}
+
+// find the local timezone of the host the way the C library does: from the TZ environment variable
+// (a zoneinfo file name or path, optionally prefixed with ':', or a POSIX TZ string like EST5EDT,M3.2.0,M11.1.0),
+// else from /etc/localtime, naming the zone by its symlink target, else from the zone named in /etc/timezone.
+// An empty or unusable TZ means UTC, as does finding no local zone configured.
+export function getLocalZone( options?:local_zone_options_t ):local_zone_t {
+	const env = (options && options.env) || process.env;
+	const localtime = (options && options.localtime) || '/etc/localtime';
+	const timezone = (options && options.timezone) || '/etc/timezone';
+	const readZone = (filepath:string):info_t|false => {
+		try { return parseZoneinfo(fs.readFileSync(filepath)) } catch (e) { return false }
+	};
+	// zones by name come from the zone source
+	const readNamedZone = (name:string):info_t|false => {
+		try { return parseZoneinfo(readZoneinfoFileSync(name)) } catch (e) { return false }
+	};
+	// the zone name of a zoneinfo file path, '' if not below a zoneinfo directory
+	const zoneName = (filepath:string):string => {
+		if (filepath.startsWith(zoneinfoDir + '/')) return filepath.substring(zoneinfoDir.length + 1);
+		const m = /\/zoneinfo\/(.+)$/.exec(filepath);
+		return m ? m[1] : '';
+	};
+	const utc = (source:local_zone_t['source']):local_zone_t => ({ name: 'UTC', info: parsePosixZoneinfo('UTC0'), source: source });
+
+	const tz = env['TZ'];
+	if (tz !== undefined) {
+		if (tz === '') return utc('TZ');
+		const spec = tz[0] === ':' ? tz.substring(1) : tz;
+		const info = spec && (spec[0] === '/' ? readZone(spec) : readNamedZone(spec));
+		if (info) return { name: spec[0] === '/' ? zoneName(spec) : spec, info: info, source: 'TZ' };
+		if (tz[0] !== ':') {
+			try { return { name: tz, info: parsePosixZoneinfo(tz), source: 'TZ' } } catch (e) { }
+		}
+		return utc('TZ');
+	}
+
+	const info = readZone(localtime);
+	if (info) {
+		let name = '';
+		try {
+			const target = fs.readlinkSync(localtime);
+			name = zoneName(target[0] === '/' ? target : resolve(localtime, '..', target));
+		} catch (e) {
+			// not a symlink, /etc/timezone may tell the name
+			try { name = fs.readFileSync(timezone).toString().split('\n')[0].trim() } catch (e) { }
+		}
+		return { name: name, info: info, source: '/etc/localtime' };
+	}
+
+	try {
+		const name = fs.readFileSync(timezone).toString().split('\n')[0].trim();
+		const info = name && readNamedZone(name);
+		if (info) return { name: name, info: info, source: '/etc/timezone' };
+	} catch (e) { }
+
+	return utc('default');
+}
+
+export function findTzinfo( info:any_info_t, date:number|Date|string, firstIfTooOld:boolean, leapCorrect:boolean=false ) : false|tzinfo_change_ex_t {
+	const ms = ((typeof date === 'number') ? date :             // milliseconds
+				(date instanceof Date) ? date.getTime() :       // Date object
+				new Date(date).getTime());                      // datetime string
+
+	// the transition times of right/ zones count leap seconds, look up the POSIX time on their scale
+	if (leapCorrect && info.leapcnt) {
+		const tz = findTzinfo(info, posixToRight(info, ms), firstIfTooOld);
+		if (tz && tz.ttimes_index >= 0) tz.startat = rightToPosix(info, tz.startat);
+		return tz;
+	}
+	const seconds = Math.floor(ms / 1000);
+
+	let index = absearch(info.ttimes, seconds);
+
+	// past the last stored transition the footer rule, if any, tells the time
+	if (index === info.ttimes.length - 1) {
+		const fromFooter = findFooterTzinfo(info, seconds);
+		if (fromFooter) return fromFooter;
+	}
+
+	// if found, return the zoneinfo associated with the preceding time transition
+	//   info.ttimes[] is the sorted array of time trantision unix timestamps
+	//   info.types[] is the array of tzinfo[] indexes matching the time transitions
+	//   info.tzinfo[] is the array of zoneinfo information
+	if (index >= 0) return {startat:info.ttimes[index]*1000, ttimes_index:index, ...info.tzinfo[info.types[index]]};
+
+	// if there are no time transitions but yes tzinfo, return the tzinfo (to always find GMT/UTC)
+	if (!info.timecnt && info.typecnt) return {startat:0, ttimes_index:-1, ...info.tzinfo[0]};
+
+	// if timestamp is before first transition, optionally return the oldest known tzinfo: tzinfo 0, which zic
+	// and zdump use before the first transition, and so do localToUtc and localFields going through here
+	if (firstIfTooOld && info.typecnt) return {startat:0, ttimes_index:-1, ...info.tzinfo[0]};
+
+	return false;
+}
+
+export function nextTzinfo( info:any_info_t, current: tzinfo_change_ex_t) : false|tzinfo_change_ex_t {
+	// at or past the last stored transition continue with the footer rule
+	if (current.ttimes_index>=info.ttimes.length-1 && (current.ttimes_index>=0 || !info.timecnt)) {
+		const last = info.ttimes.length ? info.ttimes[info.ttimes.length - 1] : -Infinity;
+		return nextFooterTzinfo(info, current, Math.max(current.startat / 1000, last));
+	}
+	if (current.ttimes_index==-1 || current.ttimes_index+1>=info.ttimes.length) return false;
+	const nexti=current.ttimes_index+1;
+	const typ=info.types[nexti];
+	if (typ>=info.tzinfo.length) return false;
+	return {ttimes_index:nexti,startat:info.ttimes[nexti]*1000, ...info.tzinfo[typ]};
+}
+
+// the tzinfo in effect before `current` took effect, the counterpart of nextTzinfo.  Before the first
+// time transition that is tzinfo[0], returned with ttimes_index -1.  Returns false if `current` is that.
+// The footer tzinfos of a zone without stored transitions, like those of parsePosixZoneinfo, also have
+// ttimes_index 0: the footer rule tells what was before them.
+export function prevTzinfo( info:any_info_t, current: tzinfo_change_ex_t) : false|tzinfo_change_ex_t {
+	if (current.ttimes_index<0 || !info.typecnt) return false;
+	if (current.ttimes_index==0 && info.ttimes.length>0 && current.startat===info.ttimes[0]*1000) return {startat:0, ttimes_index:-1, ...info.tzinfo[0]};
+	return findTzinfo(info, current.startat - 1, false);
+}
+
+// a change of the wall clock offset, abbreviation or DST flag
+export interface tzinfo_transition_t {
+	at:     number,                 // milliseconds since epoch
+	before: tzinfo_change_ex_t,     // tzinfo in effect until `at`
+	after:  tzinfo_change_ex_t,     // tzinfo in effect from `at`
+}
+
+// lazily enumerate the transitions at or after `from` and before `to`, in time order.  Transitions
+// that change neither the offset, the abbreviation nor the DST flag are skipped.  Past the last stored
+// transition the footer rule provides them, so `to` should be finite for zones observing DST.
+export function* iterateTransitions( info:any_info_t, from:number|Date|string, to:number|Date|string ) : Generator<tzinfo_transition_t> {
+	const toMs = (date:number|Date|string) => (typeof date === 'number') ? date : (date instanceof Date) ? date.getTime() : new Date(date).getTime();
+	const start = toMs(from), end = toMs(to);
+	if (isNaN(start) || isNaN(end) || !info.typecnt) return;
+
+	// the tzinfo in effect just before `from`, so a transition right at `from` is included
+	let current = findTzinfo(info, start - 1, false);
+	let next:tzinfo_change_ex_t|false;
+	if (current) {
+		next = nextTzinfo(info, current);
+	} else {
+		// before the first transition
+		current = {startat:0, ttimes_index:-1, ...info.tzinfo[0]};
+		next = {startat:info.ttimes[0]*1000, ttimes_index:0, ...info.tzinfo[info.types[0]]};
+	}
+	for (; next && next.startat < end; current = next, next = nextTzinfo(info, next)) {
+		if (next.startat < start) continue;
+		if (next.tt_gmtoff === current.tt_gmtoff && next.tt_isdst === current.tt_isdst && next.abbrev === current.abbrev) continue;
+		yield {at:next.startat, before:current, after:next};
+	}
+}
+
+// all the transitions at or after `from` and before `to`, see iterateTransitions
+export function findTransitions( info:any_info_t, from:number|Date|string, to:number|Date|string ) : tzinfo_transition_t[] {
+	return Array.from(iterateTransitions(info, from, to));
+}
+
+// an interval in which two zones differ, with the tzinfo of each in effect throughout
+export interface zoneinfo_diff_interval_t {
+	from: number,               // milliseconds since epoch, inclusive
+	to:   number,               // milliseconds since epoch, exclusive
+	a:    tzinfo_change_t,
+	b:    tzinfo_change_t,
+}
+
+export interface zoneinfo_diff_t {
+	first:     number|false,                // the first instant of the range at which the zones differ, false if they never do
+	intervals: zoneinfo_diff_interval_t[],  // the intervals of the range in which they differ, in time order
+}
+
+// compare the local time of two zones at or after `from` and before `to`, by the offset, abbreviation and DST flag
+// in effect.  Only the effect counts, so redundant transitions, the order of the tzinfo structs, the v1 data or
+// whether a change is stored or comes from the footer rule make no difference.  Returns false for an invalid range
+// or if a zone has no tzinfo.
+export function compareZoneinfo( a:any_info_t, b:any_info_t, from:number|Date|string, to:number|Date|string ) : zoneinfo_diff_t|false {
+	const toMs = (date:number|Date|string) => (typeof date === 'number') ? date : (date instanceof Date) ? date.getTime() : new Date(date).getTime();
+	const start = toMs(from), end = toMs(to);
+	let za = tzinfoAt(a, start), zb = tzinfoAt(b, start);
+	if (isNaN(start) || isNaN(end) || start > end || !za || !zb) return false;
+
+	const same = (x:tzinfo_change_t, y:tzinfo_change_t) => x.tt_gmtoff === y.tt_gmtoff && !!x.tt_isdst === !!y.tt_isdst && x.abbrev === y.abbrev;
+	const ita = iterateTransitions(a, start + 1, end), itb = iterateTransitions(b, start + 1, end);
+	let ta = ita.next(), tb = itb.next();
+	let intervals:zoneinfo_diff_interval_t[] = [];
+	for (let at = start; at < end; ) {
+		const next = Math.min(ta.done ? end : ta.value.at, tb.done ? end : tb.value.at);
+		if (!same(za, zb)) intervals.push({ from: at, to: next, a: za, b: zb });
+		if (!ta.done && ta.value.at === next) { za = ta.value.after; ta = ita.next() }
+		if (!tb.done && tb.value.at === next) { zb = tb.value.after; tb = itb.next() }
+		at = next;
+	}
+	return { first: intervals.length ? intervals[0].from : false, intervals: intervals };
+}
+
+// the lines `zdump -v -c loYear,hiYear name` prints for the zone, the name padded to `width`
+// (zdump pads to the longest of the zone names it is given).  Times are shown in UT and in
+// local time for the second before and the second of each transition.
+export function zdumpVerbose( info:any_info_t, name:string, loYear:number, hiYear:number, width:number=0 ) : string {
+	const prefix = name + ' '.repeat(Math.max(0, width - name.length)) + '  ';
+	const utc = (ms:number) => strftime(utcInfo, ms, '%a %b %e %H:%M:%S %Y') + ' UT';
+	const show = (ms:number, tz:tzinfo_change_t) => {
+		return prefix + utc(ms) + ' = ' + strftime(utcInfo, ms + tz.tt_gmtoff * 1000, '%a %b %e %H:%M:%S %Y') + ' ' + tz.abbrev + ' isdst=' + (tz.tt_isdst ? 1 : 0) + ' gmtoff=' + tz.tt_gmtoff + '\n';
+	};
+
+	// zdump also tries the extreme 64-bit times, which do not convert to local time
+	let out = prefix + '-9223372036854775808 = NULL\n' + prefix + '-9223372036854689408 = NULL\n';
+	const lo = fieldsToMs(loYear, 1, 1, 0, 0, 0, 0), hi = fieldsToMs(hiYear, 1, 1, 0, 0, 0, 0);
+	for (const tr of iterateTransitions(info, lo, hi)) {
+		out += show(tr.at - 1000, tr.before) + show(tr.at, tr.after);
+	}
+	return out + prefix + '9223372036854689407 = NULL\n' + prefix + '9223372036854775807 = NULL\n';
+}
+
+// a zone that is always UTC, for formatting universal times
+const utcInfo:info_t = {
+	magic: 'TZif', version: '2',
+	ttisgmtcnt: 0, ttisstdcnt: 0, leapcnt: 0, timecnt: 0, typecnt: 1, charcnt: 4,
+	ttimes: [], types: [], tzinfo: [{ idx: 0, tt_gmtoff: 0, tt_isdst: 0, tt_abbrind: 0, abbrev: 'UTC' }], abbrevs: 'UTC\0',
+	leaps: [], ttisstd: [], ttisgmt: [],
+	footer: 'UTC0', footer_rule: false,
+	_v1end: 0, _v2end: 0,
+};
+
+export interface local_datetime_t {
+	year:   number,
+	month:  number,         // 1..12
+	day:    number,         // 1..31
+	hour?:        number,
+	minute?:      number,
+	second?:      number,
+	millisecond?: number,
+}
+
+export interface local_policy_t {
+	gap?:     'reject'|'forward'|'backward',           // skipped local times, default 'forward'
+	overlap?: 'earliest'|'latest'|'both'|'reject',     // repeated local times, default 'earliest'
+}
+
+// milliseconds since epoch of the date-time fields read as UTC, valid also for years 0..99
+function fieldsToMs( year:number, month:number, day:number, hour:number, minute:number, second:number, ms:number ):number {
+	const date = new Date(0);
+	date.setUTCFullYear(year, month - 1, day);
+	date.setUTCHours(hour, minute, second, ms);
+	return date.getTime();
+}
+
+// find the UTC instant(s) in milliseconds at which the wall clock in the zone shows the `local` date-time.
+// Local times skipped by a transition (gaps) are moved forward or backward by the length of the gap,
+// local times repeated by a transition (overlaps) resolve to the earlier, later or both instants.
+// Returns false if the policy rejects the local time or the zone has no tzinfo to go by.
+export function localToUtc( info:any_info_t, local:local_datetime_t, policy?:local_policy_t ):number[]|false {
+	const gap = (policy && policy.gap) || 'forward';
+	const overlap = (policy && policy.overlap) || 'earliest';
+
+	const wall = fieldsToMs(local.year, local.month, local.day, local.hour || 0, local.minute || 0, local.second || 0, local.millisecond || 0);
+	if (isNaN(wall)) return false;
+
+	// walk the offsets in effect from two days before until two days after the wall time
+	// (no zone offset exceeds a day) and keep the instants that fall in their own interval
+	const until = wall + 2 * 86400000;
+	const first = findTzinfo(info, wall - 2 * 86400000, true);
+	if (first === false) return false;
+	let tz:tzinfo_change_ex_t = first;
+	let start = -Infinity;
+	let found:number[] = [];
+	let gapAt:{before:number, after:number}|undefined = undefined;
+	for (;;) {
+		// nextTzinfo does not step from the oldest tzinfo returned for too old dates
+		const next:tzinfo_change_ex_t|false = (tz.ttimes_index == -1 && info.timecnt) ?
+			{ startat: info.ttimes[0] * 1000, ttimes_index: 0, ...info.tzinfo[info.types[0]] } :
+			nextTzinfo(info, tz);
+		const end = (next === false) ? Infinity : next.startat;
+		const instant = wall - tz.tt_gmtoff * 1000;
+		if (instant >= start && instant < end) found.push(instant);
+		if (next === false || next.startat > until) break;
+		if (!gapAt && instant >= end && wall - next.tt_gmtoff * 1000 < end) {
+			gapAt = { before: tz.tt_gmtoff, after: next.tt_gmtoff };
+		}
+		start = end;
+		tz = next;
+	}
+
+	if (found.length == 1) return found;
+
+	if (found.length > 1) {
+		switch (overlap) {
+			case 'earliest': return [found[0]];
+			case 'latest':   return [found[found.length - 1]];
+			case 'both':     return found;
+			default:         return false;
+		}
+	}
+
+	if (!gapAt) return false;
+	switch (gap) {
+		case 'forward':  return [wall - gapAt.before * 1000];
+		case 'backward': return [wall - gapAt.after * 1000];
+		default:         return false;
+	}
+}
+
+// the wall clock calendar fields of an instant in a zone, as would be shown by `date` or `zdump`
+export interface local_fields_t {
+	year:        number,
+	month:       number,        // 1..12
+	day:         number,        // 1..31
+	hour:        number,
+	minute:      number,
+	second:      number,
+	millisecond: number,
+	weekday:     number,        // 0 (Sunday) .. 6
+	yearday:     number,        // 1..366
+	iso_year:    number,        // year the ISO 8601 week belongs to
+	iso_week:    number,        // ISO 8601 week number 1..53
+	gmtoff:      number,        // seconds to add to GMT to get localtime
+	isdst:       boolean,
+	abbrev:      string,
+	time:        number,        // the instant, milliseconds since the epoch
+}
+
+// the tzinfo in effect at `ms`: before the first transition that is tzinfo[0], as for zic and zdump, the same
+// findTzinfo returns for too old dates and localToUtc resolves such local times with
+function tzinfoAt( info:any_info_t, ms:number ):tzinfo_change_t|false {
+	return findTzinfo(info, ms, true);
+}
+
+// decompose `date` into the local calendar fields of the zone.  A number `date` is milliseconds since the epoch.
+// Returns false for invalid dates or if the zone has no tzinfo.
+export function localFields( info:any_info_t, date:number|Date|string ):local_fields_t|false {
+	const ms = (typeof date === 'number') ? date : (date instanceof Date) ? date.getTime() : new Date(date).getTime();
+	if (isNaN(ms)) return false;
+	const tz = tzinfoAt(info, ms);
+	if (!tz) return false;
+
+	const local = new Date(ms + tz.tt_gmtoff * 1000);
+	if (isNaN(local.getTime())) return false;
+	const year = local.getUTCFullYear();
+	const yearday = Math.floor((local.getTime() - fieldsToMs(year, 1, 1, 0, 0, 0, 0)) / 86400000) + 1;
+	const weekday = local.getUTCDay();
+
+	// the ISO week of the Thursday in the same Monday based week
+	let iso_year = year;
+	let iso_week = Math.floor((yearday - ((weekday + 6) % 7 + 1) + 10) / 7);
+	if (iso_week < 1) {
+		iso_year = year - 1;
+		iso_week = isoWeeksInYear(iso_year);
+	} else if (iso_week > isoWeeksInYear(year)) {
+		iso_year = year + 1;
+		iso_week = 1;
+	}
+
+	return {
+		year:        year,
+		month:       local.getUTCMonth() + 1,
+		day:         local.getUTCDate(),
+		hour:        local.getUTCHours(),
+		minute:      local.getUTCMinutes(),
+		second:      local.getUTCSeconds(),
+		millisecond: local.getUTCMilliseconds(),
+		weekday:     weekday,
+		yearday:     yearday,
+		iso_year:    iso_year,
+		iso_week:    iso_week,
+		gmtoff:      tz.tt_gmtoff,
+		isdst:       !!tz.tt_isdst,
+		abbrev:      tz.abbrev,
+		time:        ms,
+	};
+}
+
+// years whose Jan 1 is a Thursday, or a Wednesday in leap years, have 53 ISO weeks
+function isoWeeksInYear( year:number ):number {
+	const dec31 = (y:number) => ((y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400)) % 7 + 7) % 7;
+	return (dec31(year) == 4 || dec31(year - 1) == 3) ? 53 : 52;
+}
+
+const strftimeDays = [ 'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday' ];
+const strftimeMonths = [ 'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December' ];
+
+// format `date` as the wall clock time in the zone with the strftime(3) conversions of the C locale,
+// eg "%Y-%m-%d %H:%M:%S %Z" or "%a %b %e %T %Y %z".  %z is the +hhmm offset, %:z +hh:mm and %::z +hh:mm:ss.
+// Unknown conversions are copied to the output as is.  Returns false if `localFields` does.
+export function strftime( info:any_info_t, date:number|Date|string, format:string ):string|false {
+	const f = localFields(info, date);
+	if (!f) return false;
+
+	const pad = (n:number, width:number, fill:string) => {
+		const sign = n < 0 ? '-' : '';
+		let digits = String(Math.abs(n));
+		while (digits.length < width) digits = fill + digits;
+		return sign + digits;
+	};
+	const offset = (colons:number) => {
+		const secs = Math.abs(f.gmtoff);
+		const hhmm = pad(Math.floor(secs / 3600), 2, '0') + (colons ? ':' : '') + pad(Math.floor(secs / 60) % 60, 2, '0');
+		return (f.gmtoff < 0 ? '-' : '+') + hhmm + (colons > 1 ? ':' + pad(secs % 60, 2, '0') : '');
+	};
+	const hour12 = f.hour % 12 || 12;
+
+	return format.replace(/%(:{0,2}z|.)/g, (directive:string, conv:string) => {
+		switch (conv) {
+			case 'a': return strftimeDays[f.weekday].substring(0, 3);
+			case 'A': return strftimeDays[f.weekday];
+			case 'b': case 'h': return strftimeMonths[f.month - 1].substring(0, 3);
+			case 'B': return strftimeMonths[f.month - 1];
+			case 'c': return strftime(info, f.time, '%a %b %e %H:%M:%S %Y') as string;
+			case 'C': return pad(Math.floor(f.year / 100), 2, '0');
+			case 'd': return pad(f.day, 2, '0');
+			case 'D': return strftime(info, f.time, '%m/%d/%y') as string;
+			case 'e': return pad(f.day, 2, ' ');
+			case 'F': return pad(f.year, 4, '0') + '-' + pad(f.month, 2, '0') + '-' + pad(f.day, 2, '0');
+			case 'g': return pad(((f.iso_year % 100) + 100) % 100, 2, '0');
+			case 'G': return String(f.iso_year);
+			case 'H': return pad(f.hour, 2, '0');
+			case 'I': return pad(hour12, 2, '0');
+			case 'j': return pad(f.yearday, 3, '0');
+			case 'k': return pad(f.hour, 2, ' ');
+			case 'l': return pad(hour12, 2, ' ');
+			case 'm': return pad(f.month, 2, '0');
+			case 'M': return pad(f.minute, 2, '0');
+			case 'n': return '\n';
+			case 'p': return f.hour < 12 ? 'AM' : 'PM';
+			case 'r': return strftime(info, f.time, '%I:%M:%S %p') as string;
+			case 'R': return pad(f.hour, 2, '0') + ':' + pad(f.minute, 2, '0');
+			case 's': return String(Math.floor(f.time / 1000));
+			case 'S': return pad(f.second, 2, '0');
+			case 't': return '\t';
+			case 'T': case 'X': return pad(f.hour, 2, '0') + ':' + pad(f.minute, 2, '0') + ':' + pad(f.second, 2, '0');
+			case 'u': return String(f.weekday || 7);
+			case 'U': return pad(Math.floor((f.yearday - 1 + 7 - f.weekday) / 7), 2, '0');
+			case 'V': return pad(f.iso_week, 2, '0');
+			case 'w': return String(f.weekday);
+			case 'W': return pad(Math.floor((f.yearday - 1 + 7 - (f.weekday + 6) % 7) / 7), 2, '0');
+			case 'x': return strftime(info, f.time, '%m/%d/%y') as string;
+			case 'y': return pad(((f.year % 100) + 100) % 100, 2, '0');
+			case 'Y': return String(f.year);
+			case 'z': return offset(0);
+			case ':z': return offset(1);
+			case '::z': return offset(2);
+			case 'Z': return f.abbrev;
+			case '%': return '%';
+			default: return directive;
+		}
+	});
+}
+
+export type time_unit_t = 'year'|'month'|'week'|'day'|'hour'|'minute'|'second'|'millisecond';
+
+const clockUnitMs:{[unit:string]:number} = { hour: 3600000, minute: 60000, second: 1000, millisecond: 1 };
+
+// add `amount` (negative to subtract) of `unit` to `date` in the zone, returning milliseconds since the epoch.
+// Calendar units keep the wall clock time, with the day of month clamped to the end of shorter months and
+// the result resolved by `policy` if it lands in a gap or an overlap, as for `localToUtc`.  Clock units add
+// elapsed time, so 24 hours is not a day on the days clocks change.  Returns false for non-integer calendar
+// amounts, if `localFields` does, or if the policy rejects the result.
+export function addToDate( info:any_info_t, date:number|Date|string, amount:number, unit:time_unit_t, policy?:local_policy_t ):number|false {
+	const f = localFields(info, date);
+	if (!f) return false;
+	if (clockUnitMs[unit] !== undefined) return f.time + amount * clockUnitMs[unit];
+	if (!Number.isInteger(amount)) return false;
+
+	const local:local_datetime_t = { year: f.year, month: f.month, day: f.day, hour: f.hour, minute: f.minute, second: f.second, millisecond: f.millisecond };
+	switch (unit) {
+		case 'year': case 'month': {
+			const months = f.year * 12 + (f.month - 1) + (unit == 'year' ? amount * 12 : amount);
+			local.year = Math.floor(months / 12);
+			local.month = months - local.year * 12 + 1;
+			local.day = Math.min(f.day, daysInMonth(local.year, local.month));
+			break;
+		}
+		case 'week': local.day += amount * 7; break;
+		case 'day': local.day += amount; break;
+		default: return false;
+	}
+	const times = localToUtc(info, local, policy);
+	return times ? times[0] : false;
+}
+
+// day 0 of the next month is the last day of `month`
+function daysInMonth( year:number, month:number ):number {
+	return new Date(fieldsToMs(year, month + 1, 0, 0, 0, 0, 0)).getUTCDate();
+}
+
+// the first instant of the local calendar day of `date` in the zone.  If midnight was skipped the day starts
+// at the transition, if it was repeated at the first midnight.  Returns false if `localFields` does.
+export function startOfDay( info:any_info_t, date:number|Date|string ):number|false {
+	const f = localFields(info, date);
+	if (!f) return false;
+	return dayStart(info, f.year, f.month, f.day);
+}
+
+// the first instant of the local date, which may be out of range like day 32
+function dayStart( info:any_info_t, year:number, month:number, day:number ):number|false {
+	const times = localToUtc(info, { year: year, month: month, day: day }, { gap: 'forward', overlap: 'earliest' });
+	return times ? times[0] : false;
+}
+
+// the last millisecond of the local calendar day of `date` in the zone, one before the next day starts
+export function endOfDay( info:any_info_t, date:number|Date|string ):number|false {
+	const f = localFields(info, date);
+	if (!f) return false;
+	const next = dayStart(info, f.year, f.month, f.day + 1);
+	return (next === false) ? false : next - 1;
+}
+
+// the length in milliseconds of the local calendar day of `date` in the zone, eg 23 or 25 hours when clocks change
+export function dayLength( info:any_info_t, date:number|Date|string ):number|false {
+	const f = localFields(info, date);
+	if (!f) return false;
+	const start = dayStart(info, f.year, f.month, f.day);
+	const next = dayStart(info, f.year, f.month, f.day + 1);
+	return (start === false || next === false) ? false : next - start;
+}
+
+// the number of calendar days from the local date of `from` to the local date of `to` in the zone,
+// negative if `to` is on an earlier day.  Times of day are ignored.
+export function calendarDaysBetween( info:any_info_t, from:number|Date|string, to:number|Date|string ):number|false {
+	const a = localFields(info, from);
+	const b = localFields(info, to);
+	if (!a || !b) return false;
+	return Math.round((fieldsToMs(b.year, b.month, b.day, 0, 0, 0, 0) - fieldsToMs(a.year, a.month, a.day, 0, 0, 0, 0)) / 86400000);
+}
+
+// a recurrence rule, the subset of RFC 5545 RRULE with FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH and BYHOUR
+export interface rrule_t {
+	freq:        'YEARLY'|'MONTHLY'|'WEEKLY'|'DAILY'|'HOURLY',
+	interval?:   number,                        // default 1
+	count?:      number,                        // the number of occurrences, at most one of count and until
+	until?:      number|local_datetime_t,       // inclusive, milliseconds since epoch or the wall clock time in the zone
+	byday?:      rrule_weekday_t[],
+	bymonthday?: number[],                      // 1..31, or -31..-1 counting from the end of the month
+	bymonth?:    number[],                      // 1..12
+	byhour?:     number[],                      // 0..23
+}
+
+export interface rrule_weekday_t {
+	day:  number,           // 0 (Sunday) .. 6
+	nth?: number,           // 1..53 or -53..-1, the nth such weekday of the month or year, MONTHLY and YEARLY only
+}
+
+const rruleWeekdays = [ 'SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA' ];
+
+// parse an RRULE value like "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=9", with or without the "RRULE:" prefix.
+// UNTIL with a trailing Z is UTC, without it the wall clock time in the zone.  Throws an Error naming the
+// problem if the rule is malformed or uses parts beyond the supported subset.
+export function parseRrule( text:string ):rrule_t {
+	const fail = (what:string):never => {
+		throw new Error("Invalid RRULE \"" + text + "\": " + what);
+	}
+	const parseList = (name:string, value:string, min:number, max:number, signed:boolean):number[] => {
+		return value.split(',').map((item) => {
+			if (!/^[+-]?\d{1,2}$/.test(item)) fail("bad " + name + " " + item);
+			const n = parseInt(item, 10);
+			if (Math.abs(n) < min || Math.abs(n) > max || (n < 0 && !signed)) fail(name + " " + item + " out of range");
+			return n;
+		});
+	}
+
+	const rule:Partial<rrule_t> = {};
+	for (const part of text.replace(/^RRULE:/i, '').split(';')) {
+		const m = /^([A-Z]+)=(.+)$/i.exec(part);
+		if (!m) fail("bad part \"" + part + "\"");
+		const name = m![1].toUpperCase(), value = m![2].toUpperCase();
+		if (name.toLowerCase() in rule) fail("repeated " + name);
+		switch (name) {
+			case 'FREQ':
+				if (!/^(YEARLY|MONTHLY|WEEKLY|DAILY|HOURLY)$/.test(value)) fail("unsupported FREQ " + value);
+				rule.freq = value as rrule_t['freq'];
+				break;
+			case 'INTERVAL': case 'COUNT':
+				if (!/^[1-9]\d*$/.test(value)) fail("bad " + name + " " + value);
+				if (name === 'COUNT') rule.count = parseInt(value, 10);
+				else rule.interval = parseInt(value, 10);
+				break;
+			case 'UNTIL': {
+				const u = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value);
+				if (!u) return fail("bad UNTIL " + value);
+				const local:local_datetime_t = { year: +u[1], month: +u[2], day: +u[3], hour: u[4] ? +u[4] : 23, minute: u[5] ? +u[5] : 59, second: u[6] ? +u[6] : 59 };
+				if (local.month < 1 || local.month > 12 || local.day < 1 || local.day > daysInMonth(local.year, local.month) ||
+					local.hour! > 23 || local.minute! > 59 || local.second! > 60) fail("UNTIL " + value + " out of range");
+				// a date without time includes the whole day
+				if (!u[4]) local.millisecond = 999;
+				rule.until = u[7] ? fieldsToMs(local.year, local.month, local.day, local.hour!, local.minute!, local.second!, 0) : local;
+				break;
+			}
+			case 'BYDAY':
+				rule.byday = value.split(',').map((item) => {
+					const d = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+					if (!d) return fail("bad BYDAY " + item);
+					const weekday:rrule_weekday_t = { day: rruleWeekdays.indexOf(d[2]) };
+					if (d[1] !== undefined) {
+						weekday.nth = parseInt(d[1], 10);
+						if (!weekday.nth || Math.abs(weekday.nth) > 53) fail("BYDAY " + item + " out of range");
+					}
+					return weekday;
+				});
+				break;
+			case 'BYMONTHDAY': rule.bymonthday = parseList(name, value, 1, 31, true); break;
+			case 'BYMONTH':    rule.bymonth = parseList(name, value, 1, 12, false); break;
+			case 'BYHOUR':     rule.byhour = parseList(name, value, 0, 23, false); break;
+			case 'WKST':
+				// weeks start on Monday, the default
+				if (value !== 'MO') fail("unsupported WKST " + value);
+				break;
+			default:
+				fail("unsupported part " + name);
+		}
+	}
+	const freq = rule.freq;
+	if (!freq) return fail("missing FREQ");
+	if (rule.count && rule.until !== undefined) fail("both COUNT and UNTIL");
+	if (rule.byday && freq !== 'MONTHLY' && freq !== 'YEARLY' && rule.byday.some(d => d.nth)) {
+		fail("numbered BYDAY with FREQ " + freq);
+	}
+	return { ...rule, freq: freq };
+}
+
+// lazily enumerate the occurrences of `rule` from the wall clock time `start` in the zone, as milliseconds
+// since the epoch in time order.  Occurrences keep the wall clock time of `start` (or the BYHOUR hours)
+// across transitions; those in gaps and overlaps are resolved by `policy` as for `localToUtc`, and
+// skipped if it rejects them.  `start` itself is an occurrence only if it matches the rule.
+// Without COUNT or UNTIL the sequence is endless, it ends if the rule has no occurrence in 400 years.
+export function expandRrule( info:any_info_t, start:local_datetime_t, rule:rrule_t|string, policy?:local_policy_t ):Generator<number> {
+	// parse now rather than on the first next()
+	return rruleOccurrences(info, start, (typeof rule === 'string') ? parseRrule(rule) : rule, policy);
+}
+
+function* rruleOccurrences( info:any_info_t, start:local_datetime_t, rule:rrule_t, policy?:local_policy_t ):Generator<number> {
+	const startWall = fieldsToMs(start.year, start.month, start.day, start.hour || 0, start.minute || 0, start.second || 0, start.millisecond || 0);
+	if (isNaN(startWall)) return;
+	const startDay = Math.floor(startWall / 86400000);
+	const s = new Date(startWall);
+	const clock = startWall - startDay * 86400000 - s.getUTCHours() * 3600000;
+	const interval = rule.interval || 1;
+	const until = rule.until;
+	const untilMs = (typeof until === 'number') ? until : Infinity;
+	const untilWall = (until === undefined || typeof until === 'number') ? Infinity :
+		fieldsToMs(until.year, until.month, until.day, until.hour || 0, until.minute || 0, until.second || 0, until.millisecond || 0);
+	const hours = rule.byhour ? rule.byhour.slice().sort((a, b) => a - b) : [ s.getUTCHours() ];
+
+	// day numbers count days since the epoch, 1970-01-01 was a Thursday
+	const weekday = (day:number) => ((day % 7) + 11) % 7;
+	const dayOf = (year:number, month:number, day:number) => Math.round(fieldsToMs(year, month, day, 0, 0, 0, 0) / 86400000);
+	const monthdayMatches = (date:Date) => {
+		const len = daysInMonth(date.getUTCFullYear(), date.getUTCMonth() + 1);
+		return rule.bymonthday!.some((md) => md == date.getUTCDate() || md == date.getUTCDate() - len - 1);
+	};
+	const dayMatches = (day:number) => {
+		const date = new Date(day * 86400000);
+		return (!rule.bymonth || rule.bymonth.indexOf(date.getUTCMonth() + 1) >= 0) &&
+			(!rule.bymonthday || monthdayMatches(date)) &&
+			(!rule.byday || rule.byday.some((d) => d.day == weekday(day)));
+	};
+	// the days from `first` to `last` selected by BYMONTHDAY (if a month) and BYDAY, or `fallback` if neither is given
+	const expandDays = (first:number, last:number, isMonth:boolean, fallback:number[]) => {
+		let days:number[]|undefined = undefined;
+		if (rule.bymonthday && isMonth) {
+			days = rule.bymonthday.map((md) => md > 0 ? first + md - 1 : last + md + 1).filter((day) => day >= first && day <= last);
+		}
+		if (rule.byday) {
+			const selected:number[] = [];
+			for (const d of rule.byday) {
+				const firstMatch = first + (d.day - weekday(first) + 7) % 7;
+				const matches = Math.floor((last - firstMatch) / 7) + 1;
+				if (!d.nth) {
+					for (let i=0; i<matches; i++) selected.push(firstMatch + i * 7);
+				} else {
+					const i = d.nth > 0 ? d.nth - 1 : matches + d.nth;
+					if (i >= 0 && i < matches) selected.push(firstMatch + i * 7);
+				}
+			}
+			days = days ? days.filter((day) => selected.indexOf(day) >= 0) : selected;
+		}
+		return days || fallback;
+	};
+	const monthDays = (year:number, month:number) => {
+		const first = dayOf(year, month, 1), last = first + daysInMonth(year, month) - 1;
+		return expandDays(first, last, true, s.getUTCDate() <= last - first + 1 ? [ first + s.getUTCDate() - 1 ] : []);
+	};
+
+	// the candidate wall clock times of the k-th period of the rule
+	const period = (k:number):number[] => {
+		let days:number[] = [];
+		switch (rule.freq) {
+			case 'YEARLY': {
+				const year = s.getUTCFullYear() + k * interval;
+				if (rule.bymonth || rule.bymonthday || !rule.byday) {
+					const months = rule.bymonth || (rule.bymonthday ? [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12 ] : [ s.getUTCMonth() + 1 ]);
+					for (const month of months) days = days.concat(monthDays(year, month));
+				} else {
+					days = expandDays(dayOf(year, 1, 1), dayOf(year, 12, 31), false, []);
+				}
+				break;
+			}
+			case 'MONTHLY': {
+				const months = s.getUTCFullYear() * 12 + s.getUTCMonth() + k * interval;
+				const year = Math.floor(months / 12), month = months - year * 12 + 1;
+				if (!rule.bymonth || rule.bymonth.indexOf(month) >= 0) days = monthDays(year, month);
+				break;
+			}
+			case 'WEEKLY': {
+				const monday = startDay - (weekday(startDay) + 6) % 7 + k * interval * 7;
+				const weekdays = rule.byday ? rule.byday.map((d) => d.day) : [ weekday(startDay) ];
+				days = weekdays.map((d) => monday + (d + 6) % 7).filter((day) => dayMatches(day));
+				break;
+			}
+			case 'DAILY': {
+				const day = startDay + k * interval;
+				if (dayMatches(day)) days = [ day ];
+				break;
+			}
+			case 'HOURLY': {
+				const wall = startWall + k * interval * 3600000;
+				const day = Math.floor(wall / 86400000);
+				return (dayMatches(day) && (!rule.byhour || rule.byhour.indexOf(new Date(wall).getUTCHours()) >= 0)) ? [ wall ] : [];
+			}
+			default:
+				throw new Error("Unsupported RRULE frequency " + rule.freq);
+		}
+		const walls:number[] = [];
+		for (const day of days) {
+			for (const hour of hours) walls.push(day * 86400000 + hour * 3600000 + clock);
+		}
+		return walls.filter((wall, i) => walls.indexOf(wall) == i).sort((a, b) => a - b);
+	};
+
+	// rules no day or hour can match, like BYMONTH=2;BYMONTHDAY=30, would run through 400 years of periods,
+	// some 3.5 million of them for HOURLY
+	const maxMonthDays = [ 31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31 ];
+	const bymonthday = rule.bymonthday;
+	if (bymonthday && !(rule.bymonth || [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12 ]).some((month) => bymonthday.some((md) => Math.abs(md) <= maxMonthDays[month - 1]))) return;
+	if (rule.freq === 'HOURLY' && rule.byhour) {
+		// the hours reached step by the greatest common divisor of the interval and 24
+		let step = 24, n = interval % 24;
+		while (n) [ step, n ] = [ n, step % n ];
+		if (!rule.byhour.some((hour) => (hour - s.getUTCHours() + 24) % step == 0)) return;
+	}
+
+	// every day and weekday pattern repeats within 400 years
+	const periodDays:{[freq:string]:number} = { YEARLY: 365.2425, MONTHLY: 30.436875, WEEKLY: 7, DAILY: 1, HOURLY: 1 / 24 };
+	const maxEmpty = Math.ceil(146097 / periodDays[rule.freq]);
+	let count = 0, last = -Infinity, empty = 0;
+	for (let k=0; ; k++) {
+		const walls = period(k);
+		if (walls.some((wall) => isNaN(wall))) return;
+		empty = walls.length ? 0 : empty + 1;
+		if (empty > maxEmpty) return;
+		for (const wall of walls) {
+			if (wall < startWall) continue;
+			if (wall > untilWall) return;
+			const date = new Date(wall);
+			const times = localToUtc(info, {
+				year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(),
+				hour: date.getUTCHours(), minute: date.getUTCMinutes(), second: date.getUTCSeconds(), millisecond: date.getUTCMilliseconds(),
+			}, policy);
+			if (!times) continue;
+			for (const time of times) {
+				if (time > untilMs) return;
+				// gaps moved forward can land on the next occurrence
+				if (time <= last) continue;
+				last = time;
+				yield time;
+				if (rule.count && ++count >= rule.count) return;
+			}
+		}
+	}
+}
+
+// the parts of the TC39 Temporal API used by the time zone adapter, so the library does not depend on a polyfill
+export interface temporal_instant_t {
+	readonly epochMilliseconds: number,
+	add( duration:{nanoseconds:number} ):temporal_instant_t,
+}
+
+export interface temporal_plain_date_time_t {
+	readonly year: number, readonly month: number, readonly day: number,
+	readonly hour: number, readonly minute: number, readonly second: number,
+	readonly millisecond: number, readonly microsecond: number, readonly nanosecond: number,
+}
+
+export interface temporal_t {
+	Instant: {
+		fromEpochMilliseconds( ms:number ):temporal_instant_t,
+		compare( a:temporal_instant_t, b:temporal_instant_t ):number,
+	},
+}
+
+// the Temporal time zone protocol
+export interface temporal_time_zone_t {
+	readonly id: string,
+	getOffsetNanosecondsFor( instant:temporal_instant_t ):number,
+	getPossibleInstantsFor( dateTime:temporal_plain_date_time_t ):temporal_instant_t[],
+	getNextTransition( startingPoint:temporal_instant_t ):temporal_instant_t|null,
+	getPreviousTransition( startingPoint:temporal_instant_t ):temporal_instant_t|null,
+	toString():string,
+	toJSON():string,
+}
+
+// a custom Temporal time zone named `id` that uses the zone `info` instead of the ICU data of the runtime.
+// `Temporal` is the namespace of the polyfill (or the runtime) the instants are created with.
+// Transitions are the changes of the UTC offset, as Temporal defines them.
+export function temporalTimeZone( Temporal:temporal_t, info:any_info_t, id:string ):temporal_time_zone_t {
+	// epochMilliseconds rounds towards zero, offsets change at whole seconds so the floor is exact enough
+	const floorMs = (instant:temporal_instant_t) => {
+		const ms = instant.epochMilliseconds;
+		return Temporal.Instant.compare(instant, Temporal.Instant.fromEpochMilliseconds(ms)) < 0 ? ms - 1 : ms;
+	};
+	const instantAt = (ms:number) => Temporal.Instant.fromEpochMilliseconds(ms);
+
+	return {
+		id: id,
+		getOffsetNanosecondsFor: (instant:temporal_instant_t) => {
+			const tz = tzinfoAt(info, floorMs(instant));
+			return tz ? tz.tt_gmtoff * 1e9 : 0;
+		},
+		getPossibleInstantsFor: (dt:temporal_plain_date_time_t) => {
+			// none in a gap, both in an overlap
+			const times = localToUtc(info, {
+				year: dt.year, month: dt.month, day: dt.day, hour: dt.hour, minute: dt.minute, second: dt.second, millisecond: dt.millisecond,
+			}, { gap: 'reject', overlap: 'both' });
+			if (!times) return [];
+			const ns = dt.microsecond * 1000 + dt.nanosecond;
+			return times.map((ms) => ns ? instantAt(ms).add({nanoseconds: ns}) : instantAt(ms));
+		},
+		getNextTransition: (startingPoint:temporal_instant_t) => {
+			for (const transition of iterateTransitions(info, floorMs(startingPoint) + 1, 8.64e15)) {
+				if (transition.after.tt_gmtoff !== transition.before.tt_gmtoff) return instantAt(transition.at);
+			}
+			return null;
+		},
+		getPreviousTransition: (startingPoint:temporal_instant_t) => {
+			// the tzinfo in effect just before `startingPoint`, then back to where its offset took effect
+			const ms = floorMs(startingPoint);
+			const before = Temporal.Instant.compare(startingPoint, instantAt(ms)) > 0 ? ms : ms - 1;
+			let tz = findTzinfo(info, before, false);
+			while (tz) {
+				const prev = prevTzinfo(info, tz);
+				if (!prev) return null;
+				if (prev.tt_gmtoff !== tz.tt_gmtoff) return instantAt(tz.startat);
+				tz = prev;
+			}
+			return null;
+		},
+		toString: () => id,
+		toJSON: () => id,
+	};
+}
+
+// the Temporal time zone for the zone `tzname`, read with getCachedZoneInfo
+export function getTemporalTimeZone( Temporal:temporal_t, tzname:string ):Promise<temporal_time_zone_t> {
+	return getCachedZoneInfo(tzname).then((info) => temporalTimeZone(Temporal, info, tzname));
+}
+
+// how a numeric offset in a date-time string is reconciled with the rules of its bracketed zone
+export interface zoned_parse_options_t extends local_policy_t {
+	offset?: 'reject'|'prefer-offset'|'prefer-zone',   // default 'reject'
+}
+
+// an instant in a named zone, as parsed from an RFC 9557 string
+export interface zoned_datetime_t {
+	time:   number,         // milliseconds since the epoch
+	zone:   string,         // the zone name in brackets, or a fixed offset like "+02:00"
+	gmtoff: number,         // seconds to add to GMT to get localtime, as in effect in the zone at `time`
+	info:   info_t,
+}
+
+// the parts of an RFC 9557 date-time like "2026-10-25T03:30:00+02:00[Europe/Sofia]"
+interface rfc9557_parts_t {
+	local:  local_datetime_t,
+	utc:    boolean,                // Z: the instant is known, the local time is not
+	offset: number|undefined,       // seconds, undefined if not given
+	zone:   string,
+}
+
+function parseRfc9557( text:string ):rfc9557_parts_t {
+	const fail = (what:string):never => {
+		throw new Error("Invalid date-time \"" + text + "\": " + what);
+	}
+	const m = /^([+-]\d{6}|\d{4})-(\d{2})-(\d{2})(?:[Tt ](\d{2})(?::(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?)?)?([Zz]|[+-]\d{2}(?::\d{2}(?::\d{2})?)?)?((?:\[[^\]]*\])*)$/.exec(text);
+	if (!m) return fail("bad format");
+	if (m[1] === '-000000') fail("bad year");
+	const local:local_datetime_t = {
+		year: parseInt(m[1], 10), month: +m[2], day: +m[3],
+		hour: m[4] ? +m[4] : 0, minute: m[5] ? +m[5] : 0,
+		// a leap second is the second before it, as for Temporal
+		second: m[6] ? Math.min(+m[6], 59) : 0,
+		millisecond: m[7] ? +(m[7] + '00').substring(0, 3) : 0,
+	};
+	if (local.month < 1 || local.month > 12 || local.day < 1 || local.day > daysInMonth(local.year, local.month) ||
+		local.hour! > 23 || local.minute! > 59 || (m[6] && +m[6] > 60)) fail("date-time out of range");
+
+	const parsed:rfc9557_parts_t = { local: local, utc: false, offset: undefined, zone: '' };
+	if (m[8] && /^[Zz]$/.test(m[8])) parsed.utc = true;
+	else if (m[8]) parsed.offset = parseOffset(m[8], fail);
+
+	const annotations = m[9].match(/\[[^\]]*\]/g) || [];
+	for (const annotation of annotations) {
+		const a = /^\[(!?)(?:([a-z_][a-z0-9_-]*)=([A-Za-z0-9-]+)|([^=]+))\]$/.exec(annotation);
+		if (!a) return fail("bad annotation " + annotation);
+		if (a[4] !== undefined) {
+			if (parsed.zone) fail("more than one time zone");
+			if (!/^([A-Za-z._][A-Za-z0-9._+-]*(\/[A-Za-z._][A-Za-z0-9._+-]*)*|[+-]\d{2}:\d{2})$/.test(a[4]) || !isZoneName(a[4])) fail("bad time zone " + a[4]);
+			parsed.zone = a[4];
+		} else if (a[1] && !(a[2] === 'u-ca' && a[3] === 'iso8601')) {
+			// critical annotations must be understood, others can be ignored
+			fail("unsupported critical annotation " + annotation);
+		}
+	}
+	if (!parsed.zone) fail("no time zone");
+	return parsed;
+}
+
+// [+-]hh[:mm[:ss]] in seconds
+function parseOffset( offset:string, fail:(what:string) => never ):number {
+	const o = /^([+-])(\d{2})(?::(\d{2})(?::(\d{2}))?)?$/.exec(offset);
+	if (!o || +o[2] > 23 || (o[3] && +o[3] > 59) || (o[4] && +o[4] > 59)) return fail("bad offset " + offset);
+	const secs = +o[2] * 3600 + (o[3] ? +o[3] * 60 : 0) + (o[4] ? +o[4] : 0);
+	return o[1] === '-' ? -secs : secs;
+}
+
+// +hh:mm, with :ss only if the offset has seconds
+function formatOffset( gmtoff:number ):string {
+	const pad = (n:number) => (n < 10 ? '0' : '') + n;
+	const secs = Math.abs(gmtoff);
+	return (gmtoff < 0 ? '-' : '+') + pad(Math.floor(secs / 3600)) + ':' + pad(Math.floor(secs / 60) % 60) + (secs % 60 ? ':' + pad(secs % 60) : '');
+}
+
+// the instant of the parsed date-time in the zone `info`
+function resolveRfc9557( text:string, parsed:rfc9557_parts_t, info:info_t, options?:zoned_parse_options_t ):zoned_datetime_t {
+	const fail = (what:string):never => {
+		throw new Error("Invalid date-time \"" + text + "\": " + what);
+	}
+	const l = parsed.local;
+	const wall = fieldsToMs(l.year, l.month, l.day, l.hour!, l.minute!, l.second!, l.millisecond!);
+	const mode = (options && options.offset) || 'reject';
+
+	let time:number|undefined = undefined;
+	if (parsed.utc) {
+		time = wall;
+	} else if (parsed.offset !== undefined && mode === 'prefer-offset') {
+		time = wall - parsed.offset * 1000;
+	} else {
+		const candidates = localToUtc(info, l, { gap: 'reject', overlap: 'both' }) || [];
+		if (parsed.offset !== undefined) {
+			// the offset picks one of the instants at which the zone shows the wall clock time
+			const exact = wall - parsed.offset * 1000;
+			if (candidates.indexOf(exact) >= 0) time = exact;
+			else if (mode === 'reject') fail("offset " + formatOffset(parsed.offset) + " is not valid in " + parsed.zone);
+		}
+		if (time === undefined) {
+			const resolved = localToUtc(info, l, options);
+			if (!resolved) return fail("local time is " + (candidates.length ? "ambiguous" : "skipped") + " in " + parsed.zone);
+			time = resolved[0];
+		}
+	}
+	const tz = tzinfoAt(info, time);
+	if (isNaN(time) || !tz) return fail("out of range");
+	return { time: time, zone: parsed.zone, gmtoff: tz.tt_gmtoff, info: info };
+}
+
+// parse an RFC 9557 date-time string like "2026-03-29T03:30:00[Europe/Sofia]" or "2026-10-25T03:30:00+02:00[Europe/Sofia]",
+// reading the zone with getCachedZoneInfo.  A numeric offset must be valid for the zone at that wall clock time unless
+// `options.offset` says to prefer the offset or the zone; without an offset, or preferring the zone, local times in
+// gaps and overlaps are resolved by the policy of `options` as for `localToUtc`.  Rejects malformed strings and offsets
+// the zone does not have with an Error naming the problem.
+export function parseZonedDateTime( text:string, options?:zoned_parse_options_t ):Promise<zoned_datetime_t> {
+	return new Promise<rfc9557_parts_t>((resolve) => resolve(parseRfc9557(text)))
+	.then((parsed) => {
+		const info = /^[+-]/.test(parsed.zone) ?
+			Promise.resolve(parsePosixZoneinfo('<' + parsed.zone.replace(':', '') + '>' + (parsed.zone[0] === '+' ? '-' : '+') + parsed.zone.substring(1))) :
+			getCachedZoneInfo(parsed.zone);
+		return info.then((info) => resolveRfc9557(text, parsed, info, options));
+	});
+}
+
+// format `date` as an RFC 9557 string with the offset in effect in the zone and the zone name in brackets,
+// like "2026-10-25T03:30:00+02:00[Europe/Sofia]".  Milliseconds are included if not zero.
+// Returns false if `localFields` does.
+export function formatZonedDateTime( info:any_info_t, date:number|Date|string, zone:string ):string|false {
+	const f = localFields(info, date);
+	if (!f) return false;
+	const pad = (n:number, width:number) => {
+		let digits = String(n);
+		while (digits.length < width) digits = '0' + digits;
+		return digits;
+	};
+	const year = (f.year >= 0 && f.year <= 9999) ? pad(f.year, 4) : (f.year < 0 ? '-' : '+') + pad(Math.abs(f.year), 6);
+	return year + '-' + pad(f.month, 2) + '-' + pad(f.day, 2) + 'T' + pad(f.hour, 2) + ':' + pad(f.minute, 2) + ':' + pad(f.second, 2) +
+		(f.millisecond ? '.' + pad(f.millisecond, 3) : '') + formatOffset(f.gmtoff) + '[' + zone + ']';
+}
+
+// the total leap second correction in effect at `t` seconds on the time scale of the file, as leapcorr() of tzcode
+function leapCorrection( info:any_info_t, t:number ):number {
+	for (let i=info.leaps.length-1; i>=0; i--) {
+		if (t >= info.leaps[i].time) return info.leaps[i].add;
+	}
+	return 0;
+}
+
+// convert milliseconds on the leap second counting time scale of a right/ zone to POSIX milliseconds,
+// as time2posix(3).  The inserted 23:59:60 second maps to the 23:59:59 second before it.
+export function rightToPosix( info:any_info_t, ms:number ):number {
+	const t = Math.floor(ms / 1000);
+	return ms - leapCorrection(info, t) * 1000;
+}
+
+// convert POSIX milliseconds to the time scale of a right/ zone, as posix2time(3)
+export function posixToRight( info:any_info_t, ms:number ):number {
+	const t = Math.floor(ms / 1000);
+	let x = t + leapCorrection(info, t);
+	let y = x - leapCorrection(info, x);
+	if (y < t) {
+		do y = ++x - leapCorrection(info, x); while (y < t);
+		if (y != t) x--;
+	} else if (y > t) {
+		do y = --x - leapCorrection(info, x); while (y > t);
+		if (y != t) x++;
+	}
+	return x * 1000 + (ms - t * 1000);
+}
+
+// whether `ms` on the time scale of a right/ zone falls inside an inserted leap second
+export function isLeapSecond( info:any_info_t, ms:number ):boolean {
+	const t = Math.floor(ms / 1000);
+	for (let i=info.leaps.length-1; i>=0 && info.leaps[i].time>=t; i--) {
+		const prev = i > 0 ? info.leaps[i-1].add : 0;
+		if (info.leaps[i].time == t && info.leaps[i].add > prev) return true;
+	}
+	return false;
+}
+
+// the POSIX time in milliseconds after which the leap second table of a version 4 file is no
+// longer valid, false if the table does not say
+export function leapExpiry( info:any_info_t ):number|false {
+	const n = info.leaps.length;
+	if (n < 2 || info.leaps[n-1].add !== info.leaps[n-2].add) return false;
+	return rightToPosix(info, info.leaps[n-1].time * 1000);
+}
+
+// search the sorted array for the index of the largest element
+// not greater than val.  Returns the index of the element if found, else -1.
+export function absearch( array:ArrayLike<number>, val:number ) {
+	let hi, lo, mid;
+
+	// binary search to approximate the location of val
+	for (lo = 0, hi = array.length - 1; (hi - lo) > 15; ) {
+		mid = ((hi + lo) / 2) >>> 0;
+		if (val < array[mid]) hi = mid - 1;
+		else lo = mid;
+	}
+
+	// once close enough, switch to linear search for speed
+	// scan to find the first element larger than val
+	while (lo <= hi && array[lo] <= val) lo++;
+
+	// if such an element exists, we want the preceding element thats <= val
+	if (lo > 0) return lo - 1;
+
+	// if val is less than all elements in the array, return -1
+	return -1;
+}
+
+export function getZoneinfoDirectory( ) {
+	return zoneinfoDir;
+}
+
+// switch to another zoneinfo directory.  The zones cached from the old one are dropped, and the precache
+// too unless it comes from another zone source.
+export function setZoneinfoDirectory(dir:string) {
+	while (dir.endsWith('/')) dir=dir.substring(0,dir.length-1);
+	if (dir===zoneinfoDir) return;
+	zoneinfoDir=dir;
+	dropZoneCaches(zoneSource===defaultSource);
+}
+
+// find the names of all the zoneinfo files on the system.
+// This is a blocking operation, so call it only on startup.
+// The list is small, 80 kb or so, so can be cached.
+export function listZoneinfoFiles( dirname:string|undefined, strip_prefix:boolean=false ):string[] {
+
+	if (dirname==undefined) dirname=zoneinfoDir;
+	
+	while (dirname.endsWith('/')) dirname=dirname.substring(0,dirname.length-1);
+	
+	let files;
+	try {
+		files = fs.readdirSync(dirname);
+	} catch (err) {
+		return [];
+	}
+	let tzfiles:string[] = new Array();
+
+	let stat, buf = Buffer.alloc(8);
+	for (let i=0; i<files.length; i++) {
+		let filepath = dirname + '/' + files[i];
+		try {
+			stat = fs.statSync(filepath);
+			if (stat.isDirectory()) {
+				let moreTzfiles = listZoneinfoFiles(filepath,false);
+				if (strip_prefix==false) {
+					tzfiles = tzfiles.concat(moreTzfiles);
+				} else {
+					for (let f of moreTzfiles) {
+						tzfiles.push(f.substring(zoneinfoDir.length+1));
+					}
+				}
+			}
+			else {
+				let fd = fs.openSync(filepath, 'r');
+				fs.readSync(fd, buf, 0, 5, 0);
+				fs.closeSync(fd);
+				if (buf.toString(undefined, 0, 4) === 'TZif') {
+					if (strip_prefix==false) {
+						tzfiles.push(filepath);
+					} else {
+						tzfiles.push(filepath.substring(zoneinfoDir.length+1));
+					}
+				}
+			}
+		} catch(e) { }
+	}
+
+	return tzfiles;
+}
+
+let lczones2zi:Map<string,any_info_t>|undefined=undefined;
+let realnames=new Map<string,string>();                     // zone files by path => real path, least recently used first
+let realnameRefs=new Map<string,number>();                  // real paths => the number of realnames zone files with it
+let infocache=new Map<string,any_info_t>();                 // zones by the real path of their file
+let sourcecache=new Map<string,any_info_t>();                 // zones by name read from a zone source, least recently used first
+let negatives=new Map<string,{expires:number, error:Error}>();  // zone files (or source zone names) not found or broken => expiry time and error
+let pendingReads=new Map<string,Promise<any_info_t>>();     // zone files (or source zone names) being read => their zone
+let precacheBuffer:SharedArrayBuffer|undefined=undefined;    // backs lczones2zi in compact mode
+let precacheNames:string[]=[];                              // the canonical names of the lczones2zi zones
+
+export interface zoneinfo_cache_options_t {
+	max_size?:     number,      // the most zones cached, least recently used dropped first, 0 (default) for no limit
+	negative_ttl?: number,      // ms zones not found or broken are remembered as such, default 60000, 0 to not remember them
+}
+
+export interface zoneinfo_cache_stats_t {
+	hits:          number,      // lookups answered from the cache or the precache, or joining a read of the zone in progress
+	negative_hits: number,      // lookups rejected as remembered not found, or missing from the precache
+	misses:        number,      // lookups that read the zone
+	evictions:     number,      // zones dropped to stay within max_size
+	size:          number,      // zones cached, the precache not counted
+	negative:      number,      // zones remembered as not found or broken
+	precached:     number,      // zones precached
+}
+
+// the cache of getCachedZoneInfo, getZoneInfoSync and precacheZones
+export interface zoneinfo_cache_t {
+	configure( options:zoneinfo_cache_options_t ):void,
+	stats( ):zoneinfo_cache_stats_t,
+	clear( resetStats?:boolean ):void,      // drop the cached zones and the precache, and zero the stats if resetStats
+}
+
+const cacheOptions={ max_size: 0, negative_ttl: 60000 };
+const cacheStats={ hits: 0, negative_hits: 0, misses: 0, evictions: 0 };
+
+const zoneinfoCache:zoneinfo_cache_t={
+	configure: options=>{
+		if (options.max_size!==undefined) cacheOptions.max_size=options.max_size;
+		if (options.negative_ttl!==undefined) cacheOptions.negative_ttl=options.negative_ttl;
+		trimCache();
+	},
+	stats: ()=>({
+		hits:          cacheStats.hits,
+		negative_hits: cacheStats.negative_hits,
+		misses:        cacheStats.misses,
+		evictions:     cacheStats.evictions,
+		size:          realnames.size+sourcecache.size,
+		negative:      negatives.size,
+		precached:     lczones2zi ? precacheNames.length : 0,
+	}),
+	clear: (resetStats=false)=>{
+		dropZoneCaches(true);
+		if (resetStats) cacheStats.hits=cacheStats.negative_hits=cacheStats.misses=cacheStats.evictions=0;
+	},
+};
+
+export function getZoneinfoCache():zoneinfo_cache_t {
+	return zoneinfoCache;
+}
+
+// drop the cached zones, and the precache too if `precache`
+function dropZoneCaches(precache:boolean) {
+	realnames=new Map();
+	realnameRefs=new Map();
+	pendingReads=new Map();
+	infocache=new Map();
+	sourcecache=new Map();
+	negatives=new Map();
+	if (precache) {
+		lczones2zi=undefined;
+		precacheNames=[];
+		precacheBuffer=undefined;
+	}
+}
+
+// the cached zone of a zone file (or source zone name) `key`, made the most recently used: the error it failed with
+// if remembered as not found or broken, undefined if not cached
+function cachedZone(key:string):any_info_t|Error|undefined {
+	const realname=realnames.get(key);
+	const zinfo=(realname!==undefined) ? infocache.get(realname) : sourcecache.get(key);
+	if (zinfo) {
+		if (realname!==undefined) {
+			realnames.delete(key);
+			realnames.set(key, realname);
+		}
+		else {
+			sourcecache.delete(key);
+			sourcecache.set(key, zinfo);
+		}
+		cacheStats.hits++;
+		return zinfo;
+	}
+	const negative=negatives.get(key);
+	if (negative!==undefined) {
+		if (Date.now()<negative.expires) {
+			cacheStats.negative_hits++;
+			return negative.error;
+		}
+		negatives.delete(key);
+	}
+	cacheStats.misses++;
+	return undefined;
+}
+
+// the read in progress of the zone file (or source zone name) `key`, if any, for a lookup joining it
+function joinRead(key:string):Promise<any_info_t>|undefined {
+	const reading=pendingReads.get(key);
+	if (reading) cacheStats.hits++;
+	return reading;
+}
+
+// share `reading`, the read of the zone file (or source zone name) `key`, with the lookups of it until it settles
+function shareRead(key:string, reading:Promise<any_info_t>):Promise<any_info_t> {
+	pendingReads.set(key, reading);
+	const settled=()=>{
+		if (pendingReads.get(key)===reading) pendingReads.delete(key);
+	};
+	reading.then(settled, settled);
+	return reading;
+}
+
+// cache the zone file `zonefile` as a file with the real path `realname`
+function setRealname(zonefile:string, realname:string) {
+	deleteRealname(zonefile);
+	realnames.set(zonefile, realname);
+	realnameRefs.set(realname, (realnameRefs.get(realname) || 0)+1);
+}
+
+// drop the zone file `zonefile`, and its zone with the last zone file of its real path
+function deleteRealname(zonefile:string) {
+	const realname=realnames.get(zonefile);
+	if (realname===undefined) return;
+	realnames.delete(zonefile);
+	const refs=realnameRefs.get(realname)!-1;
+	if (refs>0) realnameRefs.set(realname, refs);
+	else {
+		realnameRefs.delete(realname);
+		infocache.delete(realname);
+	}
+}
+
+// remember the zone file (or source zone name) `key` as not found or broken, and return the `error` it failed with
+function setNegative(key:string, error:Error):Error {
+	if (cacheOptions.negative_ttl>0) negatives.set(key, { expires: Date.now()+cacheOptions.negative_ttl, error: error });
+	trimCache();
+	return error;
+}
+
+// parse and cache the zone of a zone file (with its real path) or source zone (without), or remember it as broken and throw
+function cacheZoneData(key:string, realname:string|undefined, filedata:Buffer):info_t {
+	let zinfo:info_t|false;
+	try {
+		zinfo=parseZoneinfo(filedata,true);
+	} catch (e) {
+		throw setNegative(key, e as Error);
+	}
+	if (zinfo==false) throw setNegative(key, new Error("Failed to parse zone file"));
+	if (realname!==undefined) {
+		setRealname(key, realname);
+		infocache.set(realname, zinfo);
+	}
+	else sourcecache.set(key, zinfo);
+	negatives.delete(key);
+	trimCache();
+	return zinfo;
+}
+
+// drop the least recently used zones, and the oldest negative entries, beyond max_size
+function trimCache() {
+	const max=cacheOptions.max_size;
+	if (!(max>0)) return;
+	while (realnames.size+sourcecache.size>max) {
+		if (realnames.size) deleteRealname(realnames.keys().next().value as string);
+		else sourcecache.delete(sourcecache.keys().next().value as string);
+		cacheStats.evictions++;
+	}
+	while (negatives.size>max) negatives.delete(negatives.keys().next().value as string);
+}
+
+export interface precache_options_t {
+	compact?:  boolean,                                 // keep the zones packed in a SharedArrayBuffer, see packZoneinfos
+	progress?: (done:number, total:number)=>void,       // called as each zone file (or source zone) has been read
+}
+
+export interface precache_report_t {
+	zones:  number,                                     // the number of zones precached
+	errors: {name:string, error:Error}[],               // the zones that could not be read or parsed, by name, '' if none could be listed
+}
+
+// read all the zones into the precache, used by getCachedZoneInfo, getPreCachedZoneInfo and getZoneInfoSync
+// from then on.  Files of the zoneinfo directory that are not zoneinfo files are skipped, other failures are
+// reported.  If the zones cannot be listed the precache is left as it was and the error reported with the name ''.
+export function precacheZones(capture_canonical_names?:string[], options?:precache_options_t):Promise<precache_report_t> {
+	const zimap=new Map<string,any_info_t>();
+	const compact=!!(options && options.compact);
+	const progress=(options && options.progress) || (()=>{});
+	const names:string[]=[];
+	const errors:{name:string, error:Error}[]=[];
+	const precached=(zoneSource===defaultSource) ? precacheZonesInDir(zoneinfoDir,zimap,names,errors,progress) : precacheZonesFromSource(zoneSource,zimap,names,errors,progress);
+	return precached.then(()=>{
+		if (capture_canonical_names) capture_canonical_names.push(...names);
+		if (compact) {
+			usePackedZoneinfos(packZoneinfos(new Map(names.map(name=>[name, zimap.get(name.toLocaleLowerCase())!]))), zimap);
+		}
+		else {
+			lczones2zi=zimap;
+			precacheNames=names;
+			precacheBuffer=undefined;
+		}
+		errors.sort((a, b)=>(a.name<b.name) ? -1 : (a.name>b.name) ? 1 : 0);
+		return { zones: names.length, errors: errors };
+	}, (error:Error)=>({ zones: 0, errors: [{ name: '', error: error }] }));
+}
+
+// precache the zones packed by packZoneinfos, eg. in a worker thread from the getPrecacheBuffer() of the main
+// thread.  The zone files are not read, the zones share the transition times of the buffer.
+export function precacheZonesFromBuffer(buffer:SharedArrayBuffer, capture_canonical_names?:string[]):true {
+	const zones=unpackZoneinfos(buffer);
+	if (capture_canonical_names) capture_canonical_names.push(...zones.keys());
+	const zimap=new Map<string,any_info_t>();
+	zones.forEach((zinfo, name)=>zimap.set(name.toLocaleLowerCase(), zinfo));
+	lczones2zi=zimap;
+	precacheNames=Array.from(zones.keys());
+	precacheBuffer=buffer;
+	return true;
+}
+
+// the buffer backing the zones precached in compact mode, false if the precache is not compact
+export function getPrecacheBuffer():SharedArrayBuffer|false {
+	return (lczones2zi && precacheBuffer) || false;
+}
+
+// switch the precache to the zones packed in buffer, and the zones of infocache to the packed
+// copies of the `zimap` zones they were packed from, so the unpacked ones can be garbage collected
+function usePackedZoneinfos(buffer:SharedArrayBuffer, zimap:Map<string,any_info_t>) {
+	precacheZonesFromBuffer(buffer);
+	const packed=new Map<any_info_t,any_info_t>();
+	zimap.forEach((zinfo, lcname)=>{
+		const zi=lczones2zi!.get(lcname);
+		if (zi) packed.set(zinfo, zi);
+	});
+	infocache.forEach((zinfo, realname)=>{
+		const zi=packed.get(zinfo);
+		if (zi) infocache.set(realname, zi);
+	});
+	sourcecache.forEach((zinfo, zonename)=>{
+		const zi=packed.get(zinfo);
+		if (zi) sourcecache.set(zonename, zi);
+	});
+}
+
+// precache the zones listed by a zone source other than the zoneinfo directory
+function precacheZonesFromSource(source:zone_source_t, zimap:Map<string,any_info_t>, capture_canonical_names:string[], errors:{name:string, error:Error}[], progress:(done:number, total:number)=>void):Promise<true> {
+	return source.listZones().then(names=>{
+		let done=0;
+		return Promise.all(names.map(name=>getSourceZoneInfo(source,name).catch(error=>{
+			errors.push({ name: name, error: error });
+			return false as const;
+		}).then(zinfo=>{
+			progress(++done, names.length);
+			return zinfo;
+		}))).then(infos=>{
+			names.forEach((name, i)=>{
+				const zinfo=infos[i];
+				if (!zinfo) return;
+				capture_canonical_names.push(name);
+				zimap.set(name.toLocaleLowerCase(),zinfo);
+			});
+			return true as const;
+		});
+	});
+}
+
+// the paths of the files under dirname, with the directories that could not be read (below the top one) in errors
+function listFilesInDir(dirname:string, topdir:string, errors:{name:string, error:Error}[]):Promise<string[]> {return new Promise((resolve,reject)=>{
+	fs.readdir(dirname,(err,files)=>{
+		if (err) return reject(err);
+		Promise.all(files.map(f=>new Promise<string[]>(resolve=>{
+			const filepath=dirname + '/' + f;
+			fs.stat(filepath,(err,stat)=>{
+				if (err) {
+					errors.push({ name: filepath.substring(topdir.length+1), error: err });
+					return resolve([]);
+				}
+				if (!stat.isDirectory()) return resolve([filepath]);
+				listFilesInDir(filepath,topdir,errors).then(resolve, err=>{
+					errors.push({ name: filepath.substring(topdir.length+1), error: err });
+					resolve([]);
+				});
+			});
+		}))).then(lists=>resolve(([] as string[]).concat(...lists)));
+	});
+})}
+
+// precache the zones of the zoneinfo files under dirname, links sharing the zone of their target
+function precacheZonesInDir(dirname:string, zimap:Map<string,any_info_t>, capture_canonical_names:string[], errors:{name:string, error:Error}[], progress:(done:number, total:number)=>void):Promise<true> {
+	while (dirname.endsWith('/')) dirname=dirname.substring(0,dirname.length-1);
+	return listFilesInDir(dirname,dirname,errors).then(files=>{
+		const parsed=new Map<string,Promise<any_info_t|false>>();       // by real path
+		let done=0;
+		return Promise.all(files.map(filepath=>new Promise<any_info_t|false>(resolve=>{
+			const name=filepath.substring(dirname.length+1);
+			const failed=(error:Error)=>{
+				errors.push({ name: name, error: error });
+				resolve(false);
+			};
+			fs.realpath(filepath,(err, resolvedpath)=>{
+				if (err) return failed(err);
+				let zinfo=parsed.get(resolvedpath);
+				if (!zinfo) {
+					const cached=infocache.get(resolvedpath);
+					zinfo=cached ? Promise.resolve(cached) : new Promise<any_info_t|false>((resolve,reject)=>{
+						fs.readFile(resolvedpath,(err,filedata)=>{
+							if (err) return reject(err);
+							if (filedata.toString('latin1',0,4)!=='TZif') return resolve(false);
+							try {
+								resolve(parseZoneinfo(filedata,true));
+							} catch (e) {
+								reject(e);
+							}
+						});
+					});
+					parsed.set(resolvedpath, zinfo);
+				}
+				zinfo.then(resolve, failed);
+			});
+		}).then(zinfo=>{
+			progress(++done, files.length);
+			return zinfo;
+		}))).then(infos=>{
+			files.forEach((filepath, i)=>{
+				const zinfo=infos[i];
+				if (!zinfo) return;
+				const canonical_name=filepath.substring(dirname.length+1);
+				capture_canonical_names.push(canonical_name);
+				zimap.set(canonical_name.toLocaleLowerCase(),zinfo);
+			});
+			return true as const;
+		});
+	});
+}
+
+
+export function getPreCachedZoneInfo(zonename:string):info_t|false {
+	
+	if (lczones2zi) {
+		const zi=lczones2zi.get(zonename.toLowerCase());
+		if (zi) return asInfo(zi);
+	}
+	return false;
+}
+
+// the precached zones by their canonical names, false if precacheZones has not completed
+function precachedZones():Map<string,any_info_t>|false {
+	if (!lczones2zi) return false;
+	const zones=new Map<string,any_info_t>();
+	for (const name of precacheNames) {
+		const zinfo=lczones2zi.get(name.toLocaleLowerCase());
+		if (zinfo) zones.set(name, zinfo);
+	}
+	return zones;
+}
+
+export interface zone_offset_query_t {
+	gmtoff:  number|string,         // seconds to add to GMT to get localtime, or a UTC offset like '-0500' or '+05:30'
+	abbrev?: string,                // the tz name abbreviation, eg. 'EST'
+	isdst?:  boolean,               // whether DST is in effect
+	at?:     number|Date|string,    // the instant, default now
+}
+
+// the names of the zones having the offset, and abbreviation and DST flag if given, at the instant of the query,
+// or for an array of queries, eg. two offsets observed half a year apart, at the instant of each.  The zones are
+// the precached ones unless `zones` are given; returns false if there are neither.  Throws for malformed offsets.
+export function findZonesByOffset( query:zone_offset_query_t|zone_offset_query_t[], zones?:Map<string,any_info_t> ):string[]|false {
+	const candidates = zones || precachedZones();
+	if (!candidates) return false;
+	const queries = (Array.isArray(query) ? query : [query]).map(q => ({
+		gmtoff: (typeof q.gmtoff === 'number') ? q.gmtoff : parseUtcOffset(q.gmtoff),
+		abbrev: q.abbrev,
+		isdst: q.isdst,
+		at: q.at === undefined ? Date.now() : q.at,
+	}));
+
+	let names:string[] = [];
+	candidates.forEach((info, name) => {
+		for (const q of queries) {
+			const zi = tzinfoAt(info, (typeof q.at === 'number') ? q.at : new Date(q.at).getTime());
+			if (!zi || zi.tt_gmtoff !== q.gmtoff) return;
+			if (q.abbrev !== undefined && zi.abbrev !== q.abbrev) return;
+			if (q.isdst !== undefined && !!zi.tt_isdst !== q.isdst) return;
+		}
+		names.push(name);
+	});
+	return names.sort();
+}
+
+// seconds of a UTC offset like '-0500', '+05:30' or '+01:33:16'
+function parseUtcOffset( offset:string ):number {
+	const m = /^([+-])(\d\d):?(\d\d)(?::?(\d\d))?$/.exec(offset);
+	if (!m) throw new Error("Invalid UTC offset " + JSON.stringify(offset));
+	const secs = +m[2] * 3600 + +m[3] * 60 + (m[4] ? +m[4] : 0);
+	return m[1] === '-' ? -secs : secs;
+}
+
+// group the zones that keep the same local time at or after `from` and before `to`: the same offset, abbreviation
+// (unless ignoreAbbrev) and DST flag throughout.  Each group and the list of groups are sorted by name.  The zones
+// are the precached ones unless `zones` are given; returns false if there are neither.
+export function groupEquivalentZones( from:number|Date|string, to:number|Date|string, zones?:Map<string,any_info_t>, ignoreAbbrev:boolean=false ):string[][]|false {
+	const candidates = zones || precachedZones();
+	if (!candidates) return false;
+	const start = (typeof from === 'number') ? from : (from instanceof Date) ? from.getTime() : new Date(from).getTime();
+	const state = (zi:tzinfo_change_t) => zi.tt_gmtoff + (zi.tt_isdst ? 'D' : 'S') + (ignoreAbbrev ? '' : zi.abbrev);
+
+	let groups = new Map<string,string[]>();
+	candidates.forEach((info, name) => {
+		const initial = tzinfoAt(info, start);
+		if (!initial) return;
+		let key = state(initial);
+		for (const tr of iterateTransitions(info, start + 1, to)) {
+			// with abbreviations ignored, changes of the abbreviation alone are no changes
+			if (state(tr.after) !== state(tr.before)) key += ' ' + tr.at + '=' + state(tr.after);
+		}
+		const group = groups.get(key);
+		if (group) group.push(name);
+		else groups.set(key, [name]);
+	});
+	return Array.from(groups.values()).map(group => group.sort()).sort((a, b) => a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0);
+}
+
+// where the offset of a zone differs from the one Intl.DateTimeFormat computes with the tzdata of the runtime
+export interface intl_mismatch_t {
+	zone:        string,
+	at:          number,        // milliseconds since epoch, the first checked instant of the disagreement
+	gmtoff:      number,        // seconds to add to GMT to get localtime, by the zone data
+	intl_gmtoff: number,        // the same by Intl.DateTimeFormat
+}
+
+export interface intl_check_t {
+	mismatches: intl_mismatch_t[],  // by zone name, then time
+	unknown:    string[],           // the zones Intl.DateTimeFormat rejects, sorted
+	unreadable: string[],           // the zones named in `zones` that could not be read or do not parse, sorted
+}
+
+// the zones named, precached or read and parsed.  The names of the zones that cannot be read or do not parse are
+// added to `unreadable`.
+function readZonesByName( names:string[], unreadable?:string[] ):Map<string,any_info_t> {
+	const zones = new Map<string,any_info_t>();
+	for (const name of names) {
+		let info:any_info_t|false = getPreCachedZoneInfo(name);
+		if (!info && isZoneName(name)) {
+			try { info = parseZoneinfo(readZoneinfoFileSync(name)) } catch (e) { info = false }
+		}
+		if (info) zones.set(name, info);
+		else if (unreadable) unreadable.push(name);
+	}
+	return zones;
+}
+
+// compare the offsets of the zones with Intl.DateTimeFormat at or after `from` and before `to`, checked just before and
+// at each transition of the zone data and every `step` milliseconds in between, which finds the transitions only the
+// runtime has to within `step`.  Runs of instants with the same disagreement are reported once.  The zones are the
+// precached ones unless `zones` are given, either parsed or as names to read (names that cannot be read or do not
+// parse are reported as unreadable); returns false if there are neither.
+export function checkIntlConsistency( from:number|Date|string, to:number|Date|string, zones?:Map<string,any_info_t>|string[], step:number=7*86400000 ):intl_check_t|false {
+	const unreadable:string[] = [];
+	const candidates = Array.isArray(zones) ? readZonesByName(zones, unreadable) : zones || precachedZones();
+	if (!candidates) return false;
+	const toMs = (date:number|Date|string) => (typeof date === 'number') ? date : (date instanceof Date) ? date.getTime() : new Date(date).getTime();
+	// offsets are whole seconds, and so are the instants checked
+	const start = Math.ceil(toMs(from) / 1000) * 1000, end = toMs(to);
+
+	const report:intl_check_t = { mismatches: [], unknown: [], unreadable: unreadable.sort() };
+	const names = Array.from(candidates.keys()).sort();
+	for (const name of names) {
+		const info = candidates.get(name)!;
+		let format:Intl.DateTimeFormat;
+		try {
+			format = new Intl.DateTimeFormat('en-US', { timeZone: name, hourCycle: 'h23', era: 'short',
+				year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' });
+		} catch (err) {
+			report.unknown.push(name);
+			continue;
+		}
+		const intlOffset = (ms:number) => {
+			const fields:{[type:string]:string} = {};
+			for (const part of format.formatToParts(ms)) fields[part.type] = part.value;
+			const year = (fields['era'] === 'BC') ? 1 - +fields['year'] : +fields['year'];
+			return (fieldsToMs(year, +fields['month'], +fields['day'], +fields['hour'], +fields['minute'], +fields['second'], 0) - ms) / 1000;
+		};
+
+		let times:number[] = [];
+		for (let t=start; t<end; t+=step) times.push(t);
+		for (const tr of iterateTransitions(info, start, end)) {
+			if (tr.at - 1000 >= start) times.push(tr.at - 1000);
+			times.push(tr.at);
+		}
+		times = times.sort((a, b) => a - b).filter((t, i) => i == 0 || t !== times[i - 1]);
+
+		let last = '';
+		for (const t of times) {
+			const tz = tzinfoAt(info, t);
+			if (!tz) break;
+			const intl_gmtoff = intlOffset(t);
+			const key = (tz.tt_gmtoff === intl_gmtoff) ? '' : tz.tt_gmtoff + ' ' + intl_gmtoff;
+			if (key && key !== last) report.mismatches.push({ zone: name, at: t, gmtoff: tz.tt_gmtoff, intl_gmtoff: intl_gmtoff });
+			last = key;
+		}
+	}
+	return report;
+}
+
+// the zones of the caches typed as getCachedZoneInfo, getPreCachedZoneInfo and getZoneInfoSync have always returned
+// them.  Only a compact precache holds packed_info_t zones, which the functions reading zones take alike.
+function asInfo(zinfo:any_info_t):info_t {
+	return zinfo as info_t;
+}
+
+// zone names are paths relative to the zone directory: a name starting with / or with a . or .. segment is no zone,
+// whether or not it would read a file
+function isZoneName(zonename:string):boolean {
+	return zonename!=='' && zonename[0]!=='/' && !zonename.split('/').some(part=>part==='.' || part==='..');
 }
 
 export function getCachedZoneInfo(zonename:string):Promise<info_t> {
 	
 	if (lczones2zi) {
 		const zi=lczones2zi.get(zonename.toLowerCase());
-		if (zi) return Promise.resolve(zi);
+		if (zi) {
+			cacheStats.hits++;
+			return Promise.resolve(asInfo(zi));
+		}
+		cacheStats.negative_hits++;
 		return Promise.reject(new Error("No such zone"));
 	}
 
+	if (!isZoneName(zonename)) return Promise.reject(new Error(zoneSource!==defaultSource ? "No such zone" : "No such zone file"));
+	if (zoneSource!==defaultSource) return getSourceZoneInfo(zoneSource,zonename).then(asInfo);
+
 	const zonefile=zoneinfoDir+'/'+zonename;
-	let realname=realnames.get(zonefile);
+	const reading=joinRead(zonefile);
+	if (reading) return reading.then(asInfo);
+	const cached=cachedZone(zonefile);
+	if (cached instanceof Error) return Promise.reject(cached);
+	if (cached) return Promise.resolve(asInfo(cached));
+
+	return shareRead(zonefile, new Promise<any_info_t>((resolve,reject)=>{
+		fs.realpath(zonefile,(err, resolvedpath)=>{
+			if (err) return reject(setNegative(zonefile, new Error("No such zone file")));
+			fs.readFile(resolvedpath, (err,filedata)=>{
+				if (err) return reject(setNegative(zonefile, err));
+				try {
+					resolve(cacheZoneData(zonefile,resolvedpath,filedata));
+				} catch (e) {
+					reject(e);
+				}
+			});
+		});
+	})).then(asInfo);
+}
+
+// getCachedZoneInfo for zone sources other than the zoneinfo directory: the zones are cached by name, and zones
+// the source does not have or that do not parse are remembered as such.  Failures to read are not remembered.
+function getSourceZoneInfo(source:zone_source_t, zonename:string):Promise<any_info_t> {
+	const reading=joinRead(zonename);
+	if (reading) return reading;
+	const cached=cachedZone(zonename);
+	if (cached instanceof Error) return Promise.reject(cached);
+	if (cached) return Promise.resolve(cached);
+
+	return shareRead(zonename, source.readZone(zonename).then(filedata=>{
+		if (source!==zoneSource) return Promise.reject(new Error("Zone source changed"));
+		if (!filedata) return Promise.reject(setNegative(zonename, new Error("No such zone")));
+		return cacheZoneData(zonename,undefined,filedata);
+	}));
+}
+
+// getCachedZoneInfo without waiting: the zone is read with readZoneinfoFileSync if it is neither precached
+// nor cached, and cached.  Throws the errors getCachedZoneInfo rejects with.
+export function getZoneInfoSync(zonename:string):info_t {
+	if (lczones2zi) {
+		const zi=lczones2zi.get(zonename.toLowerCase());
+		if (zi) {
+			cacheStats.hits++;
+			return asInfo(zi);
+		}
+		cacheStats.negative_hits++;
+		throw new Error("No such zone");
+	}
 
+	const fromSource=(zoneSource!==defaultSource);
+	if (!isZoneName(zonename)) throw new Error(fromSource ? "No such zone" : "No such zone file");
+	const key=fromSource ? zonename : zoneinfoDir+'/'+zonename;
+	const cached=cachedZone(key);
+	if (cached instanceof Error) throw cached;
+	if (cached) return asInfo(cached);
 
-	if (realname!=undefined) { //a cached path:
+	let resolvedpath:string|undefined=undefined;
+	if (!fromSource) {
+		try {
+			resolvedpath=fs.realpathSync(key);
+		} catch (e) {
+			throw setNegative(key, new Error("No such zone file"));
+		}
+	}
+	let filedata:Buffer;
+	try {
+		filedata=readZoneinfoFileSync(zonename);
+	} catch (e) {
+		if (!fromSource) throw setNegative(key, e as Error);
+		if ((e as NodeJS.ErrnoException).code==='ENOENT') throw setNegative(key, new Error("No such zone"));
+		throw e;
+	}
+	return cacheZoneData(key,resolvedpath,filedata);
+}
 
-		//check if negative cache
-		if(realname=='!!'+zonefile) return Promise.reject(new Error("No such zone"));
+// the JSON index of a packed zoneinfo buffer: the zone names with their slot in `zones`, which
+// hold the zones without the times and types, found at `_packed` [start, count] in the buffer
+interface packed_index_t {
+	names: [string, number][],
+	zones: (Omit<info_t, 'ttimes'|'types'|'footer_rule'> & { _packed:[number, number] })[],
+}
 
-		const zinfo=infocache.get(realname);
-		if (zinfo==undefined) {
-			//this should never happen but handle it anyway
-			//negate the cache path:
-			realnames.set(zonefile,'!!'+zonefile);
-			return Promise.reject(new Error("No such zone"));
+// Pack zones into one SharedArrayBuffer that can be passed to worker threads: the transition times of all zones
+// as one Float64Array (int64 zoneinfo times fit exactly), their types as one Uint8Array, and a JSON index of the
+// zone names and the rest of each zone.  Zones with identical contents, eg. links, are stored once.
+// Layout: 'TZpk', uint32 length of the index, the index, padding to 8 bytes, the times, the types.
+export function packZoneinfos( zones:Map<string,any_info_t> ):SharedArrayBuffer {
+	let index:packed_index_t = { names: [], zones: [] };
+	let slots = new Map<string,number>();
+	let packed:any_info_t[] = [];
+	let timecnt = 0;
+	zones.forEach((info, name)=>{
+		const key = JSON.stringify([ info.version, Array.from(info.ttimes), Array.from(info.types), info.tzinfo, info.abbrevs,
+			info.leaps, info.ttisstd, info.ttisgmt, info.footer ]);
+		let slot = slots.get(key);
+		if (slot === undefined) {
+			slot = packed.length;
+			slots.set(key, slot);
+			packed.push(info);
+			const { ttimes, types, footer_rule, ...rest } = info;
+			index.zones.push({ ...rest, _packed: [timecnt, info.ttimes.length] });
+			timecnt += info.ttimes.length;
 		}
-		return Promise.resolve(zinfo);
+		index.names.push([name, slot]);
+	});
+
+	const json = Buffer.from(JSON.stringify(index));
+	const timespos = (8 + json.length + 7) & ~7;
+	const buffer = new SharedArrayBuffer(timespos + timecnt * 9);
+	const bytes = new Uint8Array(buffer);
+	bytes.set(Buffer.from('TZpk'), 0);
+	new DataView(buffer).setUint32(4, json.length, true);
+	bytes.set(json, 8);
+	const ttimes = new Float64Array(buffer, timespos, timecnt);
+	const types = new Uint8Array(buffer, timespos + timecnt * 8, timecnt);
+	for (let i=0; i<packed.length; i++) {
+		ttimes.set(packed[i].ttimes, index.zones[i]._packed[0]);
+		types.set(packed[i].types, index.zones[i]._packed[0]);
 	}
+	return buffer;
+}
 
-	return new Promise((resolve,reject)=>{
-		fs.realpath(zonefile,(err, resolvedpath)=>{
-			if (err) {
-				realnames.set(zonefile,'!!'+zonefile); //set negative cache
-				return reject(new Error("No such zone file"));
+// the zones of a packZoneinfos buffer by name.  Their ttimes and types are views of the buffer,
+// so must not be modified; zones stored once are returned as the same packed_info_t.
+export function unpackZoneinfos( buffer:SharedArrayBuffer|ArrayBuffer ):Map<string,packed_info_t> {
+	const bytes = Buffer.from(buffer);
+	if (bytes.length < 8 || bytes.toString('latin1', 0, 4) !== 'TZpk') throw new Error("Not a packed zoneinfo buffer");
+	const jsonlen = bytes.readUInt32LE(4);
+	const index:packed_index_t = JSON.parse(bytes.toString(undefined, 8, 8 + jsonlen));
+	const timespos = (8 + jsonlen + 7) & ~7;
+	const timecnt = (bytes.length - timespos) / 9;
+
+	const infos:packed_info_t[] = index.zones.map((zone) => {
+		const { _packed: [start, count], ...rest } = zone;
+		let footer_rule:posix_tz_rule_t|false = false;
+		try { if (rest.footer) footer_rule = parsePosixTz(rest.footer) } catch (e) { }
+		return {
+			...rest,
+			ttimes: new Float64Array(buffer, timespos + start * 8, count),
+			types: new Uint8Array(buffer, timespos + timecnt * 8 + start, count),
+			footer_rule: footer_rule,
+		};
+	});
+	let zones = new Map<string,packed_info_t>();
+	for (const [name, slot] of index.names) zones.set(name, infos[slot]);
+	return zones;
+}
+
+// the JSON of a zone bundle: the zone names with their slot in `zones`, the zones trimmed to the years
+// with their abbreviations in the shared `abbrevs` table.  In JSON bundles the times are delta encoded,
+// in binary ones the times and types follow the JSON, found at `_packed` [start, count].
+interface bundle_index_t {
+	tzbundle: number,                       // format version, 1
+	years:    [number, number],
+	abbrevs:  string[],
+	zones:    bundle_zone_t[],
+	names:    [string, number][],
+}
+
+interface bundle_zone_t {
+	version:  string,
+	abbrevs:  number,                       // index into the abbrevs table
+	tzinfo:   [number, number, number][],   // gmtoff, isdst, abbrind
+	ttimes?:  number[],
+	types?:   number[],
+	_packed?: [number, number],
+	footer:   string,
+	leaps:    [number, number][],           // time, add
+}
+
+// the zone trimmed to the transitions at or after `lo` and before `hi` seconds.  A transition at `lo` to the
+// tzinfo in effect then is added, which also becomes tzinfo 0.  The footer is dropped if later transitions are,
+// it would not agree with the stored ones before them.
+function trimZoneinfo( info:any_info_t, lo:number, hi:number ):{zone:bundle_zone_t, abbrevs:string} {
+	let states:tzinfo_change_t[] = [];
+	const typeOf = (tz:tzinfo_change_t) => {
+		let i = states.findIndex((s) => s.tt_gmtoff === tz.tt_gmtoff && !!s.tt_isdst === !!tz.tt_isdst && s.abbrev === tz.abbrev);
+		if (i < 0) i = states.push(tz) - 1;
+		return i;
+	};
+
+	let ttimes:number[] = [], types:number[] = [];
+	const atStart = findTzinfo(info, lo * 1000, false);
+	if (atStart && atStart.ttimes_index >= 0 && Array.prototype.indexOf.call(info.ttimes, lo) < 0) {
+		ttimes.push(lo);
+		types.push(typeOf(atStart));
+	} else if (info.typecnt) {
+		typeOf(info.tzinfo[0]);
+	}
+	let trimmedEnd = false;
+	for (let i=0; i<info.ttimes.length; i++) {
+		if (info.ttimes[i] >= hi) { trimmedEnd = true; break; }
+		if (info.ttimes[i] < lo) continue;
+		ttimes.push(info.ttimes[i]);
+		types.push(typeOf(info.tzinfo[info.types[i]]));
+	}
+	// the tzinfo of the footer rule, as zic stores them
+	const rule = info.footer_rule;
+	if (!trimmedEnd && rule && rule.dst_start) {
+		for (const isdst of [false, true]) typeOf(footerTzinfo(info, rule, isdst, 0));
+	}
+
+	let abbrevs = '';
+	let abbrinds = new Map<string,number>();
+	const tzinfo = states.map((s):[number, number, number] => {
+		let abbrind = abbrinds.get(s.abbrev);
+		if (abbrind === undefined) {
+			abbrind = abbrevs.length;
+			abbrinds.set(s.abbrev, abbrind);
+			abbrevs += s.abbrev + '\0';
+		}
+		return [s.tt_gmtoff, s.tt_isdst ? 1 : 0, abbrind];
+	});
+	return {
+		zone: { version: info.version, abbrevs: -1, tzinfo: tzinfo, ttimes: ttimes, types: types,
+			footer: trimmedEnd ? '' : info.footer, leaps: info.leaps.map((l):[number, number] => [l.time, l.add]) },
+		abbrevs: abbrevs,
+	};
+}
+
+// export the zones for the years `fromYear` to `toYear` as a compact bundle for loadZoneBundle, for clients
+// without the zoneinfo files.  The transitions are trimmed to the years, identical zones and abbreviation tables
+// are stored once.  The zones are the precached ones unless `zones` are given, either parsed or as names to read
+// (names that cannot be read or do not parse are left out); returns false if there are neither.  The bundle is a
+// JSON string, or with `format` 'binary' a Uint8Array.
+export function exportZoneBundle( fromYear:number, toYear:number, zones?:Map<string,any_info_t>|string[], format:'json'|'binary'='json' ):string|Uint8Array|false {
+	const candidates = Array.isArray(zones) ? readZonesByName(zones) : zones || precachedZones();
+	if (!candidates) return false;
+	const lo = fieldsToMs(fromYear, 1, 1, 0, 0, 0, 0) / 1000, hi = fieldsToMs(toYear + 1, 1, 1, 0, 0, 0, 0) / 1000;
+
+	let index:bundle_index_t = { tzbundle: 1, years: [fromYear, toYear], abbrevs: [], zones: [], names: [] };
+	let slots = new Map<string,number>();
+	for (const name of Array.from(candidates.keys()).sort()) {
+		const trimmed = trimZoneinfo(candidates.get(name)!, lo, hi);
+		trimmed.zone.abbrevs = index.abbrevs.indexOf(trimmed.abbrevs);
+		if (trimmed.zone.abbrevs < 0) trimmed.zone.abbrevs = index.abbrevs.push(trimmed.abbrevs) - 1;
+		const key = JSON.stringify(trimmed.zone);
+		let slot = slots.get(key);
+		if (slot === undefined) {
+			slot = index.zones.push(trimmed.zone) - 1;
+			slots.set(key, slot);
+		}
+		index.names.push([name, slot]);
+	}
+
+	if (format === 'json') {
+		for (const zone of index.zones) {
+			zone.ttimes = zone.ttimes!.map((t, i, ttimes) => i ? t - ttimes[i - 1] : t);
+		}
+		return JSON.stringify(index);
+	}
+
+	let timecnt = 0;
+	const packed = index.zones.map((zone) => {
+		const { ttimes, types, ...rest } = zone;
+		timecnt += ttimes!.length;
+		return { ...rest, _packed: [timecnt - ttimes!.length, ttimes!.length] as [number, number] };
+	});
+	// ASCII only, so the loader needs no UTF-8 decoder
+	const json = Buffer.from(JSON.stringify({ ...index, zones: packed }).replace(/[\u007f-\uffff]/g, (c) => '\\u' + ('000' + c.charCodeAt(0).toString(16)).slice(-4)), 'latin1');
+	const timespos = (8 + json.length + 7) & ~7;
+	const bytes = new Uint8Array(timespos + timecnt * 9);
+	bytes.set(Buffer.from('TZbd'), 0);
+	new DataView(bytes.buffer).setUint32(4, json.length, true);
+	bytes.set(json, 8);
+	const ttimes = new Float64Array(bytes.buffer, timespos, timecnt);
+	const types = new Uint8Array(bytes.buffer, timespos + timecnt * 8, timecnt);
+	index.zones.forEach((zone, i) => {
+		ttimes.set(zone.ttimes!, packed[i]._packed[0]);
+		types.set(zone.types!, packed[i]._packed[0]);
+	});
+	return bytes;
+}
+
+// whether `index` is the index of an exportZoneBundle bundle, with packed zones if it has `timecnt` transitions
+// in its buffer, the ttimes and types of each zone otherwise
+function isBundleIndex( index:unknown, timecnt?:number ):index is bundle_index_t {
+	const isInt = (n:unknown, below:number) => Number.isInteger(n) && (n as number) >= 0 && (n as number) < below;
+	const isTuples = (list:unknown, size:number) => Array.isArray(list) &&
+		list.every(item => Array.isArray(item) && item.length === size && item.every(n => typeof n === 'number'));
+	const b = index as bundle_index_t;
+	if (!b || typeof b !== 'object' || b.tzbundle !== 1 || !Array.isArray(b.abbrevs) || !Array.isArray(b.zones) || !Array.isArray(b.names)) return false;
+	if (!b.abbrevs.every(abbrevs => typeof abbrevs === 'string')) return false;
+	const zonesOk = b.zones.every(zone => {
+		if (!zone || typeof zone !== 'object' || typeof zone.version !== 'string' || typeof zone.footer !== 'string' ||
+			!isInt(zone.abbrevs, b.abbrevs.length) || !isTuples(zone.tzinfo, 3) || !isTuples(zone.leaps, 2)) return false;
+		const abbrevs = b.abbrevs[zone.abbrevs];
+		if (!zone.tzinfo.every(([, , abbrind]) => isInt(abbrind, abbrevs.length))) return false;
+		if (timecnt !== undefined) {
+			const packed = zone._packed;
+			return isTuples([packed], 2) && isInt(packed![0], timecnt + 1) && isInt(packed![1], timecnt + 1 - packed![0]);
+		}
+		return Array.isArray(zone.ttimes) && Array.isArray(zone.types) && zone.ttimes.length === zone.types.length &&
+			zone.ttimes.every(t => typeof t === 'number') && zone.types.every(type => isInt(type, zone.tzinfo.length));
+	});
+	return zonesOk && b.names.every(entry => Array.isArray(entry) && typeof entry[0] === 'string' && isInt(entry[1], b.zones.length));
+}
+
+// the zones of an exportZoneBundle bundle by name, usable with findTzinfo, nextTzinfo and the other functions
+// reading zones.  Uses neither fs nor Buffer, so it runs in browsers.  Zones stored once are returned as the
+// same zone: an info_t from JSON bundles, a packed_info_t with views of a copy of its buffer from binary ones.
+// Throws if `bundle` is not one.
+export function loadZoneBundle( bundle:string|Uint8Array|ArrayBuffer ):Map<string,any_info_t> {
+	const notBundle = ():never => {
+		throw new Error("Not a zone bundle");
+	}
+	let index:unknown;
+	let ttimes:Float64Array|undefined = undefined, types:Uint8Array|undefined = undefined;
+	if (typeof bundle === 'string') {
+		try { index = JSON.parse(bundle) } catch (e) { notBundle() }
+		if (!isBundleIndex(index)) return notBundle();
+	} else {
+		// copied, the Float64Array view needs an aligned buffer and the zones one that does not change with `bundle`
+		const bytes = new Uint8Array(bundle instanceof ArrayBuffer ? bundle.slice(0) : bundle);
+		if (bytes.length < 8 || String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) !== 'TZbd') return notBundle();
+		const jsonlen = new DataView(bytes.buffer).getUint32(4, true);
+		const timespos = (8 + jsonlen + 7) & ~7;
+		const timecnt = (bytes.length - timespos) / 9;
+		if (8 + jsonlen > bytes.length || !Number.isInteger(timecnt) || timecnt < 0) return notBundle();
+		let json = '';
+		for (let i=8; i<8+jsonlen; i+=8192) json += String.fromCharCode.apply(null, Array.from(bytes.subarray(i, Math.min(i + 8192, 8 + jsonlen))));
+		try { index = JSON.parse(json) } catch (e) { notBundle() }
+		if (!isBundleIndex(index, timecnt)) return notBundle();
+		ttimes = new Float64Array(bytes.buffer, timespos, timecnt);
+		types = new Uint8Array(bytes.buffer, timespos + timecnt * 8, timecnt);
+		// the packed times and types of each zone, checked as isBundleIndex checks those of JSON bundles
+		for (const zone of index.zones) {
+			const [start, count] = zone._packed!;
+			for (let i=start; i<start+count; i++) {
+				if (isNaN(ttimes[i]) || types[i] >= zone.tzinfo.length) return notBundle();
 			}
-			fs.readFile(resolvedpath, (err,filedata)=>{
+		}
+	}
+	const bundleIndex = index;
+
+	const infos:any_info_t[] = bundleIndex.zones.map((zone):any_info_t => {
+		const abbrevs = bundleIndex.abbrevs[zone.abbrevs];
+		let footer_rule:posix_tz_rule_t|false = false;
+		try { if (zone.footer) footer_rule = parsePosixTz(zone.footer) } catch (e) { }
+		const info:Omit<info_t, 'ttimes'|'types'> = {
+			magic: 'TZif', version: zone.version,
+			ttisgmtcnt: 0, ttisstdcnt: 0, leapcnt: zone.leaps.length, timecnt: zone._packed ? zone._packed[1] : zone.ttimes!.length,
+			typecnt: zone.tzinfo.length, charcnt: abbrevs.length,
+			tzinfo: zone.tzinfo.map(([gmtoff, isdst, abbrind], idx) => ({
+				idx: idx, tt_gmtoff: gmtoff, tt_isdst: isdst, tt_abbrind: abbrind, abbrev: abbrevs.substring(abbrind, abbrevs.indexOf('\0', abbrind)),
+			})),
+			abbrevs: abbrevs,
+			leaps: zone.leaps.map(([time, add]) => ({ time: time, add: add })),
+			ttisstd: [], ttisgmt: [],
+			footer: zone.footer, footer_rule: footer_rule,
+			_v1end: 0, _v2end: 0,
+		};
+		if (zone._packed) {
+			const [start, count] = zone._packed;
+			return { ...info, ttimes: ttimes!.subarray(start, start + count), types: types!.subarray(start, start + count) };
+		}
+		let t = 0;
+		return { ...info, ttimes: zone.ttimes!.map((delta) => t += delta), types: zone.types! };
+	});
+	let zones = new Map<string,any_info_t>();
+	for (const [name, slot] of bundleIndex.names) zones.set(name, infos[slot]);
+	return zones;
+}
+
+
+// the tzdata release the zoneinfo files in `dirname` were built from, read from the `+VERSION` file
+// or the "# version" line of `tzdata.zi`.  Returns '' if neither is there.
+export function getTzdataVersion( dirname?:string ):string {
+	if (dirname==undefined) dirname=zoneinfoDir;
+	try {
+		return fs.readFileSync(dirname + '/+VERSION').toString().trim();
+	} catch (e) { }
+	try {
+		const buf=Buffer.alloc(64);
+		const fd=fs.openSync(dirname + '/tzdata.zi', 'r');
+		const len=fs.readSync(fd, buf, 0, buf.length, 0);
+		fs.closeSync(fd);
+		const m=/^#\s*version\s+(\S+)/.exec(buf.toString(undefined, 0, len));
+		if (m) return m[1];
+	} catch (e) { }
+	return '';
+}
+
+export interface zoneinfo_update_t {
+	zones:          string[],   // names of the zones added, changed or removed, sorted
+	version_before: string,     // tzdata version before the update, '' if unknown
+	version_after:  string,     // tzdata version after the update, '' if unknown
+}
+
+// Watches a zoneinfo directory for tzdata updates.  When files change, the zones already in the
+// caches of getCachedZoneInfo and getPreCachedZoneInfo are reparsed and the caches swapped for
+// updated ones in one go, then a 'change' event with a zoneinfo_update_t is emitted.
+export class ZoneinfoWatcher extends EventEmitter {
+	private signatures=new Map<string,string>();  // file path => stat signature
+	private zonefiles=new Set<string>();          // the paths of the zoneinfo files among them
+	private version='';
+	private watchers=new Map<string,fs.FSWatcher>();
+	private timer:NodeJS.Timeout|undefined=undefined;
+	private pending:Promise<zoneinfo_update_t|false>;
+	private closed=false;
+
+	constructor( public readonly dirname:string, private readonly delay:number ) {
+		super();
+		this.pending=this.scan().then(({signatures, dirs})=>{
+			this.signatures=signatures;
+			this.version=getTzdataVersion(this.dirname);
+			this.watchDirs(dirs);
+			return this.sortZonefiles(Array.from(signatures.keys()));
+		}).then(()=>false);
+	}
+
+	// compare the directory against the last seen state now, update the caches and emit 'change'
+	// if anything changed.  Resolves to the update, or false if there was none.
+	check():Promise<zoneinfo_update_t|false> {
+		// one check at a time, each starting from the state the previous one left
+		this.pending=this.pending.then(()=>this.update(), ()=>this.update());
+		return this.pending;
+	}
+
+	close() {
+		this.closed=true;
+		if (this.timer) clearTimeout(this.timer);
+		this.watchDirs([]);
+	}
+
+	private update():Promise<zoneinfo_update_t|false> {
+		return this.scan().then(({signatures, dirs})=>{
+			if (this.closed) return false;
+			this.watchDirs(dirs);
+
+			let changed:string[]=[];
+			signatures.forEach((sig, filepath)=>{ if (this.signatures.get(filepath)!==sig) changed.push(filepath) });
+			this.signatures.forEach((sig, filepath)=>{ if (!signatures.has(filepath)) changed.push(filepath) });
+			this.signatures=signatures;
+			const version_before=this.version;
+			this.version=getTzdataVersion(this.dirname);
+
+			// changed files that are or were zoneinfo files
+			const waszone=changed.filter(filepath=>this.zonefiles.has(filepath));
+			return this.sortZonefiles(changed).then(()=>{
+				changed=changed.filter(filepath=>this.zonefiles.has(filepath) || waszone.indexOf(filepath)>=0);
+				if (!changed.length && version_before===this.version) return false;
+				return swapZoneinfoCaches(this.dirname, changed).then(()=>{
+					const event:zoneinfo_update_t={
+						zones: changed.map(filepath=>filepath.substring(this.dirname.length+1)).sort(),
+						version_before: version_before,
+						version_after: this.version,
+					};
+					this.emit('change', event);
+					return event;
+				});
+			});
+		});
+	}
+
+	// update which of the files are zoneinfo files, by their magic
+	private sortZonefiles(files:string[]):Promise<true> {
+		return Promise.all(files.map(filepath=>new Promise<true>(resolve=>{
+			fs.open(filepath, 'r', (err, fd)=>{
 				if (err) {
-					realnames.set(zonefile,'!!'+zonefile);//set negative cache
-					return reject(err);
+					this.zonefiles.delete(filepath);
+					return resolve(true);
+				}
+				const buf=Buffer.alloc(4);
+				fs.read(fd, buf, 0, 4, 0, (err, len)=>{
+					fs.close(fd, ()=>{});
+					if (!err && len==4 && buf.toString()==='TZif') this.zonefiles.add(filepath);
+					else this.zonefiles.delete(filepath);
+					resolve(true);
+				});
+			});
+		}))).then(()=>true);
+	}
+
+	// stat all the files below the directory, following symlinks, and list the subdirectories
+	private scan():Promise<{signatures:Map<string,string>, dirs:string[]}> {
+		const signatures=new Map<string,string>(), dirs:string[]=[];
+		const walk=(dirname:string):Promise<true>=>new Promise(resolve=>{
+			dirs.push(dirname);
+			fs.readdir(dirname,(err,files)=>{
+				if (err || !files.length) return resolve(true);
+				let totry=files.length;
+				const done=()=>{ if (--totry==0) resolve(true) };
+				for (const f of files) {
+					const filepath=dirname + '/' + f;
+					fs.stat(filepath,(err,stat)=>{
+						if (err) return done();
+						if (stat.isDirectory()) return walk(filepath).then(done);
+						signatures.set(filepath, stat.ino + ':' + stat.size + ':' + stat.mtimeMs);
+						done();
+					});
 				}
-				const zinfo=parseZoneinfo(filedata);
-				if(zinfo==false) {
-					realnames.set(zonefile,'!!'+zonefile);//set negative cache
-					return reject(new Error("Failed to parse zone file"));
+			});
+		});
+		return walk(this.dirname).then(()=>({signatures, dirs}));
+	}
+
+	// watch exactly the given directories, checking `delay` ms after the last event
+	private watchDirs(dirs:string[]) {
+		this.watchers.forEach((watcher, dirname)=>{
+			if (dirs.indexOf(dirname)<0) {
+				watcher.close();
+				this.watchers.delete(dirname);
+			}
+		});
+		if (this.closed) return;
+		for (const dirname of dirs) {
+			if (this.watchers.has(dirname)) continue;
+			try {
+				const watcher=fs.watch(dirname, {persistent: false}, ()=>{
+					if (this.timer) clearTimeout(this.timer);
+					this.timer=setTimeout(()=>{ this.timer=undefined; this.check() }, this.delay);
+				});
+				watcher.on('error', ()=>{ watcher.close(); this.watchers.delete(dirname) });
+				this.watchers.set(dirname, watcher);
+			} catch (e) { }
+		}
+	}
+}
+
+// start watching the zoneinfo directory for tzdata updates, see ZoneinfoWatcher.  Change events
+// are checked for `delay` ms after the last file system event, default 1000.
+export function watchZoneinfoDirectory(options?:{delay?:number}):ZoneinfoWatcher {
+	return new ZoneinfoWatcher(zoneinfoDir, (options && options.delay!==undefined) ? options.delay : 1000);
+}
+
+// reparse the cached zones affected by the changed files of `dirname` into new caches, then replace the old ones
+function swapZoneinfoCaches(dirname:string, changed:string[]):Promise<true> {
+	const changedSet=new Set(changed);
+	const newRealnames=new Map<string,string>();
+	const newInfocache=new Map<string,any_info_t>();
+	const newLczones2zi=lczones2zi ? new Map(lczones2zi) : undefined;
+
+	let toparse:string[]=[];
+	realnames.forEach((realname, zonefile)=>{
+		const zinfo=infocache.get(realname);
+		if (zinfo && !changedSet.has(zonefile) && !changedSet.has(realname)) {
+			newRealnames.set(zonefile, realname);
+			newInfocache.set(realname, zinfo);
+		}
+		else if (zonefile.startsWith(dirname + '/')) toparse.push(zonefile);
+	});
+	if (newLczones2zi) {
+		for (const filepath of changed) {
+			newLczones2zi.delete(filepath.substring(dirname.length+1).toLowerCase());
+			if (toparse.indexOf(filepath)<0) toparse.push(filepath);
+		}
+	}
+
+	return Promise.all(toparse.map(zonefile=>new Promise<true>(resolve=>{
+		fs.realpath(zonefile,(err, resolvedpath)=>{
+			if (err) return resolve(true);
+			fs.readFile(resolvedpath,(err,filedata)=>{
+				if (err) return resolve(true);
+				let zinfo:info_t|false=false;
+				try { zinfo=parseZoneinfo(filedata,true) } catch (e) { }
+				if (zinfo) {
+					if (realnames.has(zonefile)) {
+						newRealnames.set(zonefile, resolvedpath);
+						newInfocache.set(resolvedpath, zinfo);
+					}
+					if (newLczones2zi) newLczones2zi.set(zonefile.substring(dirname.length+1).toLowerCase(), zinfo);
 				}
-				realnames.set(zonefile,resolvedpath);
-				infocache.set(resolvedpath,zinfo);
-				return resolve(zinfo);
+				resolve(true);
 			});
 		});
+	}))).then(()=>{
+		realnames=newRealnames;
+		realnameRefs=new Map();
+		realnames.forEach(realname=>realnameRefs.set(realname, (realnameRefs.get(realname) || 0)+1));
+		infocache=newInfocache;
+		negatives=new Map();     // the zones may exist now
+		if (lczones2zi && newLczones2zi) {
+			const names=new Map<string,string>();
+			for (const name of precacheNames) names.set(name.toLowerCase(), name);
+			for (const filepath of changed) names.set(filepath.substring(dirname.length+1).toLowerCase(), filepath.substring(dirname.length+1));
+			lczones2zi=newLczones2zi;
+			precacheNames=Array.from(names).filter(([lcname])=>newLczones2zi.has(lcname)).map(([lcname, name])=>name);
+			// a compact precache stays compact, repacked with the updated zones
+			if (precacheBuffer) usePackedZoneinfos(packZoneinfos(new Map(precacheNames.map(name=>[name, newLczones2zi.get(name.toLowerCase())!]))), newLczones2zi);
+		}
+		return true as const;
+	});
+}
+
+export interface zone_meta_t {
+	name:      string,
+	canonical: string,      // the zone an alias links to, the name itself for zones
+	countries: string[],    // ISO 3166 codes of the countries using the zone, most populous first ([] if none listed)
+	latitude:  number,      // degrees, north positive (NaN if unknown)
+	longitude: number,      // degrees, east positive (NaN if unknown)
+	comment:   string,      // eg "most of Spain", '' if none
+}
+
+export interface country_meta_t {
+	code:  string,          // ISO 3166 alpha-2 code
+	name:  string,
+	zones: string[],        // canonical zones used in the country, most populous first
+}
+
+export interface zone_metadata_t {
+	version:   string,                          // tzdata version, '' if unknown
+	zones:     Map<string, zone_meta_t>,        // zones and aliases by name
+	countries: Map<string, country_meta_t>,     // countries by ISO 3166 code
+}
+
+// the contents of the tab files shipped with the zoneinfo files, any of them can be missing
+export interface zone_metadata_files_t {
+	zone1970?: string,      // zone1970.tab, or zone.tab as a fallback
+	iso3166?:  string,      // iso3166.tab
+	tzdata?:   string,      // tzdata.zi, for the aliases
+}
+
+// build the zone metadata from the texts of zone1970.tab, iso3166.tab and tzdata.zi.  Zones listed in
+// zone1970.tab are the canonical geographic zones; tzdata.zi adds the other zones, like Etc/GMT+5, and
+// the aliases, like US/Eastern.  Names in none of the files, like posixrules, are not included.
+export function parseZoneMetadata( files:zone_metadata_files_t ):zone_metadata_t {
+	const source=parseTzSource(files.tzdata || '');
+	let meta:zone_metadata_t={ version: source.version, zones: new Map(), countries: new Map() };
+
+	const lines=(text:string|undefined)=>(text || '').split('\n').filter(line=>line && line[0]!='#').map(line=>line.split('\t'));
+	for (const [ code, name ] of lines(files.iso3166)) {
+		if (name!==undefined) meta.countries.set(code, { code: code, name: name.trim(), zones: [] });
+	}
+	for (const [ codes, coordinates, name, comment ] of lines(files.zone1970)) {
+		if (name===undefined) continue;
+		const coords=/^([+-])(\d\d)(\d\d)(\d\d)?([+-])(\d\d\d)(\d\d)(\d\d)?$/.exec(coordinates);
+		const degrees=(sign:string, d:string, m:string, s:string|undefined)=>(sign=='-' ? -1 : 1) * (+d + +m / 60 + (s ? +s / 3600 : 0));
+		meta.zones.set(name, {
+			name:      name,
+			canonical: name,
+			countries: codes.split(','),
+			latitude:  coords ? degrees(coords[1], coords[2], coords[3], coords[4]) : NaN,
+			longitude: coords ? degrees(coords[5], coords[6], coords[7], coords[8]) : NaN,
+			comment:   comment ? comment.trim() : '',
+		});
+		for (const code of codes.split(',')) {
+			let country=meta.countries.get(code);
+			if (!country) meta.countries.set(code, country={ code: code, name: '', zones: [] });
+			country.zones.push(name);
+		}
+	}
+
+	source.zones.forEach((lines, name)=>{
+		if (!meta.zones.has(name)) meta.zones.set(name, { name: name, canonical: name, countries: [], latitude: NaN, longitude: NaN, comment: '' });
+	});
+	source.links.forEach((target, name)=>{
+		// links can chain, follow them to the zone
+		for (let hops=0; source.links.has(target) && hops<16; hops++) target=source.links.get(target)!;
+		const zone=meta.zones.get(target);
+		meta.zones.set(name, {
+			name:      name,
+			canonical: target,
+			countries: zone ? zone.countries.slice() : [],
+			latitude:  zone ? zone.latitude : NaN,
+			longitude: zone ? zone.longitude : NaN,
+			comment:   '',
+		});
 	});
+	return meta;
 }
 
+// read the zone metadata from the tab files and tzdata.zi in `dirname`, default the zoneinfo directory.
+// Missing files give empty metadata for their part, see parseZoneMetadata.
+export function loadZoneMetadata( dirname?:string ):Promise<zone_metadata_t> {
+	if (dirname==undefined) dirname=zoneinfoDir;
+	const read=(filename:string)=>new Promise<string|undefined>(resolve=>{
+		fs.readFile(dirname + '/' + filename, (err, data)=>resolve(err ? undefined : data.toString()));
+	});
+	return Promise.all([ read('zone1970.tab'), read('zone.tab'), read('iso3166.tab'), read('tzdata.zi') ]).then(([ zone1970, zonetab, iso3166, tzdata ])=>{
+		return parseZoneMetadata({ zone1970: zone1970!==undefined ? zone1970 : zonetab, iso3166: iso3166, tzdata: tzdata });
+	});
+}
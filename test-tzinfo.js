@@ -105,8 +105,8 @@ var ziJamaica = Buffer.from([
 // ttisgmtcnt (4) flags
 0x00, 0x00, 0x00, 0x00,
 
-// newline separated additional info, here "EST5"
-0x0a, 0x45, 0x53, 0x54, 0x35,
+// newline enclosed additional info, here "EST5"
+0x0a, 0x45, 0x53, 0x54, 0x35, 0x0a,
 ]);
 
 /*----------------
@@ -125,6 +125,126 @@ America/Jamaica  Mon Jan 18 03:14:07 2038 UT = Sun Jan 17 22:14:07 2038 EST isds
 America/Jamaica  Tue Jan 19 03:14:07 2038 UT = Mon Jan 18 22:14:07 2038 EST isdst=0 gmtoff=-18000
 ---------------- */
 
+// "slim" zoneinfo file, as written by `zic -b slim` for the zic source:
+//   Rule EU 1981 max - Mar lastSun 1:00u 1:00 S
+//   Rule EU 1981 1995 - Sep lastSun 1:00u 0 -
+//   Rule EU 1996 max - Oct lastSun 1:00u 0 -
+//   Zone Test/Slim 2:00 - EET 1995
+//    2:00 EU EE%sT
+// The last stored transition is 1996-03-31, all later ones come from the "EET-2EEST,M3.5.0/3,M10.5.0/4" footer.
+var ziSlim = Buffer.from(
+	'VFppZjIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAQAAAAEAAAAAAAAAVFppZjIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' +
+	'AAAEAAAAAgAAAAkAAAAALwXUYAAAAAAvdLyQAAAAADBkrZAAAAAAMV3ZEAABAAEAABwgAAAAACowAQRFRVQARUVTVAAKRUVULTJFRVNULE0zLjUu' +
+	'MC8zLE0xMC41LjAvNAo=', 'base64');
+
+// version 3 zoneinfo file, `zic -b slim` output for the zic source below.  The footer needs
+// the v3 extension of negative rule times.
+//   Rule EU 1981 max - Mar lastSun 1:00u 1:00 -
+//   Rule EU 1996 max - Oct lastSun 1:00u 0 -
+//   Zone Test/V3 -2:00 - -02 2024
+//    -2:00 EU -02/-01
+var ziV3 = Buffer.from(
+	'VFppZjMAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAQAAAAEAAAAAAAAAVFppZjMAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' +
+	'AAACAAAAAgAAAAgAAAAAZZIcoAAAAABmCLWQAAH//+PgAAD///HwAQQtMDIALTAxAAo8LTAyPjI8LTAxPixNMy41LjAvLTEsTTEwLjUuMC8wCg==', 'base64');
+
+// version 4 zoneinfo files for "Zone Test/Leap 0 - UTC" with the leapseconds file of tzdata 2025b, laid out as
+// `zic -b slim -r @1483228800 -L leapseconds` and `zic -b fat ...` write them (the zic here predates version 4).
+// The leap second table is truncated to start in 2015 with a correction of 26 seconds and ends with the
+// expiry record of 2026 Jun 28, times before the -r cut are the unspecified -00.
+var ziV4 = Buffer.from(
+	'VFppZjQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAQAAAAEAAAAAAAAAVFppZjQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAMA' +
+	'AAABAAAAAgAAAAgAAAAAWGhGgAEAAAAAAAQAAAAAAABVVEMALTAwAAAAAABVky2ZAAAAGgAAAABYaEaaAAAAGwAAAABqQGQbAAAAGwoK', 'base64');
+var ziV4Fat = Buffer.from(
+	'VFppZjQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAMAAAABAAAAAgAAAAhYaEaAAQAAAAAABAAAAAAAAFVUQwAtMDAAVZMtmQAAABpYaEaaAAAA' +
+	'G2pAZBsAAAAbVFppZjQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAMAAAABAAAAAgAAAAgAAAAAWGhGgAEAAAAAAAQAAAAAAABVVEMALTAwAAAAAABVky2ZAAAAGgAAAABYaEaaAAAAGwAAAABqQGQbAAAAGwoK', 'base64');
+
+// a tar archive of entries { name, data, type, link } as tar(1) would write it
+function tarArchive( entries ) {
+	var blocks = [];
+	entries.forEach(function(entry) {
+		var data = entry.data || Buffer.alloc(0);
+		var header = Buffer.alloc(512);
+		header.write(entry.name, 0);
+		header.write('0000644', 100);
+		header.write(('0000000000' + data.length.toString(8)).slice(-11), 124);
+		header.write(entry.type || '0', 156);
+		if (entry.link) header.write(entry.link, 157);
+		header.write('ustar\0' + '00', 257);
+		blocks.push(header, data, Buffer.alloc((512 - data.length % 512) % 512));
+	});
+	blocks.push(Buffer.alloc(1024));
+	return Buffer.concat(blocks);
+}
+
+// the Temporal.Instant methods used by temporalTimeZone, with nanoseconds kept apart from the milliseconds
+var fakeTemporal = {
+	Instant: {
+		fromEpochMilliseconds: function(ms) { return fakeInstant(ms, 0) },
+		compare: function(a, b) { return a.ms != b.ms ? (a.ms < b.ms ? -1 : 1) : a.ns != b.ns ? (a.ns < b.ns ? -1 : 1) : 0 },
+	},
+};
+function fakeInstant( ms, ns ) {
+	return {
+		ms: ms, ns: ns,
+		// rounds towards zero like Temporal
+		epochMilliseconds: ms < 0 && ns ? ms + 1 : ms,
+		add: function(duration) {
+			var total = ns + duration.nanoseconds;
+			return fakeInstant(ms + Math.floor(total / 1e6), total - Math.floor(total / 1e6) * 1e6);
+		},
+	};
+}
+
+// tzdata source of Europe/Sofia, in the abbreviated form of tzdata.zi
+var tzSofia = [
+	'# version 2025b',
+	'R c 1916 o - Ap 30 23 1 S',
+	'R c 1916 o - O 1 1 0 -',
+	'R c 1917 1918 - Ap M>=15 2s 1 S',
+	'R c 1917 1918 - S M>=15 2s 0 -',
+	'R c 1940 o - Ap 1 2s 1 S',
+	'R c 1942 o - N 2 2s 0 -',
+	'R c 1943 o - Mar 29 2s 1 S',
+	'R c 1943 o - O 4 2s 0 -',
+	'R c 1944 1945 - Ap M>=1 2s 1 S',
+	'R c 1944 o - O 2 2s 0 -',
+	'R c 1945 o - S 16 2s 0 -',
+	'R c 1977 1980 - Ap Su>=1 2s 1 S',
+	'R c 1977 o - S lastSu 2s 0 -',
+	'R c 1978 o - O 1 2s 0 -',
+	'R c 1979 1995 - S lastSu 2s 0 -',
+	'R c 1981 ma - Mar lastSu 2s 1 S',
+	'R c 1996 ma - O lastSu 2s 0 -',
+	'R e 1977 1980 - Ap Su>=1 0 1 S',
+	'R e 1977 o - S lastSu 0 0 -',
+	'R e 1978 o - O 1 0 0 -',
+	'R e 1979 1995 - S lastSu 0 0 -',
+	'R e 1981 ma - Mar lastSu 0 1 S',
+	'R e 1996 ma - O lastSu 0 0 -',
+	'R E 1977 1980 - Ap Su>=1 1u 1 S',
+	'R E 1977 o - S lastSu 1u 0 -',
+	'R E 1978 o - O 1 1u 0 -',
+	'R E 1979 1995 - S lastSu 1u 0 -',
+	'R E 1981 ma - Mar lastSu 1u 1 S',
+	'R E 1996 ma - O lastSu 1u 0 -',
+	'R BG 1979 o - Mar 31 23 1 S',
+	'R BG 1979 o - O 1 1 0 -',
+	'R BG 1980 1982 - Ap Sa>=1 23 1 S',
+	'R BG 1980 o - S 29 1 0 -',
+	'R BG 1981 o - S 27 2 0 -',
+	'Z Europe/Sofia 1:33:16 - LMT 1880',
+	'1:56:56 - IMT 1894 N 30',
+	'2 - EET 1942 N 2 3',
+	'1 c CE%sT 1945',
+	'1 - CET 1945 Ap 2 3',
+	'2 - EET 1979 Mar 31 23',
+	'2 BG EE%sT 1982 S 26 3',
+	'2 c EE%sT 1991',
+	'2 e EE%sT 1997',
+	'2 E EE%sT',
+	'L Europe/Sofia Test/Sofia',
+].join('\n');
+
 var fnTrue = function fnTrue() { return true };
 var fnFalse = function fnFalse() { return false };
 
@@ -268,6 +388,52 @@ module.exports = {
 			t.done();
 		},
 
+		'should parse the v2 footer': function(t) {
+			var info = tzinfo.parseZoneinfo(ziJamaica);
+			t.equal(info.footer, 'EST5');
+			t.deepEqual(info.footer_rule, {
+				std_abbrev: 'EST', std_gmtoff: -18000,
+				dst_abbrev: '', dst_gmtoff: 0,
+				dst_start: undefined, dst_end: undefined,
+			});
+
+			info = tzinfo.parseZoneinfo(ziSlim);
+			t.equal(info.footer, 'EET-2EEST,M3.5.0/3,M10.5.0/4');
+			t.strictContains(info.footer_rule, { std_abbrev: 'EET', std_gmtoff: 7200, dst_abbrev: 'EEST', dst_gmtoff: 10800 });
+			t.deepEqual(info.footer_rule.dst_end, { form: 'M', month: 10, week: 5, day: 0, time: 4 * 3600 });
+			t.done();
+		},
+
+		'should parse v3 zoneinfo file': function(t) {
+			var info = tzinfo.parseZoneinfo(ziV3);
+			t.strictContains(info, { magic: 'TZif', version: '3', timecnt: 2, typecnt: 2, footer: '<-02>2<-01>,M3.5.0/-1,M10.5.0/0' });
+			t.strictContains(info.footer_rule.dst_start, { time: -3600 });
+
+			// -1:00 local standard time on the last Sunday in March is 01:00 UTC
+			var tz = tzinfo.findTzinfo(info, '2030-07-01T00:00:00Z');
+			t.strictContains(tz, { abbrev: '-01', tt_gmtoff: -3600, startat: Date.parse('2030-03-31T01:00:00Z') });
+			tz = tzinfo.nextTzinfo(info, tz);
+			t.strictContains(tz, { abbrev: '-02', tt_gmtoff: -7200, startat: Date.parse('2030-10-27T01:00:00Z') });
+			t.done();
+		},
+
+		'should parse v4 zoneinfo file': function(t) {
+			var info = tzinfo.parseZoneinfo(ziV4, true);
+			t.strictContains(info, { magic: 'TZif', version: '4', leapcnt: 3, timecnt: 1, abbrevs: 'UTC\0-00\0', footer: '' });
+			// the truncated table starts with a correction of 26, the expiry record repeats the last one
+			t.deepEqual(info.leaps, [
+				{ time: Date.parse('2015-07-01T00:00:25Z') / 1000, add: 26 },
+				{ time: Date.parse('2017-01-01T00:00:26Z') / 1000, add: 27 },
+				{ time: Date.parse('2026-06-28T00:00:27Z') / 1000, add: 27 },
+			]);
+			t.equal(tzinfo.findTzinfo(info, Date.now()).abbrev, 'UTC');
+			t.strictEqual(tzinfo.findTzinfo(info, '2016-06-01T00:00:00Z'), false);
+			t.equal(info.tzinfo[0].abbrev, '-00');
+			var fat = tzinfo.parseZoneinfo(ziV4Fat, true);
+			t.deepEqual([fat.version, fat.ttimes, fat.types, fat.tzinfo, fat.leaps], [info.version, info.ttimes, info.types, info.tzinfo, info.leaps]);
+			t.done();
+		},
+
 		'should parse v1 zoneinfo file': function(t) {
 			ziJamaica[4] = 0;
 			var info = tzinfo.parseZoneinfo(ziJamaica);
@@ -277,6 +443,7 @@ module.exports = {
 				timecnt: 21,   typecnt: 3,    charcnt: 12,
 				abbrevs: 'KMT\0EST\0EDT\0',
 				leaps: [ {time: -2, add: 1}, {time: -1, add: 2} ],
+				footer: '', footer_rule: false,
 			});
 			t.done();
 		},
@@ -294,6 +461,349 @@ module.exports = {
 			t.strictEqual(info, false);
 			t.done();
 		},
+
+		'should reject truncated data': function(t) {
+			t.strictEqual(tzinfo.parseZoneinfo(ziJamaica.slice(0, 30)), false);
+			t.strictEqual(tzinfo.parseZoneinfo(ziJamaica.slice(0, 100)), false);
+			t.strictEqual(tzinfo.parseZoneinfo(ziJamaica.slice(0, 300)), false);
+			t.done();
+		},
+	},
+
+	'parseZoneinfo strict': {
+		'should parse valid data': function(t) {
+			t.ok(tzinfo.parseZoneinfo(ziJamaica, true));
+			t.ok(tzinfo.parseZoneinfo(ziSlim, true));
+			t.ok(tzinfo.parseZoneinfo(tzinfo.readZoneinfoFileSync('Europe/Sofia'), true));
+			t.done();
+		},
+
+		'should throw ZoneinfoParseError with the check and offset': function(t) {
+			var expectError = function(buf, check, offset) {
+				try {
+					tzinfo.parseZoneinfo(buf, true);
+					t.fail('should have thrown for ' + check);
+				} catch (e) {
+					t.ok(e instanceof tzinfo.ZoneinfoParseError);
+					t.ok(e instanceof Error);
+					t.equal(e.name, 'ZoneinfoParseError');
+					t.equal(e.check, check);
+					t.equal(e.offset, offset);
+					t.contains(e.message, 'offset ' + offset);
+				}
+			};
+			var buf;
+
+			expectError(ziJamaica.slice(0, 30), 'header', 0);
+			expectError(ziJamaica.slice(0, 100), 'length', 100);
+			expectError(ziJamaica.slice(0, 300), 'length', 300);
+
+			buf = Buffer.from(ziJamaica); buf[0] = 0x41;
+			expectError(buf, 'magic', 0);
+			buf = Buffer.from(ziJamaica); buf[201 + 4] = 2;
+			expectError(buf, 'version', 205);
+
+			// second v1 transition time equal to the first
+			buf = Buffer.from(ziJamaica); buf.copy(buf, 48, 44, 48);
+			expectError(buf, 'ttimes', 48);
+
+			// first v2 type index past typecnt (4)
+			buf = Buffer.from(ziJamaica); buf[421] = 4;
+			expectError(buf, 'types', 421);
+
+			// first v2 abbreviation index past charcnt (16)
+			buf = Buffer.from(ziJamaica); buf[448] = 16;
+			expectError(buf, 'abbrind', 448);
+
+			// footer not a POSIX TZ string
+			buf = Buffer.concat([ ziJamaica.slice(0, -1), Buffer.from('!\n') ]);
+			expectError(buf, 'footer', ziJamaica.length - 5);
+
+			// footer cut short, or missing altogether
+			var footerpos = tzinfo.parseZoneinfo(ziSlim)._v2end;
+			expectError(ziSlim.slice(0, ziSlim.length - 1), 'footer', footerpos + 1);
+			expectError(ziSlim.slice(0, footerpos + 10), 'footer', footerpos + 1);
+			expectError(ziSlim.slice(0, footerpos + 1), 'footer', footerpos + 1);
+			expectError(ziSlim.slice(0, footerpos), 'footer', footerpos);
+			t.done();
+		},
+
+		'should not check data in lenient mode': function(t) {
+			var buf = Buffer.from(ziJamaica); buf[421] = 4;
+			t.ok(tzinfo.parseZoneinfo(buf));
+			t.done();
+		},
+	},
+
+	'serializeZoneinfo': {
+		'should round-trip slim zoneinfo files byte identical': function(t) {
+			t.deepEqual(tzinfo.serializeZoneinfo(tzinfo.parseZoneinfo(ziSlim), { slim: true }), ziSlim);
+			t.deepEqual(tzinfo.serializeZoneinfo(tzinfo.parseZoneinfo(ziV3), { slim: true }), ziV3);
+			t.deepEqual(tzinfo.serializeZoneinfo(tzinfo.parseZoneinfo(ziV4), { slim: true }), ziV4);
+			t.deepEqual(tzinfo.serializeZoneinfo(tzinfo.parseZoneinfo(ziV4Fat)), ziV4Fat);
+			t.done();
+		},
+
+		'should round-trip system zoneinfo files byte identical': function(t) {
+			var zones = [ 'Europe/Sofia', 'America/New_York', 'Asia/Kolkata', 'Australia/Darwin', 'CET', 'UTC' ];
+			for (var i=0; i<zones.length; i++) {
+				var buf = tzinfo.readZoneinfoFileSync(zones[i]);
+				t.ok(tzinfo.serializeZoneinfo(tzinfo.parseZoneinfo(buf)).equals(buf), zones[i]);
+			}
+			t.done();
+		},
+
+		'should truncate the v1 data to 32 bits': function(t) {
+			var info = tzinfo.parseZoneinfo(ziJamaica);
+			var buf = tzinfo.serializeZoneinfo(info);
+			var v2 = tzinfo.parseZoneinfo(buf, true);
+			var v1 = tzinfo.parseZoneinfo(Buffer.concat([ Buffer.from('TZif\0'), buf.slice(5) ]), true);
+
+			t.deepEqual(v2.ttimes, info.ttimes);
+			t.deepEqual(v2.tzinfo, info.tzinfo);
+			t.deepEqual(v2.leaps, info.leaps);
+			t.equal(v2.footer, 'EST5');
+
+			// the 1890 LMT -> KMT transition is before -2**31, in v1 KMT is in effect from -2**31
+			t.equal(v1.timecnt, 22);
+			t.deepEqual(v1.ttimes.slice(0, 2), [ -0x80000000, info.ttimes[1] ]);
+			t.deepEqual(v1.tzinfo.map(function(zi) { return zi.abbrev }), [ 'LMT', 'KMT', 'EST', 'EDT' ]);
+			t.deepEqual(v1.types.slice(0, 3), [ 1, 2, 3 ]);
+			t.done();
+		},
+
+		'should write v1 info as version 2 or as asked': function(t) {
+			ziJamaica[4] = 0;
+			var info = tzinfo.parseZoneinfo(ziJamaica);
+			ziJamaica[4] = '2'.charCodeAt(0);
+			var v2 = tzinfo.parseZoneinfo(tzinfo.serializeZoneinfo(info), true);
+			t.equal(v2.version, '2');
+			t.deepEqual(v2.ttimes, info.ttimes);
+			t.equal(v2.footer, '');
+
+			t.equal(tzinfo.parseZoneinfo(tzinfo.serializeZoneinfo(info, { version: '3' })).version, '3');
+			t.throws(function() { tzinfo.serializeZoneinfo(info, { version: '5' }) }, /Cannot write zoneinfo version/);
+			t.done();
+		},
+	},
+
+	'parseTzSource': {
+		'should parse Rule, Zone and Link lines': function(t) {
+			var source = tzinfo.parseTzSource([
+				'# version 2024a',
+				'# Rule	NAME	FROM	TO	-	IN	ON	AT	SAVE	LETTER/S',
+				'Rule	EU	1981	max	-	Mar	lastSun	 1:00u	1:00	S',
+				'Rule	EU	1996	max	-	Oct	lastSun	 1:00u	0	-',
+				'Rule	Test	1980	only	-	Apr	Sat>=1	23:00	0:30	"+30"',
+				'Zone	Test/Long	1:33:16 -	LMT	1880 # comment',
+				'			2:00	EU	EE%sT	1990 Mar Sun<=25 2:00s',
+				'			2:00	1:00	EEST',
+				'Link	Test/Long	Test/Alias',
+			].join('\n'));
+
+			t.equal(source.version, '2024a');
+			t.deepEqual(source.rules.get('EU')[0], {
+				from: 1981, to: Infinity, month: 2, day: { kind: 'last', dom: 0, wday: 0 },
+				time: 3600, time_std: true, time_ut: true, save: 3600, isdst: true, letters: 'S',
+			});
+			t.strictContains(source.rules.get('Test')[0], { from: 1980, to: 1980, day: { kind: 'ge', dom: 1, wday: 6 }, letters: '+30' });
+
+			var lines = source.zones.get('Test/Long');
+			t.equal(lines.length, 3);
+			t.strictContains(lines[0], { stdoff: 5596, rules: '', format: 'LMT' });
+			t.strictContains(lines[1].until, { year: 1990, month: 2, day: { kind: 'le', dom: 25, wday: 0 }, time: 7200, time_std: true, time_ut: false });
+			t.strictContains(lines[2], { stdoff: 7200, rules: '', save: 3600, isdst: true, until: undefined });
+			t.equal(source.links.get('Test/Alias'), 'Test/Long');
+			t.done();
+		},
+
+		'should add to an existing source': function(t) {
+			var source = tzinfo.parseTzSource('Zone Test/A 1:00 - CET');
+			tzinfo.parseTzSource('Zone Test/B 2:00 - EET', source);
+			t.deepEqual(Array.from(source.zones.keys()), [ 'Test/A', 'Test/B' ]);
+			t.done();
+		},
+
+		'should throw with the line number on malformed lines': function(t) {
+			var bad = [
+				'\n\nRule EU 1981 max - Mar lastSun 1:00u 1:00',
+				'\n\nRule EU 1981 max - Mat lastSun 1:00u 1:00 S',
+				'\n\nRule EU 1981 max - Mar lastS 1:00u 1:00 S',
+				'\nZone Test/A 1:00 - CET\nZone Test/A 2:00 - EET',
+				'\n\nZone Test/A 1:00 - CET 1990\n',
+				'\n\nFoo bar',
+			];
+			for (var i=0; i<bad.length; i++) {
+				t.throws(function() { tzinfo.parseTzSource(bad[i]) }, /line 3|Zone continuation/);
+			}
+			t.done();
+		},
+	},
+
+	'compileZone': {
+		'should compile to the same transitions as zic': function(t) {
+			var source = tzinfo.parseTzSource(tzSofia);
+			var info = tzinfo.compileZone(source, 'Europe/Sofia');
+			var zic = tzinfo.parseZoneinfo(tzinfo.readZoneinfoFileSync('Europe/Sofia'));
+			var describe = function(info) {
+				return info.ttimes.map(function(time, i) {
+					var type = info.tzinfo[info.types[i]];
+					return [ time, type.tt_gmtoff, type.tt_isdst, type.abbrev ].join(' ');
+				}).filter(function(line) { return parseInt(line) < 0x7fffffff });
+			};
+
+			t.deepEqual(describe(info), describe(zic));
+			t.deepEqual(info.tzinfo[0], zic.tzinfo[0]);
+			t.equal(info.version, '2');
+			t.equal(info.footer, 'EET-2EEST,M3.5.0/3,M10.5.0/4');
+
+			var dates = [ '1800-01-01', '1942-11-02T01:00:00Z', '1979-06-01', '2030-07-01', '2100-01-01' ];
+			for (var i=0; i<dates.length; i++) {
+				t.deepEqual(tzinfo.findTzinfo(info, dates[i]), tzinfo.findTzinfo(zic, dates[i]), dates[i]);
+			}
+			t.done();
+		},
+
+		'should generate transitions up to lastYear': function(t) {
+			var source = tzinfo.parseTzSource(tzSofia);
+			var info = tzinfo.compileZone(source, 'Europe/Sofia', { lastYear: 2000 });
+			t.equal(new Date(info.ttimes[info.timecnt - 1] * 1000).toISOString(), '2000-10-29T01:00:00.000Z');
+			t.equal(tzinfo.findTzinfo(info, '2030-07-01', false).abbrev, 'EEST');
+			t.done();
+		},
+
+		'should generate rules with explicit years to their end like zic': function(t) {
+			// Morocco and Palestine have rules to 2087 and a fixed offset footer
+			var source = tzinfo.parseTzSource([
+				'Rule Test 2030 2050 - Oct 1 3:00 -1:00 -',
+				'Rule Test 2030 2050 - Nov 1 2:00 0 -',
+				'Zone Test/Finite 1:00 Test +01/+00',
+			].join('\n'));
+			var info = tzinfo.compileZone(source, 'Test/Finite', { lastYear: 2000 });
+			t.equal(new Date(info.ttimes[info.timecnt - 1] * 1000).toISOString(), '2050-11-01T02:00:00.000Z');
+			t.equal(tzinfo.findTzinfo(info, '2045-10-15').tt_gmtoff, 0);
+			t.equal(tzinfo.findTzinfo(info, '2051-10-15').tt_gmtoff, 3600);
+
+			try { source = tzinfo.parseTzSource(fs.readFileSync(tzinfo.getZoneinfoDirectory() + '/tzdata.zi', 'utf8')) }
+			catch (err) { t.skip() }
+			var zones = [ 'Africa/Casablanca', 'Africa/El_Aaiun', 'Asia/Gaza', 'Asia/Hebron' ];
+			for (var i=0; i<zones.length; i++) {
+				var zic = tzinfo.parseZoneinfo(tzinfo.readZoneinfoFileSync(zones[i]));
+				var diff = tzinfo.compareZoneinfo(tzinfo.compileZone(source, zones[i]), zic, '2030-01-01', '2100-01-01');
+				t.deepEqual(diff.intervals, [], zones[i]);
+			}
+			t.equal(tzinfo.findTzinfo(tzinfo.compileZone(source, 'Africa/Casablanca'), '2038-09-28T12:00:00Z').tt_gmtoff, 0);
+			t.done();
+		},
+
+		'should follow links': function(t) {
+			var source = tzinfo.parseTzSource(tzSofia);
+			t.deepEqual(tzinfo.compileZone(source, 'Test/Sofia'), tzinfo.compileZone(source, 'Europe/Sofia'));
+			t.strictEqual(tzinfo.compileZone(source, 'Test/Missing'), false);
+			t.done();
+		},
+
+		'should mark footers needing the v3 extensions': function(t) {
+			var source = tzinfo.parseTzSource([
+				'Rule EU 1981 max - Mar lastSun 1:00u 1:00 -',
+				'Rule EU 1996 max - Oct lastSun 1:00u 0 -',
+				'Zone Test/V3 -2:00 - -02 2024',
+				' -2:00 EU -02/-01',
+			].join('\n'));
+			var info = tzinfo.compileZone(source, 'Test/V3');
+			t.equal(info.version, '3');
+			t.equal(info.footer, tzinfo.parseZoneinfo(ziV3).footer);
+			t.done();
+		},
+
+		'should compile all zones and links': function(t) {
+			var zones = tzinfo.compileTzSource(tzinfo.parseTzSource(tzSofia));
+			t.deepEqual(Array.from(zones.keys()), [ 'Europe/Sofia', 'Test/Sofia' ]);
+			t.done();
+		},
+	},
+
+	'getLocalZone': {
+		'before': function(done) {
+			var os = require('os');
+			var path = require('path');
+			this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tzinfo-test-'));
+			done();
+		},
+
+		'after': function(done) {
+			fs.rmSync(this.dir, { recursive: true });
+			done();
+		},
+
+		'should honor TZ zone names and paths': function(t) {
+			var zonedir = tzinfo.getZoneinfoDirectory();
+			var zone = tzinfo.getLocalZone({ env: { TZ: 'Europe/Sofia' } });
+			t.equal(zone.name, 'Europe/Sofia');
+			t.equal(zone.source, 'TZ');
+			t.equal(zone.info.footer, 'EET-2EEST,M3.5.0/3,M10.5.0/4');
+			t.equal(tzinfo.getLocalZone({ env: { TZ: ':Europe/Sofia' } }).name, 'Europe/Sofia');
+			t.equal(tzinfo.getLocalZone({ env: { TZ: ':' + zonedir + '/Asia/Tokyo' } }).name, 'Asia/Tokyo');
+
+			fs.writeFileSync(this.dir + '/Jamaica', ziJamaica);
+			zone = tzinfo.getLocalZone({ env: { TZ: this.dir + '/Jamaica' } });
+			t.equal(zone.name, '');
+			t.equal(zone.info.footer, 'EST5');
+			t.done();
+		},
+
+		'should honor TZ POSIX strings': function(t) {
+			var zone = tzinfo.getLocalZone({ env: { TZ: 'CET-1CEST,M3.5.0,M10.5.0/3' } });
+			t.equal(zone.name, 'CET-1CEST,M3.5.0,M10.5.0/3');
+			t.equal(zone.source, 'TZ');
+			t.strictContains(tzinfo.findTzinfo(zone.info, '2024-07-01', false), { abbrev: 'CEST', tt_gmtoff: 7200, tt_isdst: 1 });
+			t.strictContains(tzinfo.findTzinfo(zone.info, '2024-12-01', false), { abbrev: 'CET', tt_gmtoff: 3600, tt_isdst: 0 });
+			t.done();
+		},
+
+		'should use UTC for empty or unusable TZ': function(t) {
+			var bad = [ '', 'No/Such_Zone', ':EST' + '5EDT,M3.2.0,M11.1.0' ];
+			for (var i=0; i<bad.length; i++) {
+				var zone = tzinfo.getLocalZone({ env: { TZ: bad[i] } });
+				t.equal(zone.name, 'UTC');
+				t.equal(zone.source, 'TZ');
+				t.strictContains(tzinfo.findTzinfo(zone.info, Date.now(), false), { abbrev: 'UTC', tt_gmtoff: 0 });
+			}
+			t.done();
+		},
+
+		'should name the zone by the /etc/localtime symlink': function(t) {
+			var zonedir = tzinfo.getZoneinfoDirectory();
+			fs.symlinkSync(zonedir + '/Europe/Sofia', this.dir + '/localtime');
+			var zone = tzinfo.getLocalZone({ env: {}, localtime: this.dir + '/localtime', timezone: this.dir + '/timezone' });
+			t.equal(zone.name, 'Europe/Sofia');
+			t.equal(zone.source, '/etc/localtime');
+			fs.unlinkSync(this.dir + '/localtime');
+			t.done();
+		},
+
+		'should fall back to /etc/timezone': function(t) {
+			var options = { env: {}, localtime: this.dir + '/localtime', timezone: this.dir + '/timezone' };
+			fs.writeFileSync(this.dir + '/timezone', 'Asia/Tokyo\n');
+			var zone = tzinfo.getLocalZone(options);
+			t.equal(zone.name, 'Asia/Tokyo');
+			t.equal(zone.source, '/etc/timezone');
+			t.equal(zone.info.footer, 'JST-9');
+
+			// a copied /etc/localtime takes its name from /etc/timezone
+			fs.writeFileSync(this.dir + '/localtime', ziJamaica);
+			zone = tzinfo.getLocalZone(options);
+			t.equal(zone.name, 'Asia/Tokyo');
+			t.equal(zone.source, '/etc/localtime');
+			t.equal(zone.info.footer, 'EST5');
+
+			fs.unlinkSync(this.dir + '/localtime');
+			fs.unlinkSync(this.dir + '/timezone');
+			zone = tzinfo.getLocalZone(options);
+			t.equal(zone.name, 'UTC');
+			t.equal(zone.source, 'default');
+			t.done();
+		},
 	},
 
 	'findTzinfo': {
@@ -376,141 +886,1504 @@ module.exports = {
 			t.equal(nomore,false);
 			t.done();
 		},
-	},
 
-	'getZoneinfoDirectory': {
-		'should return directory located at load time': function(t) {
-			var dirname = tzinfo.getZoneinfoDirectory();
-			try {
-				var stat = fs.statSync(dirname + '/America');
-				t.ok(stat.isDirectory());
-				t.done();
-			} catch(err) {
-				t.fail();
-			}
+		'should extrapolate transitions past the last ttime from the footer': function(t) {
+			var info = tzinfo.parseZoneinfo(ziSlim);
+
+			// zdump -v -c 2095,2097 Test/Slim
+			var tz = tzinfo.findTzinfo(info, '2095-03-27T00:59:59Z');
+			t.equal(tz.abbrev, 'EET');
+			t.equal(tz.startat, Date.parse('2094-10-31T01:00:00Z'));
+			t.equal(tz.ttimes_index, info.ttimes.length);
+
+			tz = tzinfo.findTzinfo(info, '2095-03-27T01:00:00Z');
+			t.strictContains(tz, { abbrev: 'EEST', tt_gmtoff: 10800, tt_isdst: 1, idx: 1, startat: Date.parse('2095-03-27T01:00:00Z') });
+
+			tz = tzinfo.nextTzinfo(info, tz);
+			t.strictContains(tz, { abbrev: 'EET', tt_gmtoff: 7200, tt_isdst: 0, idx: 0, startat: Date.parse('2095-10-30T01:00:00Z') });
+			tz = tzinfo.nextTzinfo(info, tz);
+			t.strictContains(tz, { abbrev: 'EEST', startat: Date.parse('2096-03-25T01:00:00Z') });
+			t.done();
 		},
-		'can be set via setZoneinfoDirectory': function(t) {
-			var dirname = tzinfo.getZoneinfoDirectory();
-			var dirname_new=dirname+'/.';
-			tzinfo.setZoneinfoDirectory(dirname_new);
-			t.equal(tzinfo.getZoneinfoDirectory(),dirname_new);
-			tzinfo.setZoneinfoDirectory(dirname_new+'/');
-			t.equal(tzinfo.getZoneinfoDirectory(),dirname_new);
-			tzinfo.setZoneinfoDirectory(dirname);
-			t.equal(tzinfo.getZoneinfoDirectory(),dirname);
+
+		'nextTzinfo should continue from the last ttime with the footer': function(t) {
+			var info = tzinfo.parseZoneinfo(ziSlim);
+			var tz = tzinfo.findTzinfo(info, '1996-06-01T00:00:00Z');
+			t.equal(tz.ttimes_index, info.ttimes.length - 1);
+			t.equal(tz.abbrev, 'EEST');
+
+			tz = tzinfo.nextTzinfo(info, tz);
+			t.strictContains(tz, { abbrev: 'EET', startat: Date.parse('1996-10-27T01:00:00Z') });
+			tz = tzinfo.nextTzinfo(info, tz);
+			t.strictContains(tz, { abbrev: 'EEST', startat: Date.parse('1997-03-30T01:00:00Z') });
 			t.done();
 		},
 	},
 
-	'listZoneinfoFiles': {
-		'should return empty array if not a directory': function(t) {
-			var list = tzinfo.listZoneinfoFiles("/nonesuch");
-			t.deepEqual(list, []);
+	'transitions': {
+		'before': function(done) {
+			this.zinfo = tzinfo.parseZoneinfo(ziJamaica);
+			done();
+		},
+
+		'prevTzinfo should step back to the first transition and before': function(t) {
+			var last = tzinfo.findTzinfo(this.zinfo, '1984-01-01T00:00:00Z');
+			var prev = tzinfo.prevTzinfo(this.zinfo, last);
+			t.equal(prev.startat, 420015600000);
+			t.equal(prev.abbrev, 'EDT');
+			t.deepEqual(tzinfo.nextTzinfo(this.zinfo, prev), last);
+
+			var first = tzinfo.findTzinfo(this.zinfo, this.zinfo.ttimes[0] * 1000);
+			t.deepEqual(tzinfo.prevTzinfo(this.zinfo, first), { startat: 0, ttimes_index: -1, idx: 0, tt_gmtoff: -18431, tt_isdst: 0, tt_abbrind: 0, abbrev: 'LMT' });
+			t.strictEqual(tzinfo.prevTzinfo(this.zinfo, tzinfo.prevTzinfo(this.zinfo, first)), false);
 			t.done();
 		},
 
-		'should return list of zoneinfo filepaths': function(t) {
-			var tzdir = tzinfo.getZoneinfoDirectory();
-			var list = tzinfo.listZoneinfoFiles(tzdir);
-			t.contains(list, tzdir + '/' + "America/Los_Angeles");
+		'prevTzinfo should step back through footer transitions': function(t) {
+			var info = tzinfo.parseZoneinfo(ziSlim);
+			var tz = tzinfo.findTzinfo(info, '2095-07-01T00:00:00Z');
+			var prev = tzinfo.prevTzinfo(info, tz);
+			t.equal(prev.startat, Date.parse('2094-10-31T01:00:00Z'));
+			t.equal(prev.abbrev, 'EET');
+
+			prev = tzinfo.prevTzinfo(info, tzinfo.findTzinfo(info, '1996-10-01T00:00:00Z'));
+			t.equal(prev.ttimes_index, info.ttimes.length - 2);
 			t.done();
 		},
 
-		'should work with no params': function(t) {
-			var tzdir = tzinfo.getZoneinfoDirectory();
-			var list = tzinfo.listZoneinfoFiles();
-			t.contains(list, tzdir + '/' + "America/Los_Angeles");
+		'prevTzinfo should step back through the rule of zones without stored transitions': function(t) {
+			var info = tzinfo.parsePosixZoneinfo('CET-1CEST,M3.5.0,M10.5.0/3');
+			var tz = tzinfo.findTzinfo(info, '2026-01-15T00:00:00Z');
+			t.strictContains(tz, { abbrev: 'CET', startat: Date.parse('2025-10-26T01:00:00Z') });
+			t.strictContains(tzinfo.prevTzinfo(info, tz), { abbrev: 'CEST', tt_gmtoff: 7200, startat: Date.parse('2025-03-30T01:00:00Z') });
 			t.done();
 		},
 
-		'should handle trailing / ': function(t) {
-			var tzdir = tzinfo.getZoneinfoDirectory();
-			var list = tzinfo.listZoneinfoFiles(tzdir+'/', true);
-			t.contains(list, "America/Los_Angeles");
+		'findTransitions should list the changes in a range': function(t) {
+			var list = tzinfo.findTransitions(this.zinfo, '1982-04-25T07:00:00Z', '1983-10-30T06:00:00Z');
+			t.deepEqual(list.map(function(tr) { return new Date(tr.at).toISOString() }), [ '1982-04-25T07:00:00.000Z', '1982-10-31T06:00:00.000Z', '1983-04-24T07:00:00.000Z' ]);
+			t.strictContains(list[0].before, { abbrev: 'EST', tt_gmtoff: -18000, tt_isdst: 0 });
+			t.strictContains(list[0].after, { abbrev: 'EDT', tt_gmtoff: -14400, tt_isdst: 1, startat: Date.parse('1982-04-25T07:00:00Z') });
+			t.deepEqual(list[1].before, list[0].after);
+
+			t.deepEqual(tzinfo.findTransitions(this.zinfo, '1990-01-01', '2030-01-01'), []);
+			t.deepEqual(tzinfo.findTransitions(this.zinfo, 'invalid', '2030-01-01'), []);
 			t.done();
 		},
 
-		'should strip paths if asked': function(t) {
-			var list = tzinfo.listZoneinfoFiles(undefined, true);
-			t.contains(list, "America/Los_Angeles");
+		'findTransitions should include the first transition and the footer ones': function(t) {
+			var list = tzinfo.findTransitions(this.zinfo, '1800-01-01', '1913-01-01');
+			t.equal(list.length, 2);
+			t.equal(list[0].before.abbrev, 'LMT');
+			t.equal(list[0].after.abbrev, 'KMT');
+
+			list = tzinfo.findTransitions(tzinfo.parseZoneinfo(ziSlim), '2095-01-01', '2096-01-01');
+			t.deepEqual(list.map(function(tr) { return new Date(tr.at).toISOString() }), [ '2095-03-27T01:00:00.000Z', '2095-10-30T01:00:00.000Z' ]);
 			t.done();
 		},
 
-		'should return empty array if no zoneinfo files found': function(t) {
-			var list = tzinfo.listZoneinfoFiles(__dirname);
-			t.deepEqual(list, []);
+		'iterateTransitions should be lazy': function(t) {
+			var it = tzinfo.iterateTransitions(tzinfo.parseZoneinfo(ziSlim), '2000-01-01', Infinity);
+			t.equal(it.next().value.after.abbrev, 'EEST');
+			t.equal(it.next().value.after.abbrev, 'EET');
+			t.equal(new Date(it.next().value.at).toISOString(), '2001-03-25T01:00:00.000Z');
+			t.done();
+		},
+
+		'zdumpVerbose should print like zdump -v -c': function(t) {
+			var lines = [
+				'America/Jamaica  -9223372036854775808 = NULL',
+				'America/Jamaica  -9223372036854689408 = NULL',
+				'America/Jamaica  Sun Apr 25 06:59:59 1982 UT = Sun Apr 25 01:59:59 1982 EST isdst=0 gmtoff=-18000',
+				'America/Jamaica  Sun Apr 25 07:00:00 1982 UT = Sun Apr 25 03:00:00 1982 EDT isdst=1 gmtoff=-14400',
+				'America/Jamaica  Sun Oct 31 05:59:59 1982 UT = Sun Oct 31 01:59:59 1982 EDT isdst=1 gmtoff=-14400',
+				'America/Jamaica  Sun Oct 31 06:00:00 1982 UT = Sun Oct 31 01:00:00 1982 EST isdst=0 gmtoff=-18000',
+				'America/Jamaica  Sun Apr 24 06:59:59 1983 UT = Sun Apr 24 01:59:59 1983 EST isdst=0 gmtoff=-18000',
+				'America/Jamaica  Sun Apr 24 07:00:00 1983 UT = Sun Apr 24 03:00:00 1983 EDT isdst=1 gmtoff=-14400',
+				'America/Jamaica  Sun Oct 30 05:59:59 1983 UT = Sun Oct 30 01:59:59 1983 EDT isdst=1 gmtoff=-14400',
+				'America/Jamaica  Sun Oct 30 06:00:00 1983 UT = Sun Oct 30 01:00:00 1983 EST isdst=0 gmtoff=-18000',
+				'America/Jamaica  9223372036854689407 = NULL',
+				'America/Jamaica  9223372036854775807 = NULL',
+			];
+			t.equal(tzinfo.zdumpVerbose(this.zinfo, 'America/Jamaica', 1982, 2000), lines.join('\n') + '\n');
+			t.equal(tzinfo.zdumpVerbose(this.zinfo, 'America/Jamaica', 2000, 2030, 18).split('\n')[0], 'America/Jamaica     -9223372036854775808 = NULL');
+			t.done();
+		},
+
+		'zdumpVerbose should match the system zdump': function(t) {
+			var execFileSync = require('child_process').execFileSync;
+			var zones = [ 'Europe/Sofia', 'America/New_York', 'Australia/Lord_Howe' ];
+			for (var i=0; i<zones.length; i++) {
+				try { var expect = execFileSync('zdump', [ '-v', '-c', '1800,2100', zones[i] ]).toString() }
+				catch (err) { continue }
+				var info = tzinfo.parseZoneinfo(tzinfo.readZoneinfoFileSync(zones[i]));
+				t.equal(tzinfo.zdumpVerbose(info, zones[i], 1800, 2100), expect, zones[i]);
+			}
 			t.done();
 		},
 	},
 
-	'helpers': {
-		'readStringZ': {
-			'should extract asciiz string': function(t) {
-				var buf = Buffer.from("ABC\0DEF\0GHI\0\0");
-				t.equal(tzinfo.readStringZ(buf, 0), 'ABC');
-				t.equal(tzinfo.readStringZ(buf, 1), 'BC');
-				t.equal(tzinfo.readStringZ(buf, 4), 'DEF');
-				t.equal(tzinfo.readStringZ(buf, 5), 'EF');
-				t.equal(tzinfo.readStringZ(buf, 12), '');
-				t.equal(tzinfo.readStringZ(Buffer.from("ABC"), 1), 'BC');
-				t.done();
-			},
+	'compareZoneinfo': {
+		'should ignore representational differences': function(t) {
+			var source = tzinfo.parseTzSource(tzSofia);
+			var diff = tzinfo.compareZoneinfo(tzinfo.compileZone(source, 'Europe/Sofia'), tzinfo.compileZone(source, 'Europe/Sofia', { lastYear: 1997 }), '1800-01-01', '2100-01-01');
+			t.deepEqual(diff, { first: false, intervals: [] });
+
+			// the tzinfo structs reordered and a redundant transition added
+			var info = tzinfo.parseZoneinfo(ziJamaica);
+			var other = tzinfo.parseZoneinfo(ziJamaica);
+			other.tzinfo = [ info.tzinfo[0], info.tzinfo[2], info.tzinfo[1], info.tzinfo[3] ];
+			other.types = info.types.map(function(typ) { return [0, 2, 1, 3][typ] });
+			other.ttimes.splice(5, 0, info.ttimes[5] - 86400);
+			other.types.splice(5, 0, other.types[4]);
+			other.timecnt++;
+			t.strictEqual(tzinfo.compareZoneinfo(info, other, -3e12, 3e12).first, false);
+			t.strictEqual(tzinfo.compareZoneinfo(info, tzinfo.parseZoneinfo(tzinfo.serializeZoneinfo(info, { slim: true })), -3e12, 3e12).first, false);
+			t.done();
 		},
 
-		'readInt32': {
-			'should extract 32-bit signed int': function(t) {
-				t.equal(tzinfo.readInt32([255, 255, 255, 255], 0), -1);
+		'should list the intervals the zones differ in': function(t) {
+			var a = tzinfo.parsePosixZoneinfo('CET-1CEST,M3.5.0,M10.5.0/3');
+			var b = tzinfo.parsePosixZoneinfo('CET-1CEST,M3.5.0,M10.4.0/3');
+			var diff = tzinfo.compareZoneinfo(a, b, '2030-01-01T00:00:00Z', '2034-01-01T00:00:00Z');
+			t.equal(diff.first, Date.parse('2032-10-24T01:00:00Z'));
+			t.equal(diff.intervals.length, 2);
+			t.strictContains(diff.intervals[0], { from: Date.parse('2032-10-24T01:00:00Z'), to: Date.parse('2032-10-31T01:00:00Z') });
+			t.strictContains(diff.intervals[0].a, { abbrev: 'CEST', tt_gmtoff: 7200 });
+			t.strictContains(diff.intervals[0].b, { abbrev: 'CET', tt_gmtoff: 3600 });
+			t.strictContains(diff.intervals[1], { from: Date.parse('2033-10-23T01:00:00Z'), to: Date.parse('2033-10-30T01:00:00Z') });
+
+			diff = tzinfo.compareZoneinfo(tzinfo.parsePosixZoneinfo('CET-1'), tzinfo.parsePosixZoneinfo('<+01>-1'), 0, 1000);
+			t.deepEqual(diff.intervals.map(function(iv) { return [iv.from, iv.to, iv.a.abbrev, iv.b.abbrev] }), [[0, 1000, 'CET', '+01']]);
+			t.strictEqual(tzinfo.compareZoneinfo(a, b, 1000, 0), false);
+			t.done();
+		},
+	},
 
-				var buf = Buffer.from([128, 0, 0, 0, 0, 1]);
-				t.equal(tzinfo.readInt32(buf, 0), (1 << 31));
-				t.equal(tzinfo.readInt32(buf, 1), 0);
-				t.equal(tzinfo.readInt32(buf, 2), 1);
+	'zone search': {
+		'before': function(done) {
+			this.zones = tzinfo.compileTzSource(tzinfo.parseTzSource(tzSofia));
+			this.zones.set('Europe/Athens', tzinfo.parsePosixZoneinfo('EET-2EEST,M3.5.0/3,M10.5.0/4'));
+			this.zones.set('Asia/Amman', tzinfo.parsePosixZoneinfo('<+03>-3'));
+			this.zones.set('Africa/Cairo', tzinfo.parsePosixZoneinfo('EET-2EEST,M4.5.5/0,M10.5.4/24'));
+			this.zones.set('Europe/Kaliningrad', tzinfo.parsePosixZoneinfo('EET-2'));
+			done();
+		},
 
-				var buf = Buffer.from([1, 2, 3, 4, 5, 6, 7, 8]);
-				t.equal(tzinfo.readInt32(buf, 0), 0x01020304);
-				t.equal(tzinfo.readInt32(buf, 1), 0x02030405);
-				t.equal(tzinfo.readInt32(buf, 3), 0x04050607);
+		'findZonesByOffset should match offset, abbreviation and DST flag': function(t) {
+			t.deepEqual(tzinfo.findZonesByOffset({ gmtoff: '+0300', at: '2030-07-01' }, this.zones),
+				['Africa/Cairo', 'Asia/Amman', 'Europe/Athens', 'Europe/Sofia', 'Test/Sofia']);
+			t.deepEqual(tzinfo.findZonesByOffset({ gmtoff: 10800, isdst: false, at: '2030-07-01' }, this.zones), ['Asia/Amman']);
+			t.deepEqual(tzinfo.findZonesByOffset({ gmtoff: '+02:00', abbrev: 'EET', at: '2030-01-01' }, this.zones),
+				['Africa/Cairo', 'Europe/Athens', 'Europe/Kaliningrad', 'Europe/Sofia', 'Test/Sofia']);
+			t.deepEqual(tzinfo.findZonesByOffset([ { gmtoff: 7200, at: '2030-01-01' }, { gmtoff: 10800, at: '2030-04-15' } ], this.zones),
+				['Europe/Athens', 'Europe/Sofia', 'Test/Sofia']);
+			t.deepEqual(tzinfo.findZonesByOffset({ gmtoff: '+01:33:16', abbrev: 'LMT', at: '1850-01-01' }, this.zones), ['Europe/Sofia', 'Test/Sofia']);
+			t.throws(function() { tzinfo.findZonesByOffset({ gmtoff: 'EST' }, new Map()) }, /Invalid UTC offset "EST"/);
+			t.done();
+		},
 
-				var buf = Buffer.from([255, 255, 255, 255, 1, 2, 3, 4]);
-				t.equal(tzinfo.readInt32(buf, 0), -1);
-				t.equal(tzinfo.readInt32(buf, 1), (0xffffff01 >> 0));   // -256 + 1
-				t.equal(tzinfo.readInt32(buf, 2), (0xffff0102 >> 0));   // -65536 + 256 + 2
-				t.equal(tzinfo.readInt32(buf, 3), (0xff010203 >> 0));   // -16777216 + 65536 + 512 + 3);
-				t.done();
-			},
+		'groupEquivalentZones should group zones with the same local time': function(t) {
+			t.deepEqual(tzinfo.groupEquivalentZones('2020-01-01', '2030-01-01', this.zones), [
+				['Africa/Cairo'], ['Asia/Amman'], ['Europe/Athens', 'Europe/Sofia', 'Test/Sofia'], ['Europe/Kaliningrad'] ]);
+			t.deepEqual(tzinfo.groupEquivalentZones('1900-01-01', '2030-01-01', this.zones).slice(2, 4), [ ['Europe/Athens'], ['Europe/Kaliningrad'] ]);
+			this.zones.set('Etc/GMT-3', tzinfo.parsePosixZoneinfo('<+03>-3'));
+			this.zones.set('Europe/Istanbul', tzinfo.parsePosixZoneinfo('TRT-3'));
+			t.deepEqual(tzinfo.groupEquivalentZones(0, '2030-01-01', this.zones, true)[1], ['Asia/Amman', 'Etc/GMT-3', 'Europe/Istanbul']);
+			t.done();
 		},
 
-		'readInt64': {
-			'should extract 64-bit signed int': function(t) {
-				t.equal(tzinfo.readInt32([255, 255, 255, 255, 255, 255, 255, 255], 0), -1);
+		'should return false without zones': function(t) {
+			t.strictEqual(tzinfo.findZonesByOffset({ gmtoff: 0 }), false);
+			t.strictEqual(tzinfo.groupEquivalentZones(0, 1000), false);
+			t.done();
+		},
+	},
 
-				var buf = Buffer.from([128, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
-				t.equal(tzinfo.readInt64(buf, 0), -0x8000000000000000);
-				t.equal(tzinfo.readInt64(buf, 1), 0);
-				t.equal(tzinfo.readInt64(buf, 2), 1);
+	'checkIntlConsistency': {
+		'should find no differences where the rules agree': function(t) {
+			var zones = new Map([ [ 'Europe/Sofia', tzinfo.parseZoneinfo(ziSlim) ], [ 'Etc/GMT-3', tzinfo.parsePosixZoneinfo('<+03>-3') ] ]);
+			t.deepEqual(tzinfo.checkIntlConsistency('2025-01-01', '2031-01-01', zones), { mismatches: [], unknown: [], unreadable: [] });
+			t.deepEqual(tzinfo.checkIntlConsistency('2025-01-01', '2026-01-01', [ 'UTC' ]), { mismatches: [], unknown: [], unreadable: [] });
+			t.done();
+		},
 
-				var buf = Buffer.from([0, 0, 0, 0, 1, 2, 3, 4, 5, 6, 7, 8]);
-				t.equal(tzinfo.readInt64(buf, 0), 0x01020304);
-				t.equal(tzinfo.readInt64(buf, 1), 0x0102030405);
-				t.equal(tzinfo.readInt64(buf, 2), 0x010203040506);
-				t.equal(tzinfo.readInt64(buf, 3), 0x01020304050607);
+		'should report the instants where the offsets differ': function(t) {
+			// the Intl transitions are found by the weekly checks, the Jamaica data has none in 2030
+			var zones = new Map([ [ 'Europe/Sofia', tzinfo.parseZoneinfo(ziJamaica) ] ]);
+			t.deepEqual(tzinfo.checkIntlConsistency('2030-01-01', '2031-01-01', zones).mismatches, [
+				{ zone: 'Europe/Sofia', at: Date.parse('2030-01-01'), gmtoff: -18000, intl_gmtoff: 7200 },
+				{ zone: 'Europe/Sofia', at: Date.parse('2030-04-02'), gmtoff: -18000, intl_gmtoff: 10800 },
+				{ zone: 'Europe/Sofia', at: Date.parse('2030-10-29'), gmtoff: -18000, intl_gmtoff: 7200 },
+			]);
+			t.done();
+		},
 
-				var buf = Buffer.from([255, 255, 255, 255, 255, 255, 255, 1, 2, 3, 4, 5, 6, 7, 8]);
-				t.equal(tzinfo.readInt64(buf, 0), -256 + 1);
-				t.equal(tzinfo.readInt64(buf, 1), -65536 + 256 + 2);
-				t.equal(tzinfo.readInt64(buf, 2), -16777216 + 65536 + 512 + 3);
-				t.equal(tzinfo.readInt64(buf, 3), -0x100000000 + 16777216 + 2*65536 + 3*256 + 4);
-				t.done();
-			},
+		'should find transitions only Intl has to within the step': function(t) {
+			var zones = new Map([ [ 'Europe/Sofia', tzinfo.parsePosixZoneinfo('EET-2') ] ]);
+			t.deepEqual(tzinfo.checkIntlConsistency('2030-01-01', '2031-01-01', zones, 86400000).mismatches, [
+				{ zone: 'Europe/Sofia', at: Date.parse('2030-04-01'), gmtoff: 7200, intl_gmtoff: 10800 },
+			]);
+			t.done();
 		},
 
-		'absearch': {
-			'should find an element not larger than val': function(t) {
-				var array = new Array();
-				for (var i=10; i<=1000; i+=10) array.push(i);
-				for (var i=11; i<=1001; i+=10) {
-					var ix = tzinfo.absearch(array, i);
-					t.equal(array[ix], i - 1, "absearch for " + i);
+		'should list the zones Intl does not know': function(t) {
+			var zones = new Map([ [ 'Not/A_Zone', tzinfo.parseZoneinfo(ziSlim) ], [ 'Also/Not_A_Zone', tzinfo.parseZoneinfo(ziSlim) ] ]);
+			t.deepEqual(tzinfo.checkIntlConsistency(0, 1000, zones), { mismatches: [], unknown: [ 'Also/Not_A_Zone', 'Not/A_Zone' ], unreadable: [] });
+			t.strictEqual(tzinfo.checkIntlConsistency(0, 1000), false);
+			t.done();
+		},
+
+		'should list the named zones that cannot be read': function(t) {
+			t.deepEqual(tzinfo.checkIntlConsistency('2025-01-01', '2026-01-01', [ 'No/Zone', 'UTC', 'zone.tab', '../zoneinfo/UTC' ]),
+				{ mismatches: [], unknown: [], unreadable: [ '../zoneinfo/UTC', 'No/Zone', 'zone.tab' ] });
+			t.done();
+		},
+	},
+
+	'zone bundles': {
+		'before': function(done) {
+			this.zones = tzinfo.compileTzSource(tzinfo.parseTzSource(tzSofia));
+			this.zones.set('Europe/Sofia', tzinfo.parseZoneinfo(ziSlim));
+			this.zones.set('America/Jamaica', tzinfo.parseZoneinfo(ziJamaica));
+			this.same = function(t, a, b, from, to) {
+				for (var ms = Date.parse(from); ms < Date.parse(to); ms += 86400000) {
+					var za = tzinfo.findTzinfo(a, ms, false), zb = tzinfo.findTzinfo(b, ms, false);
+					if (za.tt_gmtoff !== zb.tt_gmtoff || za.abbrev !== zb.abbrev || za.tt_isdst !== zb.tt_isdst) return t.fail('differ at ' + new Date(ms).toISOString());
+				}
+				t.deepEqual(tzinfo.findTransitions(b, Date.parse(from) + 1, to), tzinfo.findTransitions(a, Date.parse(from) + 1, to).map(function(tr) {
+					return { at: tr.at, before: tzinfo.findTzinfo(b, tr.at - 1, false), after: tzinfo.findTzinfo(b, tr.at, false) };
+				}));
+			};
+			done();
+		},
+
+		'should export and load the zones of a range of years as JSON': function(t) {
+			var bundle = tzinfo.exportZoneBundle(1978, 2031, this.zones);
+			t.equal(typeof bundle, 'string');
+			var loaded = tzinfo.loadZoneBundle(bundle);
+			t.deepEqual(Array.from(loaded.keys()), [ 'America/Jamaica', 'Europe/Sofia', 'Test/Sofia' ]);
+			this.same(t, this.zones.get('Europe/Sofia'), loaded.get('Europe/Sofia'), '1978-01-01', '2032-01-01');
+			this.same(t, this.zones.get('America/Jamaica'), loaded.get('America/Jamaica'), '1978-01-01', '2032-01-01');
+			t.strictContains(tzinfo.findTzinfo(loaded.get('Europe/Sofia'), '2030-07-01', false), { abbrev: 'EEST', tt_gmtoff: 10800 });
+			t.done();
+		},
+
+		'should trim the transitions and keep the tzinfo at the start': function(t) {
+			var sofia = tzinfo.loadZoneBundle(tzinfo.exportZoneBundle(1990, 1994, this.zones)).get('Test/Sofia');
+			t.equal(sofia.ttimes[0], Date.parse('1990-01-01') / 1000);
+			t.equal(sofia.tzinfo[0].abbrev, 'EET');
+			t.ok(sofia.ttimes[sofia.timecnt - 1] < Date.parse('1995-01-01') / 1000);
+			t.ok(sofia.ttimes.length < this.zones.get('Test/Sofia').ttimes.length);
+			// transitions after the range were dropped, and with them the footer
+			t.equal(sofia.footer, '');
+			this.same(t, this.zones.get('Test/Sofia'), sofia, '1990-01-01', '1995-01-01');
+			t.done();
+		},
+
+		'should store identical zones and abbreviation tables once': function(t) {
+			var zones = new Map([ [ 'Europe/Sofia', this.zones.get('Europe/Sofia') ], [ 'Europe/Tiraspol', this.zones.get('Europe/Sofia') ],
+				[ 'Etc/GMT-2', tzinfo.parsePosixZoneinfo('EET-2') ] ]);
+			var bundle = tzinfo.exportZoneBundle(2020, 2030, zones);
+			t.equal(JSON.parse(bundle).zones.length, 2);
+			t.deepEqual(JSON.parse(bundle).abbrevs, [ 'EET\0', 'EET\0EEST\0' ]);
+			var loaded = tzinfo.loadZoneBundle(bundle);
+			t.strictEqual(loaded.get('Europe/Sofia'), loaded.get('Europe/Tiraspol'));
+			t.done();
+		},
+
+		'should export and load binary bundles': function(t) {
+			var bundle = tzinfo.exportZoneBundle(1978, 2031, this.zones, 'binary');
+			t.ok(bundle instanceof Uint8Array);
+			// from an unaligned copy, as read into a pooled Buffer
+			var unaligned = Buffer.concat([ Buffer.from('x'), Buffer.from(bundle) ]).subarray(1);
+			[ bundle, bundle.buffer, unaligned ].forEach(function(data) {
+				var loaded = tzinfo.loadZoneBundle(data);
+				t.ok(loaded.get('Europe/Sofia').ttimes instanceof Float64Array);
+				t.ok(loaded.get('Europe/Sofia').ttimes.buffer !== bundle.buffer);
+				this.same(t, this.zones.get('Europe/Sofia'), loaded.get('Europe/Sofia'), '1978-01-01', '2032-01-01');
+			}, this);
+			t.done();
+		},
+
+		'should reject other data and return false without zones': function(t) {
+			t.throws(function() { tzinfo.loadZoneBundle('{"tzbundle":2}') }, /Not a zone bundle/);
+			t.throws(function() { tzinfo.loadZoneBundle('not json') }, /Not a zone bundle/);
+			t.throws(function() { tzinfo.loadZoneBundle(new Uint8Array(16)) }, /Not a zone bundle/);
+			var json = JSON.parse(tzinfo.exportZoneBundle(2020, 2030, new Map([ [ 'Europe/Sofia', this.zones.get('Europe/Sofia') ] ])));
+			[
+				{ tzbundle: 1, zones: [ {} ], names: [] },
+				Object.assign({}, json, { abbrevs: undefined }),
+				Object.assign({}, json, { names: [ [ 'Europe/Sofia', 1 ] ] }),
+				Object.assign({}, json, { zones: [ Object.assign({}, json.zones[0], { abbrevs: 1 }) ] }),
+				Object.assign({}, json, { zones: [ Object.assign({}, json.zones[0], { types: [ 9 ] }) ] }),
+				Object.assign({}, json, { zones: [ Object.assign({}, json.zones[0], { tzinfo: [ [ 7200, 0, 99 ] ] }) ] }),
+			].forEach(function(index) {
+				t.throws(function() { tzinfo.loadZoneBundle(JSON.stringify(index)) }, /Not a zone bundle/);
+			});
+			var binary = tzinfo.exportZoneBundle(2020, 2030, this.zones, 'binary');
+			var bogus = function(patch) { var copy = Uint8Array.from(binary); patch(copy, new DataView(copy.buffer)); return copy };
+			[
+				bogus(function(bytes, view) { view.setUint32(4, 0x7fffffff, true) }),
+				bogus(function(bytes, view) { view.setUint32(4, view.getUint32(4, true) - 1, true) }),
+				bogus(function(bytes) { bytes[8] = 0x20 }),
+				binary.subarray(0, binary.length - 9),
+				binary.subarray(0, binary.length - 1),
+				bogus(function(bytes) { bytes[bytes.length - 1] = 200 }),
+				bogus(function(bytes, view) { view.setFloat64((8 + view.getUint32(4, true) + 7) & ~7, NaN, true) }),
+			].forEach(function(bytes) {
+				t.throws(function() { tzinfo.loadZoneBundle(bytes) }, /Not a zone bundle/);
+			});
+			t.strictEqual(tzinfo.exportZoneBundle(2020, 2030), false);
+			t.done();
+		},
+
+		'should leave out the named zones that cannot be read': function(t) {
+			var loaded = tzinfo.loadZoneBundle(tzinfo.exportZoneBundle(2020, 2030, [ 'No/Zone', 'UTC', 'zone.tab' ]));
+			t.deepEqual(Array.from(loaded.keys()), [ 'UTC' ]);
+			t.done();
+		},
+	},
+
+	'leap seconds': {
+		'before': function(done) {
+			this.zinfo = tzinfo.parseZoneinfo(ziV4);
+			done();
+		},
+
+		'should convert between right/ and POSIX times': function(t) {
+			// 2016-12-31 23:59:60 UTC is 1483228826 on the right/ time scale
+			t.equal(tzinfo.rightToPosix(this.zinfo, 1483228825000), 1483228799000);
+			t.equal(tzinfo.rightToPosix(this.zinfo, 1483228826500), 1483228799500);
+			t.equal(tzinfo.rightToPosix(this.zinfo, 1483228827000), 1483228800000);
+			t.equal(tzinfo.posixToRight(this.zinfo, 1483228799000), 1483228825000);
+			t.equal(tzinfo.posixToRight(this.zinfo, 1483228800250), 1483228827250);
+			t.equal(tzinfo.posixToRight(this.zinfo, 1600000000000), 1600000027000);
+			t.done();
+		},
+
+		'should tell whether a time is inside a leap second': function(t) {
+			t.strictEqual(tzinfo.isLeapSecond(this.zinfo, 1483228825999), false);
+			t.strictEqual(tzinfo.isLeapSecond(this.zinfo, 1483228826000), true);
+			t.strictEqual(tzinfo.isLeapSecond(this.zinfo, 1483228826999), true);
+			t.strictEqual(tzinfo.isLeapSecond(this.zinfo, 1483228827000), false);
+			t.done();
+		},
+
+		'should report the leap table expiry of version 4 files': function(t) {
+			var info = tzinfo.parseZoneinfo(ziV4);
+			t.equal(new Date(tzinfo.leapExpiry(info)).toISOString(), '2026-06-28T00:00:00.000Z');
+			t.strictEqual(tzinfo.isLeapSecond(info, 1782604827000), false);
+			t.equal(tzinfo.rightToPosix(info, 1782604827000), Date.parse('2026-06-28T00:00:00Z'));
+
+			info.leaps.pop();
+			info.leapcnt = info.leaps.length;
+			t.strictEqual(tzinfo.leapExpiry(info), false);
+			t.done();
+		},
+
+		'findTzinfo should optionally correct for leap seconds': function(t) {
+			try { var right = tzinfo.parseZoneinfo(tzinfo.readZoneinfoFileSync('right/Europe/Sofia')) }
+			catch (err) { t.skip() }
+			var posix = tzinfo.parseZoneinfo(tzinfo.readZoneinfoFileSync('Europe/Sofia'));
+			var dates = [ '2017-03-26T01:00:00Z', '2017-10-29T00:59:59Z', '2017-10-29T01:00:00Z' ];
+			for (var i=0; i<dates.length; i++) {
+				t.deepEqual(tzinfo.findTzinfo(right, dates[i], false, true), tzinfo.findTzinfo(posix, dates[i], false), dates[i]);
+			}
+			// uncorrected, the right/ transition is 27 seconds late
+			t.equal(tzinfo.findTzinfo(right, '2017-10-29T01:00:00Z', false).abbrev, 'EEST');
+			t.done();
+		},
+	},
+
+	'localToUtc': {
+		'before': function(done) {
+			this.zinfo = tzinfo.parseZoneinfo(ziSlim);
+			done();
+		},
+
+		'should convert unambiguous local times': function(t) {
+			t.deepEqual(tzinfo.localToUtc(this.zinfo, { year: 1995, month: 7, day: 1, hour: 12 }), [ Date.parse('1995-07-01T09:00:00Z') ]);
+			t.deepEqual(tzinfo.localToUtc(this.zinfo, { year: 2030, month: 1, day: 2, hour: 3, minute: 4, second: 5, millisecond: 6 }),
+				[ Date.parse('2030-01-02T01:04:05.006Z') ]);
+			t.done();
+		},
+
+		'should agree with findTzinfo and localFields before the first transition': function(t) {
+			// tzinfo 0 is not the type of the first transition
+			var info = tzinfo.compileZone(tzinfo.parseTzSource('Z Test/First 1 - AAA 1900\n2 - BBB\n'), 'Test/First');
+			t.deepEqual(info.types, [ 1 ]);
+			var local = { year: 1850, month: 1, day: 1, hour: 0 };
+			var utc = tzinfo.localToUtc(info, local);
+			t.deepEqual(utc, [ Date.parse('1849-12-31T23:00:00Z') ]);
+			t.strictContains(tzinfo.findTzinfo(info, utc[0], true), { abbrev: 'AAA', tt_gmtoff: 3600, ttimes_index: -1 });
+			t.strictContains(tzinfo.localFields(info, utc[0]), { abbrev: 'AAA', year: 1850, month: 1, day: 1, hour: 0 });
+			t.deepEqual(tzinfo.localToUtc(info, { year: 1900, month: 1, day: 1, hour: 0, minute: 30 }, { gap: 'reject' }), false);
+			t.done();
+		},
+
+		'should resolve gaps by policy': function(t) {
+			// 03:00 EET on 2030-03-31 becomes 04:00 EEST
+			var local = { year: 2030, month: 3, day: 31, hour: 3, minute: 30 };
+			t.deepEqual(tzinfo.localToUtc(this.zinfo, local), [ Date.parse('2030-03-31T01:30:00Z') ]);
+			t.deepEqual(tzinfo.localToUtc(this.zinfo, local, { gap: 'forward' }), [ Date.parse('2030-03-31T01:30:00Z') ]);
+			t.deepEqual(tzinfo.localToUtc(this.zinfo, local, { gap: 'backward' }), [ Date.parse('2030-03-31T00:30:00Z') ]);
+			t.strictEqual(tzinfo.localToUtc(this.zinfo, local, { gap: 'reject' }), false);
+			t.done();
+		},
+
+		'should resolve overlaps by policy': function(t) {
+			// 04:00 EEST on 2030-10-27 becomes 03:00 EET
+			var local = { year: 2030, month: 10, day: 27, hour: 3, minute: 30 };
+			var earlier = Date.parse('2030-10-27T00:30:00Z'), later = Date.parse('2030-10-27T01:30:00Z');
+			t.deepEqual(tzinfo.localToUtc(this.zinfo, local), [ earlier ]);
+			t.deepEqual(tzinfo.localToUtc(this.zinfo, local, { overlap: 'earliest' }), [ earlier ]);
+			t.deepEqual(tzinfo.localToUtc(this.zinfo, local, { overlap: 'latest' }), [ later ]);
+			t.deepEqual(tzinfo.localToUtc(this.zinfo, local, { overlap: 'both' }), [ earlier, later ]);
+			t.strictEqual(tzinfo.localToUtc(this.zinfo, local, { overlap: 'reject' }), false);
+			t.done();
+		},
+
+		'should handle local times near and before the first transition': function(t) {
+			t.deepEqual(tzinfo.localToUtc(this.zinfo, { year: 1994, month: 12, day: 31, hour: 23 }), [ Date.parse('1994-12-31T21:00:00Z') ]);
+			t.deepEqual(tzinfo.localToUtc(this.zinfo, { year: 1900, month: 1, day: 1 }), [ Date.parse('1899-12-31T22:00:00Z') ]);
+			t.done();
+		},
+	},
+
+	'localFields': {
+		'should decompose an instant into local calendar fields': function(t) {
+			var info = tzinfo.parseZoneinfo(ziSlim);
+			t.deepEqual(tzinfo.localFields(info, '2030-10-27T00:59:59.500Z'), {
+				year: 2030, month: 10, day: 27, hour: 3, minute: 59, second: 59, millisecond: 500,
+				weekday: 0, yearday: 300, iso_year: 2030, iso_week: 43,
+				gmtoff: 10800, isdst: true, abbrev: 'EEST', time: Date.parse('2030-10-27T00:59:59.500Z'),
+			});
+			t.strictContains(tzinfo.localFields(info, '2030-10-27T01:00:00Z'), { hour: 3, minute: 0, gmtoff: 7200, isdst: false, abbrev: 'EET' });
+			t.done();
+		},
+
+		'should compute ISO weeks across year ends': function(t) {
+			var info = tzinfo.parseZoneinfo(tzinfo.readZoneinfoFileSync('UTC'));
+			t.strictContains(tzinfo.localFields(info, '2021-01-03T12:00:00Z'), { iso_year: 2020, iso_week: 53, yearday: 3 });
+			t.strictContains(tzinfo.localFields(info, '2024-12-30T12:00:00Z'), { iso_year: 2025, iso_week: 1, yearday: 365 });
+			t.strictContains(tzinfo.localFields(info, '2024-12-31T12:00:00Z'), { yearday: 366 });
+			t.done();
+		},
+
+		'should use tzinfo 0 before the first transition': function(t) {
+			var info = tzinfo.parseZoneinfo(ziJamaica);
+			t.strictContains(tzinfo.localFields(info, '1889-03-12T02:40:00Z'), { abbrev: 'LMT', gmtoff: -18431, day: 11, hour: 21, minute: 32, second: 49 });
+			t.done();
+		},
+
+		'should return false for invalid dates': function(t) {
+			t.strictEqual(tzinfo.localFields(tzinfo.parseZoneinfo(ziSlim), 'not a date'), false);
+			t.done();
+		},
+	},
+
+	'strftime': {
+		'should format like date(1)': function(t) {
+			// as `TZ=America/Jamaica LC_ALL=C date -d @-2550000000 '+%c %Z %z %:z %::z'` prints for the ziJamaica data
+			var info = tzinfo.parseZoneinfo(ziJamaica);
+			t.equal(tzinfo.strftime(info, -2550000000 * 1000, '%c %Z %z %:z %::z'), 'Mon Mar 11 21:32:49 1889 LMT -0507 -05:07 -05:07:11');
+			t.equal(tzinfo.strftime(info, Date.parse('1974-04-28T12:00:00Z'), '%F %T %Z %z %s'), '1974-04-28 08:00:00 EDT -0400 136382400');
+			t.equal(tzinfo.strftime(info, Date.parse('2021-01-01T05:00:00Z'), '%a %A %b %B %d %e %j %u %w %U %W %V %G %g %y %C'),
+				'Fri Friday Jan January 01  1 001 5 5 00 00 53 2020 20 21 20');
+			t.equal(tzinfo.strftime(info, Date.parse('2021-06-01T17:05:09Z'), '%D %x %X %R %r %I %l %k %H %p %M %S'),
+				'06/01/21 06/01/21 12:05:09 12:05 12:05:09 PM 12 12 12 12 PM 05 09');
+			t.done();
+		},
+
+		'should copy text and unknown conversions': function(t) {
+			var info = tzinfo.parseZoneinfo(ziJamaica);
+			t.equal(tzinfo.strftime(info, 0, 'at %H%%%~%n%t.'), 'at 19%%~\n\t.');
+			t.done();
+		},
+
+		'should return false for invalid dates': function(t) {
+			t.strictEqual(tzinfo.strftime(tzinfo.parseZoneinfo(ziJamaica), NaN, '%c'), false);
+			t.done();
+		},
+	},
+
+	'calendar arithmetic': {
+		'before': function(done) {
+			this.zinfo = tzinfo.parseZoneinfo(ziSlim);
+			done();
+		},
+
+		'should add days keeping the wall clock time across DST': function(t) {
+			// 12:00 EET on 2030-03-30, clocks go forward the next night
+			var noon = Date.parse('2030-03-30T10:00:00Z');
+			t.equal(tzinfo.addToDate(this.zinfo, noon, 1, 'day'), Date.parse('2030-03-31T09:00:00Z'));
+			t.equal(tzinfo.addToDate(this.zinfo, noon, 24, 'hour'), Date.parse('2030-03-31T10:00:00Z'));
+			t.equal(tzinfo.addToDate(this.zinfo, Date.parse('2030-03-28T10:00:00Z'), 1, 'week'), Date.parse('2030-04-04T09:00:00Z'));
+			t.equal(tzinfo.addToDate(this.zinfo, Date.parse('2030-03-31T09:00:00Z'), -1, 'day'), noon);
+			t.equal(tzinfo.addToDate(this.zinfo, noon, 90, 'minute'), noon + 5400000);
+			t.done();
+		},
+
+		'should clamp the day to the end of the month': function(t) {
+			t.equal(tzinfo.addToDate(this.zinfo, '2030-01-31T10:00:00Z', 1, 'month'), Date.parse('2030-02-28T10:00:00Z'));
+			t.equal(tzinfo.addToDate(this.zinfo, '2030-03-31T09:00:00Z', -1, 'month'), Date.parse('2030-02-28T10:00:00Z'));
+			t.equal(tzinfo.addToDate(this.zinfo, '2028-02-29T10:00:00Z', 1, 'year'), Date.parse('2029-02-28T10:00:00Z'));
+			t.equal(tzinfo.addToDate(this.zinfo, '2030-11-15T10:00:00Z', 14, 'month'), Date.parse('2032-01-15T10:00:00Z'));
+			t.done();
+		},
+
+		'should resolve results in gaps and overlaps by policy': function(t) {
+			// 03:30 on 2030-03-31 was skipped, 03:30 on 2030-10-27 happened twice
+			var gapDay = Date.parse('2030-03-30T01:30:00Z');
+			t.equal(tzinfo.addToDate(this.zinfo, gapDay, 1, 'day'), Date.parse('2030-03-31T01:30:00Z'));
+			t.equal(tzinfo.addToDate(this.zinfo, gapDay, 1, 'day', { gap: 'backward' }), Date.parse('2030-03-31T00:30:00Z'));
+			t.strictEqual(tzinfo.addToDate(this.zinfo, gapDay, 1, 'day', { gap: 'reject' }), false);
+			var overlapDay = Date.parse('2030-10-26T00:30:00Z');
+			t.equal(tzinfo.addToDate(this.zinfo, overlapDay, 1, 'day'), Date.parse('2030-10-27T00:30:00Z'));
+			t.equal(tzinfo.addToDate(this.zinfo, overlapDay, 1, 'day', { overlap: 'latest' }), Date.parse('2030-10-27T01:30:00Z'));
+			t.strictEqual(tzinfo.addToDate(this.zinfo, overlapDay, 1, 'day', { overlap: 'reject' }), false);
+			t.done();
+		},
+
+		'should reject fractional calendar amounts and invalid dates': function(t) {
+			t.strictEqual(tzinfo.addToDate(this.zinfo, 0, 1.5, 'day'), false);
+			t.strictEqual(tzinfo.addToDate(this.zinfo, NaN, 1, 'day'), false);
+			t.strictEqual(tzinfo.startOfDay(this.zinfo, 'not a date'), false);
+			t.done();
+		},
+
+		'should find the start, end and length of days': function(t) {
+			t.equal(tzinfo.startOfDay(this.zinfo, '2030-03-31T12:00:00Z'), Date.parse('2030-03-30T22:00:00Z'));
+			t.equal(tzinfo.endOfDay(this.zinfo, '2030-03-31T12:00:00Z'), Date.parse('2030-03-31T21:00:00Z') - 1);
+			t.equal(tzinfo.dayLength(this.zinfo, '2030-03-31T12:00:00Z'), 23 * 3600000);
+			t.equal(tzinfo.dayLength(this.zinfo, '2030-10-27T12:00:00Z'), 25 * 3600000);
+			t.equal(tzinfo.dayLength(this.zinfo, '2030-06-01T12:00:00Z'), 24 * 3600000);
+			t.done();
+		},
+
+		'should start days skipping or repeating midnight at the first instant': function(t) {
+			// clocks change at midnight, as in Sao Paulo until 2019
+			var info = tzinfo.parsePosixZoneinfo('<-03>3<-02>,M10.1.0/0,M2.3.0/0');
+			t.equal(tzinfo.startOfDay(info, '2030-10-06T15:00:00Z'), Date.parse('2030-10-06T03:00:00Z'));
+			t.equal(tzinfo.dayLength(info, '2030-10-06T15:00:00Z'), 23 * 3600000);
+			t.equal(tzinfo.startOfDay(info, '2031-02-15T15:00:00Z'), Date.parse('2031-02-15T02:00:00Z'));
+			t.equal(tzinfo.endOfDay(info, '2031-02-15T15:00:00Z'), Date.parse('2031-02-16T03:00:00Z') - 1);
+			t.done();
+		},
+
+		'should count calendar days between local dates': function(t) {
+			// 00:30 EET on 2030-03-31 and 00:30 EEST on 2030-04-01 are less than a day apart
+			t.equal(tzinfo.calendarDaysBetween(this.zinfo, '2030-03-30T22:30:00Z', '2030-03-31T21:30:00Z'), 1);
+			t.equal(tzinfo.calendarDaysBetween(this.zinfo, '2030-03-31T21:30:00Z', '2030-03-30T22:30:00Z'), -1);
+			t.equal(tzinfo.calendarDaysBetween(this.zinfo, '2030-01-01T12:00:00Z', '2031-01-01T12:00:00Z'), 365);
+			t.equal(tzinfo.calendarDaysBetween(this.zinfo, '2030-06-01T20:59:00Z', '2030-06-01T21:00:00Z'), 1);
+			t.done();
+		},
+	},
+
+	'recurrence rules': {
+		'before': function(done) {
+			var info = this.zinfo = tzinfo.parseZoneinfo(ziSlim);
+			this.expand = function(start, rule, policy) {
+				return Array.from(tzinfo.expandRrule(info, start, rule, policy)).map(function(ms) { return tzinfo.strftime(info, ms, '%F %T %Z') });
+			};
+			done();
+		},
+
+		'should parse rules': function(t) {
+			t.deepEqual(tzinfo.parseRrule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=MO,-1FR;BYMONTHDAY=1,-1;BYMONTH=1,7;BYHOUR=9;COUNT=10;WKST=MO'), {
+				freq: 'MONTHLY', interval: 2, count: 10,
+				byday: [ { day: 1 }, { day: 5, nth: -1 } ], bymonthday: [ 1, -1 ], bymonth: [ 1, 7 ], byhour: [ 9 ],
+			});
+			t.equal(tzinfo.parseRrule('FREQ=DAILY;UNTIL=20300131T070000Z').until, Date.parse('2030-01-31T07:00:00Z'));
+			t.deepEqual(tzinfo.parseRrule('freq=daily;until=20300131').until, { year: 2030, month: 1, day: 31, hour: 23, minute: 59, second: 59, millisecond: 999 });
+			t.done();
+		},
+
+		'should reject malformed and unsupported rules': function(t) {
+			t.throws(function() { tzinfo.parseRrule('COUNT=2') }, /missing FREQ/);
+			t.throws(function() { tzinfo.parseRrule('FREQ=SECONDLY') }, /unsupported FREQ SECONDLY/);
+			t.throws(function() { tzinfo.parseRrule('FREQ=DAILY;BYSETPOS=1') }, /unsupported part BYSETPOS/);
+			t.throws(function() { tzinfo.parseRrule('FREQ=DAILY;BYMONTH=13') }, /BYMONTH 13 out of range/);
+			t.throws(function() { tzinfo.parseRrule('FREQ=DAILY;BYDAY=1MO') }, /numbered BYDAY with FREQ DAILY/);
+			t.throws(function() { tzinfo.parseRrule('FREQ=DAILY;COUNT=1;UNTIL=20300101') }, /both COUNT and UNTIL/);
+			var info = this.zinfo;
+			t.throws(function() { tzinfo.expandRrule(info, { year: 2030, month: 1, day: 1 }, 'FREQ=DAILY;COUNT=0') }, /bad COUNT 0/);
+			t.done();
+		},
+
+		'should keep the wall clock time across transitions': function(t) {
+			t.deepEqual(this.expand({ year: 2030, month: 3, day: 28, hour: 9 }, 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;COUNT=4'),
+				[ '2030-03-28 09:00:00 EET', '2030-03-29 09:00:00 EET', '2030-04-01 09:00:00 EEST', '2030-04-02 09:00:00 EEST' ]);
+			t.deepEqual(this.expand({ year: 2030, month: 1, day: 31, hour: 12 }, { freq: 'MONTHLY', count: 3 }),
+				[ '2030-01-31 12:00:00 EET', '2030-03-31 12:00:00 EEST', '2030-05-31 12:00:00 EEST' ]);
+			t.done();
+		},
+
+		'should resolve occurrences in gaps and overlaps by policy': function(t) {
+			var start = { year: 2030, month: 3, day: 30, hour: 3, minute: 30 };
+			t.deepEqual(this.expand(start, 'FREQ=DAILY;COUNT=3'), [ '2030-03-30 03:30:00 EET', '2030-03-31 04:30:00 EEST', '2030-04-01 03:30:00 EEST' ]);
+			t.deepEqual(this.expand(start, 'FREQ=DAILY;COUNT=3', { gap: 'reject' }), [ '2030-03-30 03:30:00 EET', '2030-04-01 03:30:00 EEST', '2030-04-02 03:30:00 EEST' ]);
+			t.deepEqual(this.expand({ year: 2030, month: 10, day: 26, hour: 3, minute: 30 }, 'FREQ=DAILY;COUNT=3', { overlap: 'both' }),
+				[ '2030-10-26 03:30:00 EEST', '2030-10-27 03:30:00 EEST', '2030-10-27 03:30:00 EET' ]);
+			// 03:00 is moved forward onto the 04:00 occurrence
+			t.deepEqual(this.expand({ year: 2030, month: 3, day: 31, hour: 1 }, 'FREQ=HOURLY;COUNT=4'),
+				[ '2030-03-31 01:00:00 EET', '2030-03-31 02:00:00 EET', '2030-03-31 04:00:00 EEST', '2030-03-31 05:00:00 EEST' ]);
+			t.done();
+		},
+
+		'should expand BYDAY, BYMONTHDAY, BYMONTH and BYHOUR': function(t) {
+			t.deepEqual(this.expand({ year: 2030, month: 1, day: 1, hour: 12 }, 'FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20300430'),
+				[ '2030-01-25 12:00:00 EET', '2030-02-22 12:00:00 EET', '2030-03-29 12:00:00 EET', '2030-04-26 12:00:00 EEST' ]);
+			t.deepEqual(this.expand({ year: 2030, month: 1, day: 1, hour: 12 }, 'FREQ=YEARLY;BYMONTH=11;BYDAY=4TH;COUNT=2'),
+				[ '2030-11-28 12:00:00 EET', '2031-11-27 12:00:00 EET' ]);
+			t.deepEqual(this.expand({ year: 2030, month: 1, day: 1, hour: 12 }, 'FREQ=YEARLY;BYDAY=20MO;COUNT=1'), [ '2030-05-20 12:00:00 EEST' ]);
+			t.deepEqual(this.expand({ year: 2030, month: 1, day: 1 }, 'FREQ=MONTHLY;BYMONTHDAY=1,-1;BYHOUR=17,8;COUNT=5'),
+				[ '2030-01-01 08:00:00 EET', '2030-01-01 17:00:00 EET', '2030-01-31 08:00:00 EET', '2030-01-31 17:00:00 EET', '2030-02-01 08:00:00 EET' ]);
+			t.deepEqual(this.expand({ year: 2028, month: 2, day: 29, hour: 12 }, 'FREQ=YEARLY;COUNT=2'), [ '2028-02-29 12:00:00 EET', '2032-02-29 12:00:00 EET' ]);
+			t.done();
+		},
+
+		'should end at UNTIL, skip a non-matching start and give up on impossible rules': function(t) {
+			t.deepEqual(this.expand({ year: 2030, month: 1, day: 1, hour: 9 }, 'FREQ=DAILY;INTERVAL=10;UNTIL=20300131T070000Z'),
+				[ '2030-01-01 09:00:00 EET', '2030-01-11 09:00:00 EET', '2030-01-21 09:00:00 EET', '2030-01-31 09:00:00 EET' ]);
+			t.deepEqual(this.expand({ year: 2030, month: 1, day: 1, hour: 9 }, 'FREQ=WEEKLY;BYDAY=SA;COUNT=1'), [ '2030-01-05 09:00:00 EET' ]);
+			t.deepEqual(this.expand({ year: 2030, month: 1, day: 1 }, 'FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30'), []);
+			t.done();
+		},
+
+		'should give up on impossible hourly rules at once': function(t) {
+			var t1 = Date.now();
+			t.deepEqual(this.expand({ year: 2030, month: 1, day: 1 }, 'FREQ=HOURLY;BYMONTH=2;BYMONTHDAY=30'), []);
+			t.deepEqual(this.expand({ year: 2030, month: 1, day: 1 }, 'FREQ=HOURLY;BYMONTH=4,6;BYMONTHDAY=-31'), []);
+			t.deepEqual(this.expand({ year: 2030, month: 1, day: 1, hour: 9 }, 'FREQ=HOURLY;INTERVAL=6;BYHOUR=10,17'), []);
+			t.ok(Date.now() - t1 < 100);
+			// hours reachable in steps of the interval still match
+			t.deepEqual(this.expand({ year: 2030, month: 1, day: 1, hour: 9 }, 'FREQ=HOURLY;INTERVAL=6;BYHOUR=3,10,15;COUNT=3'),
+				[ '2030-01-01 15:00:00 EET', '2030-01-02 03:00:00 EET', '2030-01-02 15:00:00 EET' ]);
+			t.deepEqual(this.expand({ year: 2030, month: 1, day: 1 }, 'FREQ=HOURLY;BYMONTH=2;BYMONTHDAY=29;BYHOUR=0;COUNT=1'), [ '2032-02-29 00:00:00 EET' ]);
+			t.done();
+		},
+
+		'should expand lazily': function(t) {
+			var it = tzinfo.expandRrule(this.zinfo, { year: 2030, month: 1, day: 1, hour: 9 }, 'FREQ=DAILY');
+			t.equal(it.next().value, Date.parse('2030-01-01T07:00:00Z'));
+			t.equal(it.next().value, Date.parse('2030-01-02T07:00:00Z'));
+			t.done();
+		},
+	},
+
+	'temporalTimeZone': {
+		'before': function(done) {
+			this.tz = tzinfo.temporalTimeZone(fakeTemporal, tzinfo.parseZoneinfo(ziSlim), 'Europe/Sofia');
+			this.at = function(iso) { return fakeTemporal.Instant.fromEpochMilliseconds(Date.parse(iso)) };
+			done();
+		},
+
+		'should return the offset in nanoseconds': function(t) {
+			t.equal(this.tz.getOffsetNanosecondsFor(this.at('2030-01-01T00:00:00Z')), 7200e9);
+			t.equal(this.tz.getOffsetNanosecondsFor(this.at('2030-03-31T01:00:00Z')), 10800e9);
+			t.equal(this.tz.getOffsetNanosecondsFor(this.at('2030-03-31T01:00:00Z').add({ nanoseconds: -1 })), 7200e9);
+			t.done();
+		},
+
+		'should return the possible instants for a plain date-time': function(t) {
+			var dt = function(day, hour, microsecond, nanosecond) {
+				return { year: 2030, month: day > 100 ? 10 : 3, day: day % 100, hour: hour, minute: 30, second: 0, millisecond: 0, microsecond: microsecond || 0, nanosecond: nanosecond || 0 };
+			};
+			var times = function(instants) { return instants.map(function(i) { return new Date(i.ms).toISOString() + (i.ns ? '+' + i.ns + 'ns' : '') }) };
+			t.deepEqual(times(this.tz.getPossibleInstantsFor(dt(30, 12, 1, 2))), [ '2030-03-30T10:30:00.000Z+1002ns' ]);
+			t.deepEqual(this.tz.getPossibleInstantsFor(dt(31, 3)), []);
+			t.deepEqual(times(this.tz.getPossibleInstantsFor(dt(127, 3))), [ '2030-10-27T00:30:00.000Z', '2030-10-27T01:30:00.000Z' ]);
+			t.done();
+		},
+
+		'should find the next and previous transitions': function(t) {
+			var time = function(instant) { return instant && new Date(instant.ms).toISOString() };
+			t.equal(time(this.tz.getNextTransition(this.at('2030-01-01T00:00:00Z'))), '2030-03-31T01:00:00.000Z');
+			t.equal(time(this.tz.getNextTransition(this.at('2030-03-31T01:00:00Z'))), '2030-10-27T01:00:00.000Z');
+			t.equal(time(this.tz.getPreviousTransition(this.at('2030-03-31T01:00:00Z'))), '2029-10-28T01:00:00.000Z');
+			t.equal(time(this.tz.getPreviousTransition(this.at('2030-03-31T01:00:00Z').add({ nanoseconds: 1 }))), '2030-03-31T01:00:00.000Z');
+			t.strictEqual(this.tz.getPreviousTransition(this.at('1800-01-01T00:00:00Z')), null);
+			var utc = tzinfo.temporalTimeZone(fakeTemporal, tzinfo.parseZoneinfo(tzinfo.readZoneinfoFileSync('UTC')), 'UTC');
+			t.strictEqual(utc.getNextTransition(this.at('2030-01-01T00:00:00Z')), null);
+			t.done();
+		},
+
+		'should find the transitions of zones without stored transitions both ways': function(t) {
+			var time = function(instant) { return instant && new Date(instant.ms).toISOString() };
+			var tz = tzinfo.temporalTimeZone(fakeTemporal, tzinfo.parsePosixZoneinfo('CET-1CEST,M3.5.0,M10.5.0/3'), 'CET');
+			t.equal(time(tz.getNextTransition(this.at('2026-01-15T00:00:00Z'))), '2026-03-29T01:00:00.000Z');
+			t.equal(time(tz.getPreviousTransition(this.at('2026-01-15T00:00:00Z'))), '2025-10-26T01:00:00.000Z');
+			t.equal(time(tz.getPreviousTransition(this.at('2025-10-26T01:00:00Z'))), '2025-03-30T01:00:00.000Z');
+			t.done();
+		},
+
+		'should be identified by the zone name': function(t) {
+			t.equal(this.tz.id, 'Europe/Sofia');
+			t.equal(String(this.tz), 'Europe/Sofia');
+			t.equal(JSON.stringify({ timeZone: this.tz }), '{"timeZone":"Europe/Sofia"}');
+			tzinfo.getTemporalTimeZone(fakeTemporal, 'America/Jamaica').then(function(tz) {
+				t.equal(tz.id, 'America/Jamaica');
+				t.equal(tz.getOffsetNanosecondsFor(fakeTemporal.Instant.fromEpochMilliseconds(Date.parse('2030-01-01T00:00:00Z'))), -18000e9);
+				t.done();
+			}).catch(t.done);
+		},
+	},
+
+	'RFC 9557 date-times': {
+		'before': function(done) {
+			var self = this;
+			this.parse = function(text, options) {
+				return tzinfo.parseZonedDateTime(text, options).then(function(zdt) {
+					return new Date(zdt.time).toISOString() + ' ' + zdt.gmtoff + ' ' + zdt.zone;
+				}, function(err) {
+					return err.message;
+				});
+			};
+			tzinfo.getCachedZoneInfo('Europe/Sofia').then(function(info) { self.sofia = info; done() }, done);
+		},
+
+		'should parse date-times in a named zone': function(t) {
+			var parse = this.parse;
+			Promise.all([
+				parse('2026-07-01T12:00:00[Europe/Sofia]'),
+				parse('2026-07-01t12:00:00.5+03:00[!Europe/Sofia][u-ca=iso8601]'),
+				parse('2026-07-01 09:00Z[Europe/Sofia]'),
+				parse('2026-07-01[Europe/Sofia]'),
+				parse('2026-07-01T12:00[+05:30]'),
+			]).then(function(results) {
+				t.deepEqual(results, [
+					'2026-07-01T09:00:00.000Z 10800 Europe/Sofia',
+					'2026-07-01T09:00:00.500Z 10800 Europe/Sofia',
+					'2026-07-01T09:00:00.000Z 10800 Europe/Sofia',
+					'2026-06-30T21:00:00.000Z 10800 Europe/Sofia',
+					'2026-07-01T06:30:00.000Z 19800 +05:30',
+				]);
+				t.done();
+			}).catch(t.done);
+		},
+
+		'should resolve gaps and overlaps by the offset or the policy': function(t) {
+			var parse = this.parse;
+			Promise.all([
+				parse('2026-10-25T03:30:00+02:00[Europe/Sofia]'),
+				parse('2026-10-25T03:30:00+03:00[Europe/Sofia]'),
+				parse('2026-10-25T03:30:00[Europe/Sofia]'),
+				parse('2026-10-25T03:30:00[Europe/Sofia]', { overlap: 'latest' }),
+				parse('2026-10-25T03:30:00[Europe/Sofia]', { overlap: 'reject' }),
+				parse('2026-03-29T03:30:00[Europe/Sofia]'),
+				parse('2026-03-29T03:30:00[Europe/Sofia]', { gap: 'reject' }),
+			]).then(function(results) {
+				t.deepEqual(results, [
+					'2026-10-25T01:30:00.000Z 7200 Europe/Sofia',
+					'2026-10-25T00:30:00.000Z 10800 Europe/Sofia',
+					'2026-10-25T00:30:00.000Z 10800 Europe/Sofia',
+					'2026-10-25T01:30:00.000Z 7200 Europe/Sofia',
+					'Invalid date-time "2026-10-25T03:30:00[Europe/Sofia]": local time is ambiguous in Europe/Sofia',
+					'2026-03-29T01:30:00.000Z 10800 Europe/Sofia',
+					'Invalid date-time "2026-03-29T03:30:00[Europe/Sofia]": local time is skipped in Europe/Sofia',
+				]);
+				t.done();
+			}).catch(t.done);
+		},
+
+		'should validate the offset against the zone': function(t) {
+			var parse = this.parse;
+			Promise.all([
+				parse('2026-07-01T12:00:00+02:00[Europe/Sofia]'),
+				parse('2026-07-01T12:00:00+02:00[Europe/Sofia]', { offset: 'prefer-offset' }),
+				parse('2026-07-01T12:00:00+02:00[Europe/Sofia]', { offset: 'prefer-zone' }),
+				parse('2026-03-29T03:30:00+02:00[Europe/Sofia]'),
+				parse('2026-03-29T03:30:00+02:00[Europe/Sofia]', { offset: 'prefer-zone', gap: 'backward' }),
+			]).then(function(results) {
+				t.deepEqual(results, [
+					'Invalid date-time "2026-07-01T12:00:00+02:00[Europe/Sofia]": offset +02:00 is not valid in Europe/Sofia',
+					'2026-07-01T10:00:00.000Z 10800 Europe/Sofia',
+					'2026-07-01T09:00:00.000Z 10800 Europe/Sofia',
+					'Invalid date-time "2026-03-29T03:30:00+02:00[Europe/Sofia]": offset +02:00 is not valid in Europe/Sofia',
+					'2026-03-29T00:30:00.000Z 7200 Europe/Sofia',
+				]);
+				t.done();
+			}).catch(t.done);
+		},
+
+		'should reject malformed strings and unknown zones': function(t) {
+			var parse = this.parse;
+			Promise.all([
+				parse('2026-07-01T12:00:00+02:00'),
+				parse('2026-02-30T12:00[Europe/Sofia]'),
+				parse('2026-07-01T12:00+24:00[Europe/Sofia]'),
+				parse('2026-07-01T12:00[!u-ca=hebrew][Europe/Sofia]'),
+				parse('2026-07-01T12:00[Europe/Sofia][Europe/Paris]'),
+				parse('July 1, 2026[Europe/Sofia]'),
+				parse('2026-07-01T12:00[No/Such_Zone]'),
+				parse('2026-01-01T00:00[../zoneinfo/Europe/Sofia]'),
+				parse('2026-01-01T00:00[Europe/./Sofia]'),
+				parse('2026-01-01T00:00[/etc/passwd]'),
+			]).then(function(results) {
+				t.deepEqual(results, [
+					'Invalid date-time "2026-07-01T12:00:00+02:00": no time zone',
+					'Invalid date-time "2026-02-30T12:00[Europe/Sofia]": date-time out of range',
+					'Invalid date-time "2026-07-01T12:00+24:00[Europe/Sofia]": bad offset +24:00',
+					'Invalid date-time "2026-07-01T12:00[!u-ca=hebrew][Europe/Sofia]": unsupported critical annotation [!u-ca=hebrew]',
+					'Invalid date-time "2026-07-01T12:00[Europe/Sofia][Europe/Paris]": more than one time zone',
+					'Invalid date-time "July 1, 2026[Europe/Sofia]": bad format',
+					'No such zone file',
+					'Invalid date-time "2026-01-01T00:00[../zoneinfo/Europe/Sofia]": bad time zone ../zoneinfo/Europe/Sofia',
+					'Invalid date-time "2026-01-01T00:00[Europe/./Sofia]": bad time zone Europe/./Sofia',
+					'Invalid date-time "2026-01-01T00:00[/etc/passwd]": bad time zone /etc/passwd',
+				]);
+				t.done();
+			}).catch(t.done);
+		},
+
+		'should not read files outside the zone directory': function(t) {
+			var errors = function(name) {
+				var sync;
+				try { tzinfo.getZoneInfoSync(name) } catch (err) { sync = err.message }
+				return tzinfo.getCachedZoneInfo(name).then(function() { return 'found' }, function(err) { return sync + ', ' + err.message });
+			};
+			Promise.all([
+				errors('../zoneinfo/Europe/Sofia'),
+				errors('../../../../../../etc/passwd'),
+				errors('../../../../../../etc/nonesuch'),
+				errors('Europe/../Europe/Sofia'),
+				errors('/etc/passwd'),
+			]).then(function(results) {
+				t.deepEqual(results, [
+					'No such zone file, No such zone file',
+					'No such zone file, No such zone file',
+					'No such zone file, No such zone file',
+					'No such zone file, No such zone file',
+					'No such zone file, No such zone file',
+				]);
+				t.done();
+			}).catch(t.done);
+		},
+
+		'should format date-times that parse back to the same instant': function(t) {
+			var sofia = this.sofia;
+			t.equal(tzinfo.formatZonedDateTime(sofia, Date.parse('2026-10-25T00:30:00Z'), 'Europe/Sofia'), '2026-10-25T03:30:00+03:00[Europe/Sofia]');
+			t.equal(tzinfo.formatZonedDateTime(sofia, Date.parse('2026-10-25T01:30:00.25Z'), 'Europe/Sofia'), '2026-10-25T03:30:00.250+02:00[Europe/Sofia]');
+			t.equal(tzinfo.formatZonedDateTime(tzinfo.parseZoneinfo(ziJamaica), -2550000000 * 1000, 'America/Jamaica'), '1889-03-11T21:32:49-05:07:11[America/Jamaica]');
+			t.equal(tzinfo.formatZonedDateTime(sofia, Date.parse('+012026-07-01T09:00:00Z'), 'Europe/Sofia'), '+012026-07-01T12:00:00+03:00[Europe/Sofia]');
+			t.strictEqual(tzinfo.formatZonedDateTime(sofia, NaN, 'Europe/Sofia'), false);
+			tzinfo.parseZonedDateTime('2026-10-25T03:30:00.250+02:00[Europe/Sofia]').then(function(zdt) {
+				t.equal(tzinfo.formatZonedDateTime(zdt.info, zdt.time, zdt.zone), '2026-10-25T03:30:00.250+02:00[Europe/Sofia]');
+				t.done();
+			}).catch(t.done);
+		},
+	},
+
+	'parsePosixTz': {
+		'should parse names and offsets': function(t) {
+			t.deepEqual(tzinfo.parsePosixTz('<+0530>-5:30'), {
+				std_abbrev: '+0530', std_gmtoff: 19800,
+				dst_abbrev: '', dst_gmtoff: 0,
+				dst_start: undefined, dst_end: undefined,
+			});
+			t.strictContains(tzinfo.parsePosixTz('CET-1CEST'), {
+				std_gmtoff: 3600, dst_abbrev: 'CEST', dst_gmtoff: 7200,
+				dst_start: { form: 'M', month: 3, week: 2, day: 0, time: 7200 },
+			});
+			t.strictContains(tzinfo.parsePosixTz('<+1030>-10:30<+11>-11,M10.1.0,M4.1.0'), { std_gmtoff: 37800, dst_gmtoff: 39600 });
+			t.done();
+		},
+
+		'should parse all date forms and times': function(t) {
+			var rule = tzinfo.parsePosixTz('EST5EDT,0/0,J365/25');
+			t.deepEqual(rule.dst_start, { form: 'n', month: 0, week: 0, day: 0, time: 0 });
+			t.deepEqual(rule.dst_end, { form: 'J', month: 0, week: 0, day: 365, time: 25 * 3600 });
+
+			rule = tzinfo.parsePosixTz('<-03>3<-02>,M3.5.0/-2,M10.5.0/-1');
+			t.equal(rule.dst_start.time, -7200);
+			t.equal(rule.dst_end.time, -3600);
+			t.done();
+		},
+
+		'should throw on malformed strings': function(t) {
+			var bad = [ '', 'E5', 'EST', 'EST5EDT,M3.2.0', 'EST5EDT,M13.2.0,M11.1.0', 'EST5EDT,J0,J100', '<+05>-5x' ];
+			for (var i=0; i<bad.length; i++) {
+				t.throws(function() { tzinfo.parsePosixTz(bad[i]) }, /Invalid POSIX TZ string/);
+			}
+			t.done();
+		},
+
+		'should reject offsets over 24 hours': function(t) {
+			t.throws(function() { tzinfo.parsePosixTz('EST25') }, /offset out of range at position 3/);
+			t.throws(function() { tzinfo.parsePosixTz('EST5EDT25,M3.2.0,M11.1.0') }, /DST offset out of range/);
+			t.equal(tzinfo.parsePosixTz('<-24>24').std_gmtoff, -86400);
+			t.done();
+		},
+	},
+
+	'parsePosixZoneinfo': {
+		'should find DST changes in any year': function(t) {
+			var info = tzinfo.parsePosixZoneinfo('CET-1CEST,M3.5.0,M10.5.0/3');
+			t.equal(info.timecnt, 0);
+			t.equal(info.footer, 'CET-1CEST,M3.5.0,M10.5.0/3');
+			var zi = tzinfo.findTzinfo(info, '1850-07-01T00:00:00Z');
+			t.strictContains(zi, { abbrev: 'CEST', tt_gmtoff: 7200, startat: Date.parse('1850-03-31T01:00:00Z') });
+			zi = tzinfo.nextTzinfo(info, zi);
+			t.strictContains(zi, { abbrev: 'CET', tt_gmtoff: 3600, startat: Date.parse('1850-10-27T01:00:00Z') });
+			t.strictContains(tzinfo.findTzinfo(info, '2200-12-31T23:59:59Z'), { abbrev: 'CET', startat: Date.parse('2200-10-26T01:00:00Z') });
+			t.done();
+		},
+
+		'should handle southern hemisphere rules': function(t) {
+			var info = tzinfo.parsePosixZoneinfo('<+1030>-10:30<+11>-11,M10.1.0,M4.1.0');
+			var zi = tzinfo.findTzinfo(info, '2030-01-01T00:00:00Z');
+			t.strictContains(zi, { abbrev: '+11', startat: Date.parse('2029-10-06T15:30:00Z') });
+			t.strictContains(tzinfo.nextTzinfo(info, zi), { abbrev: '+1030', startat: Date.parse('2030-04-06T15:00:00Z') });
+			t.done();
+		},
+
+		'should handle julian days and custom times': function(t) {
+			// DST from Mar 1 01:00 to day 59 (Feb 29 in leap years) at -1:30, ie 22:30 the day before
+			var info = tzinfo.parsePosixZoneinfo('<-03>3<-02>,J60/1,59/-1:30');
+			var zi = tzinfo.findTzinfo(info, '2024-01-01T00:00:00Z');
+			t.strictContains(zi = tzinfo.nextTzinfo(info, zi), { abbrev: '-03', startat: Date.parse('2024-02-29T00:30:00Z') });
+			t.strictContains(zi = tzinfo.nextTzinfo(info, zi), { abbrev: '-02', startat: Date.parse('2024-03-01T04:00:00Z') });
+			t.strictContains(zi = tzinfo.nextTzinfo(info, zi), { abbrev: '-03', startat: Date.parse('2025-03-01T00:30:00Z') });
+			t.done();
+		},
+
+		'should keep DST all year round': function(t) {
+			var info = tzinfo.parsePosixZoneinfo('EST5EDT,0/0,J365/25');
+			var zi = tzinfo.findTzinfo(info, '2032-06-01T00:00:00Z');
+			t.strictContains(zi, { abbrev: 'EDT', tt_gmtoff: -14400 });
+			t.strictEqual(tzinfo.nextTzinfo(info, zi), false);
+			t.done();
+		},
+
+		'should use the standard time of zones without DST': function(t) {
+			var info = tzinfo.parsePosixZoneinfo('<+0530>-5:30');
+			t.deepEqual(info.tzinfo, [{ idx: 0, tt_gmtoff: 19800, tt_isdst: 0, tt_abbrind: 0, abbrev: '+0530' }]);
+			t.strictEqual(tzinfo.nextTzinfo(info, tzinfo.findTzinfo(info, new Date())), false);
+			t.done();
+		},
+
+		'should walk back through the changes of earlier years': function(t) {
+			var info = tzinfo.parsePosixZoneinfo('<+1030>-10:30<+11>-11,M10.1.0,M4.1.0');
+			var zi = tzinfo.findTzinfo(info, '2030-01-01T00:00:00Z');
+			var starts = [];
+			for (var i = 0; i < 4; i++) {
+				zi = tzinfo.prevTzinfo(info, zi);
+				starts.push(zi.abbrev + ' ' + new Date(zi.startat).toISOString());
+			}
+			t.deepEqual(starts, [
+				'+1030 2029-03-31T15:00:00.000Z', '+11 2028-09-30T15:30:00.000Z',
+				'+1030 2028-04-01T15:00:00.000Z', '+11 2027-10-02T15:30:00.000Z',
+			]);
+			var list = tzinfo.findTransitions(info, '1900-01-01T00:00:00Z', '1901-01-01T00:00:00Z');
+			t.deepEqual(list.map(function(tr) { return tr.before.abbrev + ' -> ' + tr.after.abbrev + ' ' + new Date(tr.at).toISOString() }), [
+				'+11 -> +1030 1900-03-31T15:00:00.000Z', '+1030 -> +11 1900-10-06T15:30:00.000Z',
+			]);
+			var fixed = tzinfo.parsePosixZoneinfo('<+0530>-5:30');
+			t.strictEqual(tzinfo.prevTzinfo(fixed, tzinfo.findTzinfo(fixed, Date.parse('2030-01-01T00:00:00Z'))), false);
+			t.done();
+		},
+
+		'should throw on malformed strings': function(t) {
+			t.throws(function() { tzinfo.parsePosixZoneinfo('CET-1CEST,M3.5.0') }, /Invalid POSIX TZ string "CET-1CEST,M3.5.0": expected ','/);
+			t.throws(function() { tzinfo.parsePosixZoneinfo('CET-1CEST,M3.5.0,M10.5.0/3x') }, /unexpected trailing characters at position 26/);
+			t.done();
+		},
+	},
+
+	'getZoneinfoDirectory': {
+		'should return directory located at load time': function(t) {
+			var dirname = tzinfo.getZoneinfoDirectory();
+			try {
+				var stat = fs.statSync(dirname + '/America');
+				t.ok(stat.isDirectory());
+				t.done();
+			} catch(err) {
+				t.fail();
+			}
+		},
+		'can be set via setZoneinfoDirectory': function(t) {
+			var dirname = tzinfo.getZoneinfoDirectory();
+			var dirname_new=dirname+'/.';
+			tzinfo.setZoneinfoDirectory(dirname_new);
+			t.equal(tzinfo.getZoneinfoDirectory(),dirname_new);
+			tzinfo.setZoneinfoDirectory(dirname_new+'/');
+			t.equal(tzinfo.getZoneinfoDirectory(),dirname_new);
+			tzinfo.setZoneinfoDirectory(dirname);
+			t.equal(tzinfo.getZoneinfoDirectory(),dirname);
+			t.done();
+		},
+	},
+
+	'listZoneinfoFiles': {
+		'should return empty array if not a directory': function(t) {
+			var list = tzinfo.listZoneinfoFiles("/nonesuch");
+			t.deepEqual(list, []);
+			t.done();
+		},
+
+		'should return list of zoneinfo filepaths': function(t) {
+			var tzdir = tzinfo.getZoneinfoDirectory();
+			var list = tzinfo.listZoneinfoFiles(tzdir);
+			t.contains(list, tzdir + '/' + "America/Los_Angeles");
+			t.done();
+		},
+
+		'should work with no params': function(t) {
+			var tzdir = tzinfo.getZoneinfoDirectory();
+			var list = tzinfo.listZoneinfoFiles();
+			t.contains(list, tzdir + '/' + "America/Los_Angeles");
+			t.done();
+		},
+
+		'should handle trailing / ': function(t) {
+			var tzdir = tzinfo.getZoneinfoDirectory();
+			var list = tzinfo.listZoneinfoFiles(tzdir+'/', true);
+			t.contains(list, "America/Los_Angeles");
+			t.done();
+		},
+
+		'should strip paths if asked': function(t) {
+			var list = tzinfo.listZoneinfoFiles(undefined, true);
+			t.contains(list, "America/Los_Angeles");
+			t.done();
+		},
+
+		'should return empty array if no zoneinfo files found': function(t) {
+			var list = tzinfo.listZoneinfoFiles(__dirname);
+			t.deepEqual(list, []);
+			t.done();
+		},
+	},
+
+	'zone metadata': {
+		'should build zones, aliases and countries from the tab files': function(t) {
+			var meta = tzinfo.parseZoneMetadata({
+				zone1970: '#codes\tcoordinates\tTZ\tcomments\nES\t+4024-00341\tEurope/Madrid\tSpain (mainland)\nES\t+3553-00519\tAfrica/Ceuta\tCeuta, Melilla\n' +
+					'AE,OM,RE\t+2518+05518\tAsia/Dubai\nUS\t+404251-0740023\tAmerica/New_York\tEastern (most areas)\n',
+				iso3166: '# ISO 3166 alpha-2 country codes\nAE\tUnited Arab Emirates\nES\tSpain\nUS\tUnited States\n',
+				tzdata: '# version 2024a\nZ Etc/GMT+5 -5 - -05\nL America/New_York US/Eastern\nL US/Eastern Test/Chained\n',
+			});
+
+			t.equal(meta.version, '2024a');
+			t.deepEqual(meta.zones.get('Europe/Madrid'), {
+				name: 'Europe/Madrid', canonical: 'Europe/Madrid', countries: [ 'ES' ],
+				latitude: 40.4, longitude: -(3 + 41/60), comment: 'Spain (mainland)',
+			});
+			t.deepEqual(meta.zones.get('Asia/Dubai').countries, [ 'AE', 'OM', 'RE' ]);
+			t.equal(meta.zones.get('America/New_York').latitude, 40 + 42/60 + 51/3600);
+			t.strictContains(meta.zones.get('US/Eastern'), { canonical: 'America/New_York', countries: [ 'US' ], comment: '' });
+			t.equal(meta.zones.get('Test/Chained').canonical, 'America/New_York');
+			t.strictContains(meta.zones.get('Etc/GMT+5'), { canonical: 'Etc/GMT+5', countries: [] });
+			t.ok(isNaN(meta.zones.get('Etc/GMT+5').latitude));
+
+			t.deepEqual(meta.countries.get('ES'), { code: 'ES', name: 'Spain', zones: [ 'Europe/Madrid', 'Africa/Ceuta' ] });
+			t.deepEqual(meta.countries.get('OM'), { code: 'OM', name: '', zones: [ 'Asia/Dubai' ] });
+			t.deepEqual(meta.countries.get('AE').zones, [ 'Asia/Dubai' ]);
+			t.done();
+		},
+
+		'should tolerate missing files': function(t) {
+			var meta = tzinfo.parseZoneMetadata({});
+			t.equal(meta.version, '');
+			t.equal(meta.zones.size, 0);
+			t.equal(meta.countries.size, 0);
+			t.done();
+		},
+
+		'should load the metadata of the zoneinfo directory': function(t) {
+			tzinfo.loadZoneMetadata().then(function(meta) {
+				if (!meta.zones.size) return t.done();
+				t.equal(meta.zones.get('Europe/Sofia').countries[0], 'BG');
+				t.equal(meta.countries.get('BG').name, 'Bulgaria');
+				t.equal(meta.zones.get('US/Eastern').canonical, 'America/New_York');
+				t.done();
+			});
+		},
+	},
+
+	'cli': {
+		'before': function(done) {
+			var cli = require('./tzinfo-cli');
+			this.run = function(argv) {
+				var out = { stdout: '', stderr: '' };
+				return cli.main(argv, function(text) { out.stdout += text }, function(text) { out.stderr += text }).then(function(status) {
+					out.status = status;
+					return out;
+				});
+			};
+			done();
+		},
+
+		'dump should show the header, types and footer': function(t) {
+			var self = this;
+			this.run(['dump', 'America/New_York']).then(function(out) {
+				t.equal(out.status, 0);
+				t.contains(out.stdout, 'version: ');
+				t.contains(out.stdout, '\nfooter:  EST5EDT,M3.2.0,M11.1.0\n');
+				t.ok(/\n  \d+  -04:00     dst  EDT\b/.test(out.stdout));
+				return self.run(['--json', 'dump', 'America/New_York']);
+			}).then(function(out) {
+				var dump = JSON.parse(out.stdout);
+				t.equal(dump.footer, 'EST5EDT,M3.2.0,M11.1.0');
+				t.ok(dump.abbrevs.indexOf('EWT') >= 0);
+				t.equal(dump.types.length, dump.counts.typecnt);
+				t.done();
+			});
+		},
+
+		'transitions and now should list the changes': function(t) {
+			var self = this;
+			this.run(['transitions', 'Europe/Sofia', '--from', '2030', '--to', '2030']).then(function(out) {
+				t.equal(out.stdout, '2030-03-31T01:00:00Z  +02:00 EET -> +03:00 EEST dst\n2030-10-27T01:00:00Z  +03:00 EEST -> +02:00 EET\n');
+				return self.run(['now', 'Europe/Sofia', 'UTC', '--at', '2030-07-01T00:00Z', '--json']);
+			}).then(function(out) {
+				t.deepEqual(JSON.parse(out.stdout), [
+					{ zone: 'Europe/Sofia', local: '2030-07-01 03:00:00', gmtoff: 10800, isdst: true, abbrev: 'EEST',
+						next: { at: '2030-10-27T01:00:00Z', gmtoff: 7200, isdst: false, abbrev: 'EET' } },
+					{ zone: 'UTC', local: '2030-07-01 00:00:00', gmtoff: 0, isdst: false, abbrev: 'UTC', next: null },
+				]);
+				return self.run(['now', 'Nope/Zone']);
+			}).then(function(out) {
+				t.equal(out.status, 2);
+				t.equal(out.stderr, 'tzinfo: unknown zone Nope/Zone\n');
+				t.done();
+			});
+		},
+
+		'list should filter canonical zones and aliases': function(t) {
+			var self = this;
+			this.run(['list', '--aliases', '--json']).then(function(out) {
+				var aliases = JSON.parse(out.stdout);
+				t.ok(aliases.some(function(alias) { return alias.name === 'US/Eastern' && alias.canonical === 'America/New_York' }));
+				return self.run(['list', '--canonical']);
+			}).then(function(out) {
+				var names = out.stdout.split('\n');
+				t.ok(names.indexOf('America/New_York') >= 0);
+				t.ok(names.indexOf('US/Eastern') < 0);
+				t.done();
+			});
+		},
+
+		'list should leave out the posix and right copies': function(t) {
+			var self = this;
+			var os = require('os');
+			var path = require('path');
+			var dirname = tzinfo.getZoneinfoDirectory();
+			var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tzinfo-test-'));
+			['America', 'US', 'posix/America', 'posix/US', 'right/America'].forEach(function(sub) { fs.mkdirSync(dir + '/' + sub, { recursive: true }) });
+			['America/Jamaica', 'US/Jamaica', 'posix/America/Jamaica', 'posix/US/Jamaica', 'right/America/Jamaica', 'localtime', 'posixrules'].forEach(function(name) {
+				fs.writeFileSync(dir + '/' + name, ziJamaica);
+			});
+			fs.writeFileSync(dir + '/tzdata.zi', 'Z America/Jamaica -5:7:10 - LMT 1890\n-5 - EST\nL America/Jamaica US/Jamaica\n');
+			this.run(['list', '--canonical', '--dir', dir]).then(function(out) {
+				t.equal(out.stdout, 'America/Jamaica\n');
+				return self.run(['list', '--aliases', '--dir', dir]);
+			}).then(function(out) {
+				t.equal(out.stdout, 'US/Jamaica -> America/Jamaica\n');
+				fs.unlinkSync(dir + '/tzdata.zi');
+				return self.run(['list', '--canonical', '--dir', dir]);
+			}).then(function(out) {
+				t.equal(out.stdout, 'America/Jamaica\nUS/Jamaica\n');
+				tzinfo.setZoneinfoDirectory(dirname);
+				fs.rmSync(dir, { recursive: true });
+				t.done();
+			});
+		},
+
+		'diff should report the zones that differ': function(t) {
+			var self = this;
+			var os = require('os');
+			var path = require('path');
+			var dirA = fs.mkdtempSync(path.join(os.tmpdir(), 'tzinfo-test-'));
+			var dirB = fs.mkdtempSync(path.join(os.tmpdir(), 'tzinfo-test-'));
+			fs.mkdirSync(dirA + '/America');
+			fs.mkdirSync(dirB + '/America');
+			fs.writeFileSync(dirA + '/America/Jamaica', ziJamaica);
+			fs.writeFileSync(dirB + '/America/Jamaica', tzinfo.serializeZoneinfo(tzinfo.parseZoneinfo(ziJamaica), { slim: true }));
+			fs.writeFileSync(dirA + '/UTC', ziSlim);
+			fs.writeFileSync(dirB + '/UTC', ziJamaica);
+			fs.writeFileSync(dirB + '/Extra', ziSlim);
+			this.run(['diff', dirA, dirB]).then(function(out) {
+				t.equal(out.status, 1);
+				t.equal(out.stdout, 'only in ' + dirB + ': Extra\ndiffers: UTC from 1800-01-01T00:00:00Z\n');
+				return self.run(['--json', 'diff', dirA + '/America', dirB + '/America']);
+			}).then(function(out) {
+				t.equal(out.status, 0);
+				t.deepEqual(JSON.parse(out.stdout), { onlyA: [], onlyB: [], changed: [] });
+				fs.rmSync(dirA, { recursive: true });
+				fs.rmSync(dirB, { recursive: true });
+				return self.run(['frobnicate']);
+			}).then(function(out) {
+				t.equal(out.status, 2);
+				t.contains(out.stderr, 'tzinfo: unknown command frobnicate\nusage: tzinfo');
+				t.done();
+			});
+		},
+	},
+
+	'zone sources': {
+		'after': function(done) {
+			tzinfo.setZoneSource();
+			done();
+		},
+
+		'memorySource and layeredSource should return the first zone found': function(t) {
+			var app = tzinfo.memorySource(new Map([ ['America/Jamaica', ziJamaica], ['App/Zone', tzinfo.parsePosixZoneinfo('<+03>-3')] ]), 'app');
+			var source = tzinfo.layeredSource([ app, tzinfo.directorySource() ]);
+			t.equal(source.name, 'app, ' + tzinfo.getZoneinfoDirectory());
+			t.equal(source.readZoneSync('America/Jamaica'), ziJamaica);
+			t.equal(tzinfo.parseZoneinfo(source.readZoneSync('App/Zone')).footer, '<+03>-3');
+			t.deepEqual(source.readZoneSync('Europe/Sofia'), tzinfo.readZoneinfoFileSync('Europe/Sofia'));
+			t.strictEqual(source.readZoneSync('Nope/Zone'), false);
+			source.listZones().then(function(names) {
+				t.deepEqual(names.slice(0, 2), ['America/Jamaica', 'App/Zone']);
+				t.equal(names.filter(function(name) { return name === 'America/Jamaica' }).length, 1);
+				t.ok(names.indexOf('Europe/Sofia') > 0);
+				return source.readZone('App/Zone');
+			}).then(function(data) {
+				t.equal(tzinfo.parseZoneinfo(data).footer, '<+03>-3');
+				t.done();
+			});
+		},
+
+		'tzdataSource should compile zones and links': function(t) {
+			var source = tzinfo.tzdataSource(tzSofia);
+			t.equal(source.name, 'tzdata 2025b');
+			var info = tzinfo.parseZoneinfo(source.readZoneSync('Test/Sofia'));
+			t.deepEqual(info.ttimes, tzinfo.compileZone(tzinfo.parseTzSource(tzSofia), 'Europe/Sofia').ttimes);
+			t.strictEqual(source.readZoneSync('Europe/Paris'), false);
+			source.listZones().then(function(names) {
+				t.deepEqual(names, ['Europe/Sofia', 'Test/Sofia']);
+				t.done();
+			});
+		},
+
+		'tarSource should read zoneinfo files and links from an archive': function(t) {
+			var archive = tarArchive([
+				{ name: './zoneinfo/', type: '5' },
+				{ name: './zoneinfo/America/Jamaica', data: ziJamaica },
+				{ name: './zoneinfo/America/Symlink', type: '2', link: 'Jamaica' },
+				{ name: './zoneinfo/Hardlink', type: '1', link: './zoneinfo/America/Jamaica' },
+				{ name: './zoneinfo/README', data: Buffer.from('not a zone') },
+				{ name: './other/UTC', data: ziSlim },
+			]);
+			var source = tzinfo.tarSource(archive, 'zoneinfo/');
+			t.equal(source.name, 'tar');
+			t.equal(source.readZoneSync('America/Symlink').length, ziJamaica.length);
+			t.strictEqual(source.readZoneSync('README'), false);
+			source.listZones().then(function(names) {
+				t.deepEqual(names.sort(), ['America/Jamaica', 'America/Symlink', 'Hardlink']);
+				t.throws(function() { tzinfo.tarSource(Buffer.concat([Buffer.from('name'), Buffer.alloc(508, 'x')])) }, /Invalid tar archive/);
+				t.done();
+			});
+		},
+
+		'setZoneSource should route zone lookups to the source': function(t) {
+			tzinfo.setZoneSource(tzinfo.memorySource(new Map([ ['America/Jamaica', ziJamaica], ['Test/Slim', ziSlim] ]), 'app'));
+			t.equal(tzinfo.getZoneSource().name, 'app');
+			t.equal(tzinfo.readZoneinfoFileSync('America/Jamaica'), ziJamaica);
+			try { tzinfo.readZoneinfoFileSync('Europe/Sofia'); t.fail() }
+			catch (err) { t.equal(err.code, 'ENOENT'); t.equal(err.message, 'No zone Europe/Sofia in app') }
+			t.equal(tzinfo.getLocalZone({ env: { TZ: 'America/Jamaica' } }).info.timecnt, 22);
+
+			tzinfo.readZoneinfoFile('Test/Slim', function(err, data) {
+				t.equal(data, ziSlim);
+				tzinfo.getCachedZoneInfo('america/jamaica').catch(function(err) {
+					t.equal(err.message, 'No such zone');
+					return tzinfo.getCachedZoneInfo('America/Jamaica');
+				}).then(function(info) {
+					t.equal(info.timecnt, 22);
+					var names = [];
+					return tzinfo.precacheZones(names).then(function() {
+						t.deepEqual(names, ['America/Jamaica', 'Test/Slim']);
+						t.equal(tzinfo.getPreCachedZoneInfo('america/jamaica'), info);
+						tzinfo.setZoneSource();
+						t.strictEqual(tzinfo.getPreCachedZoneInfo('america/jamaica'), false);
+						t.equal(tzinfo.getZoneSource().name, tzinfo.getZoneinfoDirectory());
+						return tzinfo.getCachedZoneInfo('Europe/Sofia');
+					});
+				}).then(function(info) {
+					t.ok(info.timecnt > 10);
+					t.done();
+				});
+			});
+		},
+
+		'readZoneinfoFile should call back with the error of a source outside the promise chain': function(t) {
+			tzinfo.setZoneSource(tzinfo.memorySource(new Map([ ['America/Jamaica', ziJamaica] ]), 'app'));
+			tzinfo.readZoneinfoFile('Europe/Sofia', function(err, data) {
+				tzinfo.setZoneSource();
+				t.equal(err.code, 'ENOENT');
+				t.strictEqual(data, undefined);
+				t.equal(arguments.length, 1);
+				t.done();
+			});
+		},
+
+		'loaderSource should load zones asynchronously and retry failed loads': function(t) {
+			var calls = [];
+			tzinfo.setZoneSource(tzinfo.loaderSource(function(name) {
+				calls.push(name);
+				if (calls.length === 1) return Promise.reject(new Error('network down'));
+				return Promise.resolve(name === 'America/Jamaica' && ziJamaica);
+			}));
+			t.throws(function() { tzinfo.readZoneinfoFileSync('America/Jamaica') }, /cannot be read synchronously/);
+			tzinfo.getCachedZoneInfo('America/Jamaica').catch(function(err) {
+				t.equal(err.message, 'network down');
+				return tzinfo.getCachedZoneInfo('America/Jamaica');
+			}).then(function(info) {
+				t.equal(info.timecnt, 22);
+				return tzinfo.getCachedZoneInfo('America/Jamaica');
+			}).then(function() {
+				t.deepEqual(calls, ['America/Jamaica', 'America/Jamaica']);
+				tzinfo.setZoneSource();
+				t.done();
+			});
+		},
+	},
+
+	'watchZoneinfoDirectory': {
+		'before': function(done) {
+			var os = require('os');
+			var path = require('path');
+			this.zonedir = tzinfo.getZoneinfoDirectory();
+			this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tzinfo-test-'));
+			fs.mkdirSync(this.dir + '/Europe');
+			fs.writeFileSync(this.dir + '/Europe/Sofia', tzinfo.readZoneinfoFileSync('Europe/Sofia'));
+			fs.writeFileSync(this.dir + '/UTC', tzinfo.readZoneinfoFileSync('UTC'));
+			fs.writeFileSync(this.dir + '/+VERSION', '2020a\n');
+			done();
+		},
+
+		'after': function(done) {
+			tzinfo.setZoneinfoDirectory(this.zonedir);
+			fs.rmSync(this.dir, { recursive: true });
+			done();
+		},
+
+		'getTzdataVersion should read +VERSION or tzdata.zi': function(t) {
+			t.equal(tzinfo.getTzdataVersion(this.dir), '2020a');
+			t.equal(tzinfo.getTzdataVersion(this.dir + '/Europe'), '');
+			fs.writeFileSync(this.dir + '/Europe/tzdata.zi', '# version 2021b\n# ddeps\n');
+			t.equal(tzinfo.getTzdataVersion(this.dir + '/Europe'), '2021b');
+			fs.unlinkSync(this.dir + '/Europe/tzdata.zi');
+			t.done();
+		},
+
+		'should report changes and update the cached zones': function(t) {
+			var dir = this.dir;
+			tzinfo.setZoneinfoDirectory(dir);
+			tzinfo.getCachedZoneInfo('Europe/Sofia').then(function(before) {
+				t.equal(before.footer, 'EET-2EEST,M3.5.0/3,M10.5.0/4');
+				var watcher = tzinfo.watchZoneinfoDirectory({ delay: 10 });
+				watcher.check().then(function(update) {
+					t.strictEqual(update, false);
+					fs.writeFileSync(dir + '/Europe/Sofia', ziV3);
+					fs.writeFileSync(dir + '/Europe/Test', ziSlim);
+					fs.writeFileSync(dir + '/+VERSION', '2020b\n');
+					fs.writeFileSync(dir + '/notes.txt', 'not a zone');
+					return watcher.check();
+				}).then(function(update) {
+					t.deepEqual(update, { zones: [ 'Europe/Sofia', 'Europe/Test' ], version_before: '2020a', version_after: '2020b' });
+					return tzinfo.getCachedZoneInfo('Europe/Sofia');
+				}).then(function(after) {
+					t.equal(after.version, '3');
+					watcher.close();
+					t.done();
+				}).catch(function(err) {
+					watcher.close();
+					t.done(err);
+				});
+			});
+		},
+
+		'should emit change events on file system events': function(t) {
+			var dir = this.dir;
+			tzinfo.setZoneinfoDirectory(dir);
+			var watcher = tzinfo.watchZoneinfoDirectory({ delay: 10 });
+			watcher.check().then(function() {
+				watcher.on('change', function(update) {
+					watcher.close();
+					t.deepEqual(update.zones, [ 'UTC' ]);
+					t.equal(update.version_before, update.version_after);
+					t.done();
+				});
+				fs.unlinkSync(dir + '/UTC');
+			});
+		},
+	},
+
+	'helpers': {
+		'readStringZ': {
+			'should extract asciiz string': function(t) {
+				var buf = Buffer.from("ABC\0DEF\0GHI\0\0");
+				t.equal(tzinfo.readStringZ(buf, 0), 'ABC');
+				t.equal(tzinfo.readStringZ(buf, 1), 'BC');
+				t.equal(tzinfo.readStringZ(buf, 4), 'DEF');
+				t.equal(tzinfo.readStringZ(buf, 5), 'EF');
+				t.equal(tzinfo.readStringZ(buf, 12), '');
+				t.equal(tzinfo.readStringZ(Buffer.from("ABC"), 1), 'BC');
+				t.done();
+			},
+		},
+
+		'readInt32': {
+			'should extract 32-bit signed int': function(t) {
+				t.equal(tzinfo.readInt32([255, 255, 255, 255], 0), -1);
+
+				var buf = Buffer.from([128, 0, 0, 0, 0, 1]);
+				t.equal(tzinfo.readInt32(buf, 0), (1 << 31));
+				t.equal(tzinfo.readInt32(buf, 1), 0);
+				t.equal(tzinfo.readInt32(buf, 2), 1);
+
+				var buf = Buffer.from([1, 2, 3, 4, 5, 6, 7, 8]);
+				t.equal(tzinfo.readInt32(buf, 0), 0x01020304);
+				t.equal(tzinfo.readInt32(buf, 1), 0x02030405);
+				t.equal(tzinfo.readInt32(buf, 3), 0x04050607);
+
+				var buf = Buffer.from([255, 255, 255, 255, 1, 2, 3, 4]);
+				t.equal(tzinfo.readInt32(buf, 0), -1);
+				t.equal(tzinfo.readInt32(buf, 1), (0xffffff01 >> 0));   // -256 + 1
+				t.equal(tzinfo.readInt32(buf, 2), (0xffff0102 >> 0));   // -65536 + 256 + 2
+				t.equal(tzinfo.readInt32(buf, 3), (0xff010203 >> 0));   // -16777216 + 65536 + 512 + 3);
+				t.done();
+			},
+		},
+
+		'readInt64': {
+			'should extract 64-bit signed int': function(t) {
+				t.equal(tzinfo.readInt32([255, 255, 255, 255, 255, 255, 255, 255], 0), -1);
+
+				var buf = Buffer.from([128, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+				t.equal(tzinfo.readInt64(buf, 0), -0x8000000000000000);
+				t.equal(tzinfo.readInt64(buf, 1), 0);
+				t.equal(tzinfo.readInt64(buf, 2), 1);
+
+				var buf = Buffer.from([0, 0, 0, 0, 1, 2, 3, 4, 5, 6, 7, 8]);
+				t.equal(tzinfo.readInt64(buf, 0), 0x01020304);
+				t.equal(tzinfo.readInt64(buf, 1), 0x0102030405);
+				t.equal(tzinfo.readInt64(buf, 2), 0x010203040506);
+				t.equal(tzinfo.readInt64(buf, 3), 0x01020304050607);
+
+				var buf = Buffer.from([255, 255, 255, 255, 255, 255, 255, 1, 2, 3, 4, 5, 6, 7, 8]);
+				t.equal(tzinfo.readInt64(buf, 0), -256 + 1);
+				t.equal(tzinfo.readInt64(buf, 1), -65536 + 256 + 2);
+				t.equal(tzinfo.readInt64(buf, 2), -16777216 + 65536 + 512 + 3);
+				t.equal(tzinfo.readInt64(buf, 3), -0x100000000 + 16777216 + 2*65536 + 3*256 + 4);
+				t.done();
+			},
+		},
+
+		'absearch': {
+			'should find an element not larger than val': function(t) {
+				var array = new Array();
+				for (var i=10; i<=1000; i+=10) array.push(i);
+				for (var i=11; i<=1001; i+=10) {
+					var ix = tzinfo.absearch(array, i);
+					t.equal(array[ix], i - 1, "absearch for " + i);
 				}
 				for (var i=19; i<=1009; i+=10) {
 					var ix = tzinfo.absearch(array, i);
@@ -585,6 +2458,24 @@ module.exports = {
 			},
 		},
 		'getCachedZoneInfo':{
+			'should reject with the parse error': function(t) {
+				var os = require('os');
+				var path = require('path');
+				var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tzinfo-test-'));
+				var zonedir = tzinfo.getZoneinfoDirectory();
+				fs.writeFileSync(dir + '/Broken', ziJamaica.slice(0, 300));
+				tzinfo.setZoneinfoDirectory(dir);
+				tzinfo.getCachedZoneInfo("Broken").then((info)=>{
+					t.fail('Promise resolved but should have been rejected');
+				}).catch((err)=>{
+					tzinfo.setZoneinfoDirectory(zonedir);
+					fs.unlinkSync(dir + '/Broken');
+					fs.rmdirSync(dir);
+					t.ok(err instanceof tzinfo.ZoneinfoParseError);
+					t.equal(err.check, 'length');
+					t.done();
+				});
+			},
 			'should enable case insensitive lookup and capture zone names': function (t) {
 				tzinfo.getCachedZoneInfo("Europe/Sofia").then(()=>{
 					tzinfo.getCachedZoneInfo("europe/sofia").then(()=>{
@@ -615,4 +2506,227 @@ module.exports = {
 			}
 		},
 	},
+
+	'compact zones': {
+		'should pack zones into a shared buffer and unpack them': function(t) {
+			var source = tzinfo.parseTzSource(tzSofia);
+			var sofia = tzinfo.compileZone(source, 'Europe/Sofia');
+			var jamaica = tzinfo.parseZoneinfo(ziJamaica);
+			var buffer = tzinfo.packZoneinfos(new Map([ ['Europe/Sofia', sofia], ['America/Jamaica', jamaica], ['Test/Sofia', tzinfo.compileZone(source, 'Test/Sofia')] ]));
+			t.ok(buffer instanceof SharedArrayBuffer);
+			var zones = tzinfo.unpackZoneinfos(buffer);
+			t.deepEqual(Array.from(zones.keys()), ['Europe/Sofia', 'America/Jamaica', 'Test/Sofia']);
+			t.equal(zones.get('Test/Sofia'), zones.get('Europe/Sofia'));
+
+			var info = zones.get('America/Jamaica');
+			t.ok(info.ttimes instanceof Float64Array);
+			t.ok(info.types instanceof Uint8Array);
+			t.equal(info.ttimes.buffer, buffer);
+			t.deepEqual(Array.from(info.ttimes), jamaica.ttimes);
+			t.deepEqual(Array.from(info.types), jamaica.types);
+			t.deepEqual(info.tzinfo, jamaica.tzinfo);
+			t.deepEqual(info.leaps, jamaica.leaps);
+			t.deepEqual(info.footer_rule, jamaica.footer_rule);
+			t.equal(tzinfo.absearch(info.ttimes, 126687600), tzinfo.absearch(jamaica.ttimes, 126687600));
+
+			var dates = [ -3e12, 0, 126687600000, 1.5e12, 4e12 ];
+			for (var i=0; i<dates.length; i++) {
+				var zi = tzinfo.findTzinfo(zones.get('Europe/Sofia'), dates[i], true);
+				t.deepEqual(zi, tzinfo.findTzinfo(sofia, dates[i], true));
+				t.deepEqual(tzinfo.nextTzinfo(zones.get('Europe/Sofia'), zi), tzinfo.nextTzinfo(sofia, zi));
+			}
+			t.deepEqual(tzinfo.serializeZoneinfo(info), tzinfo.serializeZoneinfo(jamaica));
+			t.done();
+		},
+
+		'should reject other buffers': function(t) {
+			t.throws(function() { tzinfo.unpackZoneinfos(new ArrayBuffer(16)) }, /Not a packed zoneinfo buffer/);
+			t.done();
+		},
+
+		'should precache compact zones and share them with workers': function(t) {
+			var names = [];
+			tzinfo.precacheZones(names, { compact: true }).then(function() {
+				var buffer = tzinfo.getPrecacheBuffer();
+				t.ok(buffer instanceof SharedArrayBuffer);
+				t.ok(names.length > 10 && names.indexOf('Europe/Sofia') >= 0);
+				var info = tzinfo.getPreCachedZoneInfo('europe/sofia');
+				t.ok(info.ttimes instanceof Float64Array);
+				t.equal(tzinfo.findTzinfo(info, '2023-07-01T00:00:00Z').abbrev, 'EEST');
+				t.ok(tzinfo.findZonesByOffset({ gmtoff: '+0300', abbrev: 'EEST', at: '2023-07-01' }).indexOf('Europe/Sofia') >= 0);
+
+				var Worker = require('worker_threads').Worker;
+				var worker = new Worker(
+					"var wt = require('worker_threads'), tzinfo = require(wt.workerData.module);" +
+					"var names = []; tzinfo.precacheZonesFromBuffer(wt.workerData.buffer, names);" +
+					"var info = tzinfo.getPreCachedZoneInfo('EUROPE/SOFIA');" +
+					"wt.parentPort.postMessage({ count: names.length, shared: info.ttimes.buffer === wt.workerData.buffer," +
+					" abbrev: tzinfo.findTzinfo(info, '2023-07-01T00:00:00Z').abbrev });",
+					{ eval: true, workerData: { module: require.resolve('./'), buffer: buffer } });
+				worker.on('message', function(msg) {
+					t.deepEqual(msg, { count: names.length, shared: true, abbrev: 'EEST' });
+					// restore the regular precache for any later tests
+					tzinfo.precacheZones().then(function() {
+						t.strictEqual(tzinfo.getPrecacheBuffer(), false);
+						t.ok(tzinfo.getPreCachedZoneInfo('Europe/Sofia'));
+						t.done();
+					});
+				});
+				worker.on('error', function(err) { t.done(err) });
+			});
+		},
+	},
+	'zoneinfo cache': {
+		'before': function(done) {
+			var os = require('os');
+			var path = require('path');
+			this.zonedir = tzinfo.getZoneinfoDirectory();
+			this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tzinfo-test-'));
+			fs.mkdirSync(this.dir + '/zones');
+			fs.mkdirSync(this.dir + '/empty');
+			fs.writeFileSync(this.dir + '/zones/Jamaica', ziJamaica);
+			fs.writeFileSync(this.dir + '/zones/Sofia', ziSlim);
+			fs.writeFileSync(this.dir + '/zones/Kingston', ziJamaica);
+			fs.writeFileSync(this.dir + '/zones/zone.tab', 'JM\t+175805-0764736\tAmerica/Jamaica\n');
+			tzinfo.setZoneinfoDirectory(this.dir + '/zones');
+			done();
+		},
+
+		'after': function(done) {
+			tzinfo.getZoneinfoCache().configure({ max_size: 0, negative_ttl: 60000 });
+			tzinfo.setZoneinfoDirectory(this.zonedir);
+			fs.rmSync(this.dir, { recursive: true });
+			done();
+		},
+
+		'should keep the most recently used zones and count hits and misses': function(t) {
+			var cache = tzinfo.getZoneinfoCache();
+			cache.clear(true);
+			cache.configure({ max_size: 2 });
+			var jamaica = tzinfo.getZoneInfoSync('Jamaica');
+			t.equal(tzinfo.getZoneInfoSync('Sofia').footer, 'EET-2EEST,M3.5.0/3,M10.5.0/4');
+			t.equal(tzinfo.getZoneInfoSync('Jamaica'), jamaica);
+			tzinfo.getZoneInfoSync('Kingston');
+			t.deepEqual(cache.stats(), { hits: 1, negative_hits: 0, misses: 3, evictions: 1, size: 2, negative: 0, precached: 0 });
+			tzinfo.getCachedZoneInfo('Jamaica').then(function(info) {
+				t.equal(info, jamaica);
+				return tzinfo.getCachedZoneInfo('Sofia');
+			}).then(function() {
+				t.strictContains(cache.stats(), { hits: 2, misses: 4, evictions: 2, size: 2 });
+				cache.clear();
+				t.strictContains(cache.stats(), { hits: 2, size: 0 });
+				cache.configure({ max_size: 0 });
+				t.done();
+			}).catch(function(err) { t.done(err) });
+		},
+
+		'should read a zone once for concurrent lookups and keep zones linked to by cached names': function(t) {
+			var dir = this.dir;
+			var cache = tzinfo.getZoneinfoCache();
+			cache.clear(true);
+			cache.configure({ max_size: 2 });
+			Promise.all([ tzinfo.getCachedZoneInfo('Sofia'), tzinfo.getCachedZoneInfo('Sofia') ]).then(function(infos) {
+				t.equal(infos[0], infos[1]);
+				t.deepEqual(cache.stats(), { hits: 1, negative_hits: 0, misses: 1, evictions: 0, size: 1, negative: 0, precached: 0 });
+				fs.symlinkSync(dir + '/zones/Jamaica', dir + '/zones/Link');
+				tzinfo.getZoneInfoSync('Jamaica');
+				var link = tzinfo.getZoneInfoSync('Link');
+				tzinfo.getZoneInfoSync('Kingston');
+				t.strictContains(cache.stats(), { hits: 1, misses: 4, evictions: 2, size: 2 });
+				// Jamaica was dropped, the zone of its file stays cached for Link
+				t.equal(tzinfo.getZoneInfoSync('Link'), link);
+				t.strictContains(cache.stats(), { hits: 2, misses: 4 });
+				fs.unlinkSync(dir + '/zones/Link');
+				cache.configure({ max_size: 0 });
+				t.done();
+			}).catch(function(err) { t.done(err) });
+		},
+
+		'should reject remembered broken zones with the error they failed with': function(t) {
+			var dir = this.dir;
+			var cache = tzinfo.getZoneinfoCache();
+			cache.clear(true);
+			fs.writeFileSync(dir + '/zones/Broken', ziJamaica.slice(0, 300));
+			tzinfo.getCachedZoneInfo('Broken').catch(function(err) { return err }).then(function(first) {
+				t.ok(first instanceof tzinfo.ZoneinfoParseError);
+				return tzinfo.getCachedZoneInfo('Broken').catch(function(err) { return err }).then(function(again) {
+					t.equal(again, first);
+					try { tzinfo.getZoneInfoSync('Broken'); t.fail() } catch (err) { t.equal(err, first) }
+					t.strictContains(cache.stats(), { negative_hits: 2, misses: 1, negative: 1 });
+					fs.unlinkSync(dir + '/zones/Broken');
+					t.done();
+				});
+			}).catch(function(err) { t.done(err) });
+		},
+
+		'should retry zones not found once negative_ttl has passed': function(t) {
+			var dir = this.dir;
+			var cache = tzinfo.getZoneinfoCache();
+			cache.clear(true);
+			cache.configure({ negative_ttl: 20 });
+			t.throws(function() { tzinfo.getZoneInfoSync('Tokyo') }, /No such zone file/);
+			t.throws(function() { tzinfo.getZoneInfoSync('Tokyo') }, /^Error: No such zone file$/);
+			t.strictContains(cache.stats(), { negative_hits: 1, misses: 1, negative: 1 });
+			fs.writeFileSync(dir + '/zones/Tokyo', ziJamaica);
+			setTimeout(function() {
+				tzinfo.getCachedZoneInfo('Tokyo').then(function(info) {
+					t.contains(info.abbrevs, 'EST\0');
+					t.strictContains(cache.stats(), { negative: 0, size: 1 });
+					fs.unlinkSync(dir + '/zones/Tokyo');
+					cache.configure({ negative_ttl: 60000 });
+					t.done();
+				}).catch(function(err) { t.done(err) });
+			}, 30);
+		},
+
+		'should drop the cached zones when the zoneinfo directory changes': function(t) {
+			var cache = tzinfo.getZoneinfoCache();
+			cache.clear();
+			tzinfo.getZoneInfoSync('Jamaica');
+			t.throws(function() { tzinfo.getZoneInfoSync('America/Jamaica') }, /No such zone/);
+			tzinfo.setZoneinfoDirectory(this.dir + '/zones/');
+			t.strictContains(cache.stats(), { size: 1, negative: 1 });
+			tzinfo.setZoneinfoDirectory(this.zonedir);
+			t.strictContains(cache.stats(), { size: 0, negative: 0 });
+			t.contains(tzinfo.getZoneInfoSync('America/Jamaica').abbrevs, 'EST\0');
+			tzinfo.setZoneinfoDirectory(this.dir + '/zones');
+			t.strictContains(cache.stats(), { size: 0 });
+			t.done();
+		},
+
+		'should report precache progress and errors': function(t) {
+			var dir = this.dir;
+			var cache = tzinfo.getZoneinfoCache();
+			var names = [], progress = [];
+			fs.writeFileSync(dir + '/zones/Broken', ziJamaica.slice(0, 300));
+			tzinfo.precacheZones(names, { progress: function(done, total) { progress.push([done, total]) } }).then(function(report) {
+				fs.unlinkSync(dir + '/zones/Broken');
+				t.deepEqual(names, ['Jamaica', 'Kingston', 'Sofia']);
+				t.equal(report.zones, 3);
+				t.equal(report.errors.length, 1);
+				t.equal(report.errors[0].name, 'Broken');
+				t.ok(report.errors[0].error instanceof tzinfo.ZoneinfoParseError);
+				t.deepEqual(progress[progress.length - 1], [5, 5]);
+				t.equal(cache.stats().precached, 3);
+				t.equal(tzinfo.getZoneInfoSync('kingston').footer, tzinfo.getZoneInfoSync('Jamaica').footer);
+				t.throws(function() { tzinfo.getZoneInfoSync('Broken') }, /No such zone/);
+
+				tzinfo.setZoneinfoDirectory(dir + '/empty');
+				t.equal(cache.stats().precached, 0);
+				return tzinfo.precacheZones(names);
+			}).then(function(report) {
+				t.deepEqual(report, { zones: 0, errors: [] });
+				t.equal(names.length, 3);
+				tzinfo.setZoneinfoDirectory(dir + '/missing');
+				return tzinfo.precacheZones();
+			}).then(function(report) {
+				t.equal(report.zones, 0);
+				t.equal(report.errors.length, 1);
+				t.equal(report.errors[0].name, '');
+				t.equal(report.errors[0].error.code, 'ENOENT');
+				tzinfo.setZoneinfoDirectory(dir + '/zones');
+				t.done();
+			}).catch(function(err) { t.done(err) });
+		},
+	},
 }